@@ -0,0 +1,106 @@
+import { readFileSync } from 'node:fs';
+import { createAppError } from '../middleware/errorHandler.js';
+
+const SEPOLIA_CHAIN_ID = 11155111;
+const CONTRACT_KINDS = ['token', 'vesting', 'staking', 'airdrop'];
+
+// Loaded on first use, after dotenv has populated process.env
+let config = null;
+
+function loadConfig() {
+  const path = process.env.CHAINS_CONFIG || new URL('../../config/chains.json', import.meta.url);
+  const file = JSON.parse(readFileSync(path, 'utf8'));
+
+  const enabled = process.env.CHAIN_IDS
+    ? process.env.CHAIN_IDS.split(',').map((id) => Number(id.trim()))
+    : null;
+  const defaultChainId = Number(process.env.DEFAULT_CHAIN_ID || file.defaultChainId);
+
+  const chains = file.chains
+    .filter((chain) => !enabled || enabled.includes(chain.chainId))
+    .map((chain) => normalizeChain(chain, chain.chainId === defaultChainId));
+
+  if (!chains.some((chain) => chain.chainId === defaultChainId)) {
+    throw new Error(`Default chain ${defaultChainId} is not configured`);
+  }
+
+  return { chains, defaultChainId };
+}
+
+// The single-chain variables of earlier releases still override the default chain
+function normalizeChain(chain, isDefault) {
+  const env = process.env;
+  const contracts = { ...chain.contracts };
+  let rpcUrls = chain.rpcUrls || [];
+  let startBlock = chain.startBlock || 0;
+  let wsUrl = chain.wsUrl || null;
+
+  if (chain.chainId === SEPOLIA_CHAIN_ID && env.SEPOLIA_RPC_URL) {
+    rpcUrls = [env.SEPOLIA_RPC_URL, ...rpcUrls.filter((url) => url !== env.SEPOLIA_RPC_URL)];
+  }
+
+  if (isDefault) {
+    contracts.token = env.CONTRACT_ADDRESS || contracts.token;
+    contracts.vesting = env.VESTING_CONTRACT_ADDRESS || contracts.vesting;
+    contracts.staking = env.STAKING_CONTRACT_ADDRESS || contracts.staking;
+    contracts.airdrop = env.AIRDROP_CONTRACT_ADDRESS || contracts.airdrop;
+    if (env.START_BLOCK) {
+      startBlock = parseInt(env.START_BLOCK, 10);
+    }
+    wsUrl = env.WS_RPC_URL || wsUrl;
+  }
+
+  if (rpcUrls.length === 0) {
+    throw new Error(`Chain ${chain.chainId} has no RPC URLs`);
+  }
+  if (!contracts.token) {
+    throw new Error(`Chain ${chain.chainId} has no token contract`);
+  }
+
+  return {
+    chainId: chain.chainId,
+    name: chain.name,
+    rpcUrls,
+    wsUrl,
+    startBlock,
+    contracts: Object.fromEntries(
+      CONTRACT_KINDS.map((kind) => [kind, contracts[kind] ? contracts[kind].toLowerCase() : null])
+    ),
+  };
+}
+
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+export function getChains() {
+  return getConfig().chains;
+}
+
+export function getChain(chainId) {
+  return getConfig().chains.find((chain) => chain.chainId === Number(chainId)) || null;
+}
+
+export function getDefaultChainId() {
+  return getConfig().defaultChainId;
+}
+
+export function getDefaultChain() {
+  return getChain(getDefaultChainId());
+}
+
+// Chain id from a request parameter, falling back to the default chain
+export function resolveChainId(value) {
+  if (value === undefined || value === null || value === '') {
+    return getDefaultChainId();
+  }
+
+  const chain = getChain(value);
+  if (!chain) {
+    throw createAppError(`Unsupported chain: ${value}`, 400);
+  }
+  return chain.chainId;
+}
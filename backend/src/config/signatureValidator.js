@@ -0,0 +1,9 @@
+// Creation code of src/contracts/MeowfiSignatureValidator.sol: solc 0.8.20, optimizer with 200 runs,
+// EVM version shanghai, no CBOR metadata. It is only ever used in eth_call and never deployed.
+// After changing the contract, regenerate it with the `validator` profile in foundry.toml:
+//   FOUNDRY_PROFILE=validator forge inspect MeowfiSignatureValidator bytecode
+// or with solc directly:
+//   solc --optimize --optimize-runs 200 --evm-version shanghai --no-cbor-metadata --bin --base-path . \
+//     @openzeppelin/=lib/openzeppelin-contracts/ src/contracts/MeowfiSignatureValidator.sol
+export const SIGNATURE_VALIDATOR_BYTECODE =
+  '0x608060405234801561000f575f80fd5b506040516105b33803806105b383398101604081905261002e91610477565b5f61003a848484610045565b9050805f526001601ff35b5f61004f82610126565b15610111578151601f19810183525f9081908190610072908601602087016104cc565b925092509250866001600160a01b03163b5f0361010c575f836001600160a01b0316836040516100a29190610533565b5f604051808303815f865af19150503d805f81146100db576040519150601f19603f3d011682016040523d82523d5f602084013e6100e0565b606091505b505090508015806100f957506001600160a01b0388163b155b1561010a575f94505050505061011f565b505b935050505b61011c848484610162565b90505b9392505050565b5f60208251101561013857505f919050565b50805101517f64926492649264926492649264926492649264926492649264926492649264921490565b5f836001600160a01b03163b5f036101c0575f8061018085856101d2565b5090925090505f8160038111156101995761019961054e565b1480156101b75750856001600160a01b0316826001600160a01b0316145b9250505061011f565b6101cb84848461021b565b905061011f565b5f805f8351604103610209576020840151604085015160608601515f1a6101fb888285856102f2565b955095509550505050610214565b505081515f91506002905b9250925092565b5f805f856001600160a01b0316858560405160240161023b929190610562565b60408051601f198184030181529181526020820180516001600160e01b0316630b135d3f60e11b179052516102709190610533565b5f60405180830381855afa9150503d805f81146102a8576040519150601f19603f3d011682016040523d82523d5f602084013e6102ad565b606091505b50915091508180156102c157506020815110155b80156102e857508051630b135d3f60e11b906102e6908301602090810190840161059b565b145b9695505050505050565b5f80806fa2a8918ca85bafe22016d0b997e4df60600160ff1b0384111561032157505f915060039050826103a6565b604080515f808252602082018084528a905260ff891692820192909252606081018790526080810186905260019060a0016020604051602081039080840390855afa158015610372573d5f803e3d5ffd5b5050604051601f1901519150506001600160a01b03811661039d57505f9250600191508290506103a6565b92505f91508190505b9450945094915050565b6001600160a01b03811681146103c4575f80fd5b50565b634e487b7160e01b5f52604160045260245ffd5b5f5b838110156103f55781810151838201526020016103dd565b50505f910152565b5f82601f83011261040c575f80fd5b81516001600160401b0380821115610426576104266103c7565b604051601f8301601f19908116603f0116810190828211818310171561044e5761044e6103c7565b81604052838152866020858801011115610466575f80fd5b6102e88460208301602089016103db565b5f805f60608486031215610489575f80fd5b8351610494816103b0565b6020850151604086015191945092506001600160401b038111156104b6575f80fd5b6104c2868287016103fd565b9150509250925092565b5f805f606084860312156104de575f80fd5b83516104e9816103b0565b60208501519093506001600160401b0380821115610505575f80fd5b610511878388016103fd565b93506040860151915080821115610526575f80fd5b506104c2868287016103fd565b5f82516105448184602087016103db565b9190910192915050565b634e487b7160e01b5f52602160045260245ffd5b828152604060208201525f82518060408401526105868160608501602087016103db565b601f01601f1916919091016060019392505050565b5f602082840312156105ab575f80fd5b505191905056fe';
@@ -1,8 +1,19 @@
-import { ethers } from 'ethers';
 import { prisma } from '../database/client.js';
 import { createAppError } from '../middleware/errorHandler.js';
-import { getContract } from '../services/blockchain.service.js';
-import { logger } from '../utils/logger.js';
+import { getProvider, getRpcStatus } from '../services/blockchain.service.js';
+import { resolveChainId } from '../config/chains.js';
+import { logAdminAction } from '../utils/adminLog.js';
+
+async function getCurrentAdmin(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: req.admin,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
 
 async function getDashboard(req, res, next) {
   try {
@@ -117,64 +128,69 @@ async function getTransactions(req, res, next) {
   }
 }
 
-async function updateExchangeRate(req, res, next) {
+async function getMetrics(req, res, next) {
   try {
-    const { newRate } = req.body;
-
-    if (!newRate || parseFloat(newRate) <= 0) {
-      throw createAppError('Invalid rate', 400);
-    }
-
-    const contract = getContract();
-    const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
-    const signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-
-    const contractWithSigner = contract.connect(signer);
-    const tx = await contractWithSigner.setTokensPerEth(
-      ethers.parseEther(newRate)
-    );
-
-    await tx.wait();
+    const hours = parseInt(req.query.hours) || 24;
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const chainId = resolveChainId(req.query.chainId);
 
-    // Log admin action
-    await prisma.adminLog.create({
-      data: {
-        adminId: 'system',
-        action: 'UPDATE_EXCHANGE_RATE',
-        details: {
-          oldRate: await contract.tokensPerEth(),
-          newRate,
-          txHash: tx.hash,
-        },
-      },
+    const metrics = await prisma.tokenMetrics.findMany({
+      where: { chainId, timestamp: { gte: since } },
+      orderBy: { timestamp: 'desc' },
+      take: 100,
     });
 
     res.json({
       success: true,
-      data: {
-        txHash: tx.hash,
-        newRate,
-      },
+      data: metrics,
     });
   } catch (error) {
     next(error);
   }
 }
 
-async function getMetrics(req, res, next) {
+async function getIndexerStatus(req, res, next) {
   try {
-    const hours = parseInt(req.query.hours) || 24;
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    // Each chain has its own indexer process, so status is reported for one chain at a time
+    const chainId = resolveChainId(req.query.chainId);
 
-    const metrics = await prisma.tokenMetrics.findMany({
-      where: { timestamp: { gte: since } },
-      orderBy: { timestamp: 'desc' },
-      take: 100,
+    const [currentBlock, states] = await Promise.all([
+      getProvider(chainId).getBlockNumber(),
+      prisma.indexerState.findMany({
+        where: { chainId },
+        orderBy: [{ contractAddress: 'asc' }, { eventName: 'asc' }],
+      }),
+    ]);
+
+    const toStream = (state) => ({
+      contractAddress: state.contractAddress,
+      eventName: state.eventName,
+      lastBlock: Number(state.lastBlock),
+      lastLogIndex: state.lastLogIndex,
+      lag: Math.max(currentBlock - Number(state.lastBlock), 0),
+      updatedAt: state.updatedAt,
     });
 
+    // Backfill checkpoints are keyed "backfill:<from>-<to>:<event>" and don't count towards lag
+    const streams = states.filter((state) => !state.eventName.startsWith('backfill:')).map(toStream);
+    const backfills = states.filter((state) => state.eventName.startsWith('backfill:')).map(toStream);
+
+    // The indexer as a whole is only as far along as its slowest stream
+    const lastProcessedBlock = streams.length > 0
+      ? Math.min(...streams.map((stream) => stream.lastBlock))
+      : null;
+
     res.json({
       success: true,
-      data: metrics,
+      data: {
+        chainId,
+        currentBlock,
+        lastProcessedBlock,
+        lag: lastProcessedBlock === null ? null : currentBlock - lastProcessedBlock,
+        streams,
+        backfills,
+        rpc: getRpcStatus(chainId),
+      },
     });
   } catch (error) {
     next(error);
@@ -235,6 +251,12 @@ async function broadcastNotification(req, res, next) {
       })),
     });
 
+    await logAdminAction(req, 'BROADCAST_NOTIFICATION', {
+      title,
+      type: type || 'SYSTEM_ANNOUNCEMENT',
+      recipients: users.length,
+    });
+
     res.json({
       success: true,
       message: `Notification broadcasted to ${users.length} users`,
@@ -244,13 +266,30 @@ async function broadcastNotification(req, res, next) {
   }
 }
 
+async function getAdmins(req, res, next) {
+  try {
+    const admins = await prisma.admin.findMany({
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: admins,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 export const adminController = {
+  getCurrentAdmin,
   getDashboard,
   getUsers,
   getTransactions,
-  updateExchangeRate,
   getMetrics,
+  getIndexerStatus,
   getLogs,
   broadcastNotification,
+  getAdmins,
 };
 
@@ -0,0 +1,69 @@
+import { ethers } from 'ethers';
+import { prisma } from '../database/client.js';
+import { createAppError } from '../middleware/errorHandler.js';
+import { getAirdropContract } from '../services/blockchain.service.js';
+import { getChain, resolveChainId } from '../config/chains.js';
+
+async function getAirdropProof(req, res, next) {
+  try {
+    const { walletAddress } = req.params;
+    const chainId = resolveChainId(req.query.chainId);
+
+    if (!ethers.isAddress(walletAddress)) {
+      throw createAppError('Invalid wallet address', 400);
+    }
+
+    // Proofs are only good against the root the chain's MeowfiAirdrop deployment holds
+    const contract = getAirdropContract(chainId);
+    if (!contract) {
+      throw createAppError('No airdrop on this chain', 404);
+    }
+
+    const merkleRoot = await contract.merkleRoot();
+    const airdrop = await prisma.airdrop.findUnique({
+      where: { chainId_merkleRoot: { chainId, merkleRoot: merkleRoot.toLowerCase() } },
+    });
+
+    if (!airdrop) {
+      throw createAppError('No airdrop found', 404);
+    }
+
+    const recipient = await prisma.airdropRecipient.findUnique({
+      where: {
+        airdropId_walletAddress: {
+          airdropId: airdrop.id,
+          walletAddress: walletAddress.toLowerCase(),
+        },
+      },
+    });
+
+    if (!recipient) {
+      throw createAppError('Wallet is not eligible for this airdrop', 404);
+    }
+
+    const [claimed, claimDeadline] = await Promise.all([
+      contract.hasClaimed(walletAddress),
+      contract.claimDeadline(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        walletAddress: recipient.walletAddress,
+        merkleRoot: airdrop.merkleRoot,
+        amount: ethers.formatEther(recipient.amount),
+        amountWei: recipient.amount,
+        proof: recipient.proof,
+        claimed,
+        claimDeadline: new Date(Number(claimDeadline) * 1000).toISOString(),
+        contractAddress: getChain(chainId).contracts.airdrop,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export const airdropController = {
+  getAirdropProof,
+};
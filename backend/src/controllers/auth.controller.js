@@ -1,8 +1,122 @@
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
 import jwt from 'jsonwebtoken';
 import { ethers } from 'ethers';
 import { prisma } from '../database/client.js';
 import { createAppError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { parseSiweMessage } from '../utils/siwe.js';
+import { getChain, resolveChainId } from '../config/chains.js';
+import { verifySignature as verifyAccountSignature } from '../services/blockchain.service.js';
+import { integerEnv } from '../utils/env.js';
+
+// A nonce, and the message it is signed into, must be used within this window
+const NONCE_TTL_MS = 10 * 60 * 1000;
+// Tolerated drift between the signer's clock and ours
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Access tokens are short-lived; a session is kept alive by rotating its refresh token.
+// JWT_EXPIRES_IN, the single token lifetime of earlier releases, is deliberately not read:
+// deployments still carry its long value, which would outlive every refresh token rotation.
+const ACCESS_TOKEN_TTL_MINUTES = integerEnv('ACCESS_TOKEN_TTL_MINUTES', 15);
+const REFRESH_TOKEN_TTL_DAYS = integerEnv('REFRESH_TOKEN_TTL_DAYS', 30);
+
+if (process.env.JWT_EXPIRES_IN) {
+  logger.warn(`JWT_EXPIRES_IN is ignored, access tokens expire after ACCESS_TOKEN_TTL_MINUTES (${ACCESS_TOKEN_TTL_MINUTES})`);
+}
+
+// Hosts a SIWE message may name as its domain; defaults to the frontend origin
+function getAllowedDomains() {
+  const domains = process.env.SIWE_DOMAIN || new URL(process.env.CORS_ORIGIN || 'http://localhost:8080').host;
+  return domains.split(',').map((domain) => domain.trim());
+}
+
+// Everything but the nonce, which is only redeemed once the signature checks out
+function validateSiweMessage(fields, walletAddress) {
+  if (!fields) {
+    throw createAppError('Message is not a valid Sign-In with Ethereum message', 400);
+  }
+
+  if (!getAllowedDomains().includes(fields.domain)) {
+    throw createAppError('Message was issued for a different domain', 401);
+  }
+
+  if (!ethers.isAddress(fields.address) || fields.address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw createAppError('Message was issued for a different address', 401);
+  }
+
+  if (fields.version !== '1') {
+    throw createAppError('Unsupported message version', 400);
+  }
+
+  if (!getChain(fields.chainId)) {
+    throw createAppError(`Unsupported chain: ${fields.chainId}`, 401);
+  }
+
+  const now = Date.now();
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS || issuedAt < now - NONCE_TTL_MS - CLOCK_SKEW_MS) {
+    throw createAppError('Message issue time is out of range', 401);
+  }
+
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+    throw createAppError('Message has expired', 401);
+  }
+
+  if (fields.notBefore && !(Date.parse(fields.notBefore) <= now)) {
+    throw createAppError('Message is not valid yet', 401);
+  }
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, walletAddress: user.walletAddress, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }
+  );
+}
+
+// Refresh tokens are opaque; only their hash is stored, so a database leak can't be replayed
+function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function createRefreshToken() {
+  return {
+    refreshToken: randomBytes(32).toString('base64url'),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+// A rotated refresh token coming back means it was copied, so the whole session goes
+async function revokeReusedSession(session) {
+  await prisma.session.deleteMany({
+    where: { id: session.id },
+  });
+  logger.warn(`Refresh token reuse detected, revoked session ${session.id} of user ${session.userId}`);
+}
+
+async function getNonce(req, res, next) {
+  try {
+    const nonce = randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+
+    // Expired nonces can never be redeemed, so clear them out as new ones are issued
+    await prisma.authNonce.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+
+    await prisma.authNonce.create({
+      data: { nonce, expiresAt },
+    });
+
+    res.json({
+      success: true,
+      data: { nonce, expiresAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
 
 async function connectWallet(req, res, next) {
   try {
@@ -12,12 +126,23 @@ async function connectWallet(req, res, next) {
       throw createAppError('Wallet address, signature, and message are required', 400);
     }
 
-    // Verify signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+    const fields = parseSiweMessage(message);
+    validateSiweMessage(fields, walletAddress);
+
+    // Verify signature, contract wallets are checked on the chain the message names
+    const isValid = await verifyAccountSignature(walletAddress, message, signature, fields.chainId);
+    if (!isValid) {
       throw createAppError('Invalid signature', 401);
     }
 
+    // Redeeming deletes the nonce, so a captured signature can't open a second session
+    const { count } = await prisma.authNonce.deleteMany({
+      where: { nonce: fields.nonce, expiresAt: { gt: new Date() } },
+    });
+    if (count === 0) {
+      throw createAppError('Nonce is invalid, expired or already used', 401);
+    }
+
     // Find or create user
     let user = await prisma.user.findUnique({
       where: { walletAddress: walletAddress.toLowerCase() },
@@ -36,21 +161,27 @@ async function connectWallet(req, res, next) {
       });
     }
 
-    // Create session
-    const token = jwt.sign(
-      { userId: user.id, walletAddress: user.walletAddress },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Expired sessions can't be refreshed anymore, so drop them as the user signs in again
+    await prisma.session.deleteMany({
+      where: { userId: user.id, expiresAt: { lt: new Date() } },
+    });
 
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
+    // Create session
+    const sessionId = randomUUID();
+    const token = signAccessToken(user, sessionId);
+    const { refreshToken, expiresAt } = createRefreshToken();
 
     await prisma.session.create({
       data: {
+        id: sessionId,
         userId: user.id,
         token,
         expiresAt,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        refreshTokens: {
+          create: { tokenHash: hashRefreshToken(refreshToken), expiresAt },
+        },
       },
     });
 
@@ -58,6 +189,8 @@ async function connectWallet(req, res, next) {
       success: true,
       data: {
         token,
+        refreshToken,
+        expiresAt,
         user: {
           id: user.id,
           walletAddress: user.walletAddress,
@@ -78,8 +211,11 @@ async function verifySignature(req, res, next) {
       throw createAppError('Wallet address, signature, and message are required', 400);
     }
 
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    const isValid = recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
+    if (!ethers.isAddress(walletAddress)) {
+      throw createAppError('Invalid wallet address', 400);
+    }
+
+    const isValid = await verifyAccountSignature(walletAddress, message, signature, resolveChainId(req.body.chainId));
 
     res.json({
       success: true,
@@ -92,39 +228,73 @@ async function verifySignature(req, res, next) {
 
 async function refreshToken(req, res, next) {
   try {
-    const { token } = req.body;
+    const { refreshToken: presented } = req.body;
 
-    if (!token) {
-      throw createAppError('Token is required', 400);
+    if (!presented) {
+      throw createAppError('Refresh token is required', 400);
     }
 
-    const session = await prisma.session.findUnique({
-      where: { token },
-      include: { user: true },
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashRefreshToken(presented) },
+      include: { session: { include: { user: true } } },
     });
 
-    if (!session || session.expiresAt < new Date()) {
-      throw createAppError('Invalid or expired token', 401);
+    if (!stored) {
+      throw createAppError('Invalid refresh token', 401);
+    }
+
+    if (stored.rotatedAt) {
+      await revokeReusedSession(stored.session);
+      throw createAppError('Refresh token was already used, session revoked', 401);
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw createAppError('Refresh token expired', 401);
     }
 
-    // Create new token
-    const newToken = jwt.sign(
-      { userId: session.userId, walletAddress: session.user.walletAddress },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    const { session } = stored;
+    const token = signAccessToken(session.user, session.id);
+    const { refreshToken, expiresAt } = createRefreshToken();
+    const now = new Date();
 
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    const rotated = await prisma.$transaction(async (tx) => {
+      // Claiming the old token only succeeds once, so of two concurrent refreshes one is treated as reuse
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, rotatedAt: null },
+        data: { rotatedAt: now },
+      });
+      if (count === 0) return false;
+
+      // Rotated tokens are kept for reuse detection until they would have expired anyway
+      await tx.refreshToken.deleteMany({
+        where: { sessionId: session.id, expiresAt: { lt: now } },
+      });
 
-    await prisma.session.update({
-      where: { id: session.id },
-      data: { token: newToken, expiresAt },
+      await tx.refreshToken.create({
+        data: { sessionId: session.id, tokenHash: hashRefreshToken(refreshToken), expiresAt },
+      });
+
+      await tx.session.update({
+        where: { id: session.id },
+        data: {
+          token,
+          expiresAt,
+          lastSeenAt: now,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent'),
+        },
+      });
+      return true;
     });
 
+    if (!rotated) {
+      await revokeReusedSession(session);
+      throw createAppError('Refresh token was already used, session revoked', 401);
+    }
+
     res.json({
       success: true,
-      data: { token: newToken },
+      data: { token, refreshToken, expiresAt },
     });
   } catch (error) {
     next(error);
@@ -150,10 +320,60 @@ async function logout(req, res, next) {
   }
 }
 
+async function getSessions(req, res, next) {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { userId: req.userId, expiresAt: { gt: new Date() } },
+      orderBy: { lastSeenAt: 'desc' },
+      select: {
+        id: true,
+        ipAddress: true,
+        userAgent: true,
+        lastSeenAt: true,
+        createdAt: true,
+        expiresAt: true,
+      },
+    });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Deleting the session drops its refresh tokens and invalidates its access token
+async function revokeSession(req, res, next) {
+  try {
+    const { count } = await prisma.session.deleteMany({
+      where: { id: req.params.id, userId: req.userId },
+    });
+
+    if (count === 0) {
+      throw createAppError('Session not found', 404);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 export const authController = {
+  getNonce,
   connectWallet,
   verifySignature,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
 };
 
@@ -0,0 +1,542 @@
+import { ethers } from 'ethers';
+import { prisma } from '../database/client.js';
+import { createAppError } from '../middleware/errorHandler.js';
+import { getContract, getContractWithSigner, getProvider } from '../services/blockchain.service.js';
+import { resolveChainId } from '../config/chains.js';
+import { cache } from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+import { logAdminAction } from '../utils/adminLog.js';
+import { ADMIN_ROLES } from '../middleware/auth.js';
+import { integerEnv } from '../utils/env.js';
+
+const REQUIRED_APPROVALS = integerEnv('ADMIN_APPROVALS_REQUIRED', 2);
+const PROPOSAL_TTL_MS = integerEnv('ADMIN_PROPOSAL_TTL_HOURS', 72) * 60 * 60 * 1000;
+// An EXECUTING proposal untouched for this long is assumed to have lost the request executing it
+const EXECUTION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Viewers can see proposals, these roles can also propose and approve them
+const APPROVER_ROLES = ['OPERATOR', 'SUPERADMIN'];
+// Only superadmins can propose admin changes, so only their approvals count towards them
+const ADMIN_CHANGE_APPROVER_ROLES = ['SUPERADMIN'];
+
+const PROPOSAL_STATUSES = ['PENDING', 'EXECUTING', 'EXECUTED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+const withApprovals = {
+  approvals: { orderBy: { createdAt: 'asc' } },
+};
+
+// Amounts are in ETH, or MEOW for token amounts, which also has 18 decimals
+function parseAmount(value, label) {
+  let amount = 0n;
+  try {
+    amount = ethers.parseEther(String(value));
+  } catch {
+    // Falls through to the error below
+  }
+
+  if (amount <= 0n) {
+    throw createAppError(`Invalid ${label}`, 400);
+  }
+  return String(value);
+}
+
+// Admins can't change their own role, so the last superadmin can't lock everyone out
+function parseAdminWallet(walletAddress, req) {
+  if (!ethers.isAddress(walletAddress)) {
+    throw createAppError('Invalid wallet address', 400);
+  }
+
+  if (walletAddress.toLowerCase() === req.admin.walletAddress) {
+    throw createAppError('Admins cannot change their own role', 400);
+  }
+
+  return walletAddress.toLowerCase();
+}
+
+// An admin who can no longer approve takes back the approvals still waiting on other admins
+async function withdrawApprovals(tx, walletAddress) {
+  await tx.adminApproval.deleteMany({
+    where: { walletAddress, proposal: { status: 'PENDING' } },
+  });
+}
+
+function parseRecipient(to) {
+  if (!ethers.isAddress(to)) {
+    throw createAppError('Invalid recipient address', 400);
+  }
+  return ethers.getAddress(to);
+}
+
+// How each action's params are checked when it is proposed, and how it is carried out once approved:
+// on-chain actions `execute` a transaction with the server key, admin changes `apply` to the database
+const ACTIONS = {
+  UPDATE_EXCHANGE_RATE: {
+    prepare: async ({ newRate }) => ({ newRate: parseAmount(newRate, 'rate') }),
+    execute: (contract, { newRate }) => contract.setTokensPerEth(ethers.parseEther(newRate)),
+    invalidates: (chainId) => [`token:rate:${chainId}`, `token:info:${chainId}`],
+  },
+  PAUSE_SWAPS: {
+    prepare: async ({ reason }, contract) => {
+      if (await contract.paused()) {
+        throw createAppError('Swaps are already paused', 409);
+      }
+      return { reason: reason ?? null };
+    },
+    execute: (contract) => contract.pause(),
+    invalidates: (chainId) => [`token:status:${chainId}`],
+  },
+  UNPAUSE_SWAPS: {
+    prepare: async ({ reason }, contract) => {
+      if (!(await contract.paused())) {
+        throw createAppError('Swaps are not paused', 409);
+      }
+      return { reason: reason ?? null };
+    },
+    execute: (contract) => contract.unpause(),
+    invalidates: (chainId) => [`token:status:${chainId}`],
+  },
+  WITHDRAW_ETH: {
+    prepare: async ({ to, amount }) => ({ to: parseRecipient(to), amount: parseAmount(amount, 'amount') }),
+    execute: (contract, { to, amount }) => contract.withdrawETH(to, ethers.parseEther(amount)),
+  },
+  WITHDRAW_TOKENS: {
+    prepare: async ({ to, amount }) => ({ to: parseRecipient(to), amount: parseAmount(amount, 'amount') }),
+    execute: (contract, { to, amount }) => contract.withdrawTokens(to, ethers.parseEther(amount)),
+    invalidates: (chainId) => [`token:info:${chainId}`],
+  },
+  // Admin changes need approvals too, or one superadmin could make approvers of wallets they control
+  SET_ADMIN_ROLE: {
+    approverRoles: ADMIN_CHANGE_APPROVER_ROLES,
+    prepare: async ({ walletAddress, role }, contract, req) => {
+      if (!ADMIN_ROLES.includes(role)) {
+        throw createAppError(`Role must be one of ${ADMIN_ROLES.join(', ')}`, 400);
+      }
+      return { walletAddress: parseAdminWallet(walletAddress, req), role };
+    },
+    apply: async (tx, { walletAddress, role }) => {
+      await tx.admin.upsert({
+        where: { walletAddress },
+        create: { walletAddress, role },
+        update: { role },
+      });
+      if (!APPROVER_ROLES.includes(role)) {
+        await withdrawApprovals(tx, walletAddress);
+      }
+    },
+  },
+  REMOVE_ADMIN: {
+    approverRoles: ADMIN_CHANGE_APPROVER_ROLES,
+    prepare: async ({ walletAddress }, contract, req) => {
+      const address = parseAdminWallet(walletAddress, req);
+      if (!(await prisma.admin.findUnique({ where: { walletAddress: address } }))) {
+        throw createAppError('Admin not found', 404);
+      }
+      return { walletAddress: address };
+    },
+    apply: async (tx, { walletAddress }) => {
+      const { count } = await tx.admin.deleteMany({ where: { walletAddress } });
+      if (count === 0) {
+        throw createAppError('Admin not found', 404);
+      }
+      await withdrawApprovals(tx, walletAddress);
+    },
+  },
+};
+
+// Roles whose approvals count towards an action
+function approverRoles(actionName) {
+  return ACTIONS[actionName].approverRoles ?? APPROVER_ROLES;
+}
+
+// Proposals that weren't approved in time can no longer be approved or executed
+async function expireProposals() {
+  await prisma.adminProposal.updateMany({
+    where: { status: 'PENDING', expiresAt: { lt: new Date() } },
+    data: { status: 'EXPIRED' },
+  });
+}
+
+async function findProposal(id) {
+  const proposal = await prisma.adminProposal.findUnique({
+    where: { id },
+    include: withApprovals,
+  });
+
+  if (!proposal) {
+    throw createAppError('Proposal not found', 404);
+  }
+  return proposal;
+}
+
+// Approvals only count while the admin who gave them can still approve
+async function countApprovals(proposal) {
+  return prisma.admin.count({
+    where: {
+      id: { in: proposal.approvals.map((approval) => approval.adminId) },
+      role: { in: approverRoles(proposal.action) },
+    },
+  });
+}
+
+// Settles an EXECUTING proposal. Only the first caller does, whether that is the request that sent
+// the transaction or a later recovery, so the outcome is recorded and logged once.
+async function finishExecution(req, proposal, outcome) {
+  const { count } = await prisma.adminProposal.updateMany({
+    where: { id: proposal.id, status: 'EXECUTING' },
+    data: outcome.error
+      ? { status: 'FAILED', error: outcome.error }
+      : { status: 'EXECUTED', executedAt: new Date() },
+  });
+  if (count === 0) return;
+
+  await logExecution(req, proposal, outcome);
+}
+
+async function logExecution(req, proposal, outcome) {
+  const details = {
+    proposalId: proposal.id,
+    action: proposal.action,
+    chainId: proposal.chainId,
+    txHash: outcome.txHash ?? null,
+    // Settled by a later request, on behalf of the one that sent it
+    ...(outcome.recovered && { recovered: true }),
+  };
+
+  if (outcome.error) {
+    await logAdminAction(req, 'EXECUTE_PROPOSAL_FAILED', { ...details, error: outcome.error });
+    logger.error(`Admin proposal ${proposal.id} (${proposal.action}) failed: ${outcome.error}`);
+    return;
+  }
+
+  for (const key of ACTIONS[proposal.action].invalidates?.(proposal.chainId) ?? []) {
+    await cache.del(key);
+  }
+
+  await logAdminAction(req, 'EXECUTE_PROPOSAL', details);
+  logger.warn(`Admin proposal ${proposal.id} (${proposal.action}) executed`, { txHash: outcome.txHash });
+}
+
+// A mined transaction decides the outcome: status 1 executed the proposal, status 0 reverted it
+function receiptOutcome(receipt) {
+  return receipt.status === 1
+    ? { txHash: receipt.hash }
+    : { txHash: receipt.hash, error: 'Transaction reverted' };
+}
+
+// Carries out the proposal once it has enough approvals
+async function executeIfApproved(req, proposal) {
+  if ((await countApprovals(proposal)) < proposal.requiredApprovals) {
+    return proposal;
+  }
+
+  return ACTIONS[proposal.action].apply ? applyProposal(req, proposal) : sendProposal(req, proposal);
+}
+
+// Admin changes are applied in the same database transaction that marks the proposal executed,
+// so they happen exactly once or, if they fail, not at all
+async function applyProposal(req, proposal) {
+  let applied;
+  try {
+    applied = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.adminProposal.updateMany({
+        where: { id: proposal.id, status: 'PENDING' },
+        data: { status: 'EXECUTED', executedAt: new Date() },
+      });
+      if (count > 0) {
+        await ACTIONS[proposal.action].apply(tx, proposal.params);
+      }
+      return count > 0;
+    });
+  } catch (error) {
+    // Rolled back, so the proposal is still PENDING
+    const { count } = await prisma.adminProposal.updateMany({
+      where: { id: proposal.id, status: 'PENDING' },
+      data: { status: 'FAILED', error: error.message },
+    });
+    if (count > 0) {
+      await logExecution(req, proposal, { error: error.message });
+    }
+    return findProposal(proposal.id);
+  }
+
+  if (applied) {
+    await logExecution(req, proposal, {});
+  }
+  return findProposal(proposal.id);
+}
+
+// Sends the proposal's transaction and records its outcome
+async function sendProposal(req, proposal) {
+  // Only one request can move a proposal out of PENDING, so it is never sent twice
+  const { count } = await prisma.adminProposal.updateMany({
+    where: { id: proposal.id, status: 'PENDING' },
+    data: { status: 'EXECUTING' },
+  });
+  if (count === 0) {
+    return findProposal(proposal.id);
+  }
+
+  let tx;
+  try {
+    const contract = getContractWithSigner(process.env.PRIVATE_KEY, proposal.chainId);
+    tx = await ACTIONS[proposal.action].execute(contract, proposal.params);
+  } catch (error) {
+    // Nothing was sent, so the proposal had no effect
+    await finishExecution(req, proposal, { error: error.shortMessage || error.message });
+    return findProposal(proposal.id);
+  }
+
+  // Recorded before waiting, so the proposal can be settled from its transaction if this request dies
+  await prisma.adminProposal.update({
+    where: { id: proposal.id },
+    data: { txHash: tx.hash },
+  });
+
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    // A reverted transaction still comes with its receipt
+    if (error.code !== 'CALL_EXCEPTION' || !error.receipt) {
+      logger.warn(`Admin proposal ${proposal.id} was sent as ${tx.hash}, its outcome is not known yet: ${error.message}`);
+      return findProposal(proposal.id);
+    }
+    receipt = error.receipt;
+  }
+
+  await finishExecution(req, proposal, receiptOutcome(receipt));
+  return findProposal(proposal.id);
+}
+
+// Settles proposals left EXECUTING by a request that stopped before its transaction was mined
+async function recoverExecutingProposals(req) {
+  const stalled = await prisma.adminProposal.findMany({
+    where: { status: 'EXECUTING', updatedAt: { lt: new Date(Date.now() - EXECUTION_TIMEOUT_MS) } },
+  });
+
+  for (const proposal of stalled) {
+    try {
+      if (!proposal.txHash) {
+        // The request stopped while sending; the signer's history shows whether anything went out
+        await finishExecution(req, proposal, {
+          error: 'Execution stopped before its transaction was recorded, check the signer account before proposing it again',
+          recovered: true,
+        });
+        continue;
+      }
+
+      const prov = getProvider(proposal.chainId);
+      const receipt = await prov.getTransactionReceipt(proposal.txHash);
+
+      if (receipt) {
+        await finishExecution(req, proposal, { ...receiptOutcome(receipt), recovered: true });
+      } else if (!(await prov.getTransaction(proposal.txHash))) {
+        await finishExecution(req, proposal, {
+          txHash: proposal.txHash,
+          error: 'Transaction was dropped or replaced',
+          recovered: true,
+        });
+      }
+    } catch (error) {
+      logger.warn(`Failed to recover admin proposal ${proposal.id}: ${error.message}`);
+    }
+  }
+}
+
+// Handler for one kind of action: the route params and request body hold its params, and
+// on-chain actions take an optional chainId
+function propose(actionName) {
+  const action = ACTIONS[actionName];
+
+  return async (req, res, next) => {
+    try {
+      const input = { ...req.body, ...req.params };
+      const chainId = action.apply ? null : resolveChainId(input.chainId);
+      const params = await action.prepare(input, chainId === null ? null : getContract(chainId), req);
+
+      const requiredApprovals = REQUIRED_APPROVALS;
+      const approvers = await prisma.admin.count({
+        where: { role: { in: approverRoles(actionName) } },
+      });
+      if (approvers < requiredApprovals) {
+        throw createAppError(`${requiredApprovals} approvals are required but only ${approvers} admins can approve`, 409);
+      }
+
+      // Proposing counts as the proposer's approval
+      const proposal = await prisma.adminProposal.create({
+        data: {
+          chainId,
+          action: actionName,
+          params,
+          proposedBy: req.admin.id,
+          requiredApprovals,
+          expiresAt: new Date(Date.now() + PROPOSAL_TTL_MS),
+          approvals: {
+            create: { adminId: req.admin.id, walletAddress: req.admin.walletAddress },
+          },
+        },
+        include: withApprovals,
+      });
+
+      await logAdminAction(req, 'PROPOSE', {
+        proposalId: proposal.id,
+        action: actionName,
+        chainId,
+        params,
+      });
+
+      res.json({
+        success: true,
+        data: await executeIfApproved(req, proposal),
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+async function getProposals(req, res, next) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const { status } = req.query;
+
+    if (status && !PROPOSAL_STATUSES.includes(status)) {
+      throw createAppError(`Status must be one of ${PROPOSAL_STATUSES.join(', ')}`, 400);
+    }
+
+    await expireProposals();
+    await recoverExecutingProposals(req);
+
+    const where = status ? { status } : {};
+
+    const [proposals, total] = await Promise.all([
+      prisma.adminProposal.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: withApprovals,
+      }),
+      prisma.adminProposal.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        proposals,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getProposal(req, res, next) {
+  try {
+    await expireProposals();
+    await recoverExecutingProposals(req);
+
+    res.json({
+      success: true,
+      data: await findProposal(req.params.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function approveProposal(req, res, next) {
+  try {
+    await expireProposals();
+
+    const proposal = await findProposal(req.params.id);
+
+    if (proposal.status !== 'PENDING') {
+      throw createAppError(`Proposal is ${proposal.status.toLowerCase()}`, 409);
+    }
+
+    if (!approverRoles(proposal.action).includes(req.admin.role)) {
+      throw createAppError(`Only ${approverRoles(proposal.action).join(' or ')} admins can approve this proposal`, 403);
+    }
+
+    if (proposal.approvals.some((approval) => approval.adminId === req.admin.id)) {
+      throw createAppError('You have already approved this proposal', 409);
+    }
+
+    try {
+      await prisma.adminApproval.create({
+        data: { proposalId: proposal.id, adminId: req.admin.id, walletAddress: req.admin.walletAddress },
+      });
+    } catch (error) {
+      // The same admin approving twice at once hits the unique constraint
+      if (error.code === 'P2002') {
+        throw createAppError('You have already approved this proposal', 409);
+      }
+      throw error;
+    }
+
+    await logAdminAction(req, 'APPROVE_PROPOSAL', {
+      proposalId: proposal.id,
+      action: proposal.action,
+      chainId: proposal.chainId,
+    });
+
+    res.json({
+      success: true,
+      data: await executeIfApproved(req, await findProposal(proposal.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Only the proposer or a superadmin can withdraw a proposal
+async function cancelProposal(req, res, next) {
+  try {
+    await expireProposals();
+
+    const proposal = await findProposal(req.params.id);
+
+    if (proposal.proposedBy !== req.admin.id && req.admin.role !== 'SUPERADMIN') {
+      throw createAppError('Only the proposer or a superadmin can cancel a proposal', 403);
+    }
+
+    const { count } = await prisma.adminProposal.updateMany({
+      where: { id: proposal.id, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+    if (count === 0) {
+      throw createAppError('Only pending proposals can be cancelled', 409);
+    }
+
+    await logAdminAction(req, 'CANCEL_PROPOSAL', {
+      proposalId: proposal.id,
+      action: proposal.action,
+      chainId: proposal.chainId,
+      reason: req.body?.reason,
+    });
+
+    res.json({
+      success: true,
+      data: await findProposal(proposal.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export const proposalController = {
+  propose,
+  getProposals,
+  getProposal,
+  approveProposal,
+  cancelProposal,
+};
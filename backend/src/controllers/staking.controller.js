@@ -0,0 +1,131 @@
+import { ethers } from 'ethers';
+import { prisma } from '../database/client.js';
+import { cache } from '../utils/redis.js';
+import { createAppError } from '../middleware/errorHandler.js';
+import { getStakingContract } from '../services/blockchain.service.js';
+import { getChain, resolveChainId } from '../config/chains.js';
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+function requireStakingContract(chainId) {
+  const contract = getStakingContract(chainId);
+  if (!contract) {
+    throw createAppError('Staking is not configured', 503);
+  }
+  return contract;
+}
+
+async function getStakingPool(req, res, next) {
+  try {
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `staking:pool:${chainId}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const contract = requireStakingContract(chainId);
+    const [totalStaked, rewardRate, rewardReserve, stakers] = await Promise.all([
+      contract.totalStaked(),
+      contract.rewardRate(),
+      contract.rewardReserve(),
+      prisma.stakingPosition.count({
+        where: { chainId, staked: { not: '0' } },
+      }),
+    ]);
+
+    // Both sides are MEOW, so APR is a year of emissions over what is staked (in basis points for precision).
+    // Rewards stop once the reserve runs dry, so no more than the reserve can be paid out, and 0 when it is empty.
+    const yearlyRewards = rewardRate * SECONDS_PER_YEAR;
+    const payableRewards = yearlyRewards < rewardReserve ? yearlyRewards : rewardReserve;
+    const aprBps = totalStaked > 0n ? (payableRewards * 10000n) / totalStaked : null;
+
+    const pool = {
+      totalStaked: ethers.formatEther(totalStaked),
+      rewardRatePerSecond: ethers.formatEther(rewardRate),
+      rewardReserve: ethers.formatEther(rewardReserve),
+      apr: aprBps === null ? null : (Number(aprBps) / 100).toString(),
+      stakers,
+      chainId,
+      contractAddress: getChain(chainId).contracts.staking,
+    };
+
+    await cache.set(cacheKey, JSON.stringify(pool), 30); // 30 sec cache
+
+    res.json({
+      success: true,
+      data: pool,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getStakingPosition(req, res, next) {
+  try {
+    const { walletAddress } = req.params;
+
+    if (!ethers.isAddress(walletAddress)) {
+      throw createAppError('Invalid wallet address', 400);
+    }
+
+    const address = walletAddress.toLowerCase();
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `staking:position:${chainId}:${address}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const contract = requireStakingContract(chainId);
+    const [staked, pendingRewards, position] = await Promise.all([
+      contract.stakedBalance(address),
+      contract.earned(address),
+      prisma.stakingPosition.findUnique({
+        where: { chainId_walletAddress: { chainId, walletAddress: address } },
+        include: {
+          events: {
+            orderBy: { blockNumber: 'desc' },
+            take: 20,
+          },
+        },
+      }),
+    ]);
+
+    const data = {
+      walletAddress: address,
+      staked: ethers.formatEther(staked),
+      pendingRewards: ethers.formatEther(pendingRewards),
+      rewardsClaimed: ethers.formatEther(position?.rewardsClaimed || '0'),
+      events: (position?.events || []).map((event) => ({
+        type: event.type,
+        amount: ethers.formatEther(event.amount),
+        txHash: event.txHash,
+        blockNumber: event.blockNumber.toString(),
+        createdAt: event.createdAt,
+      })),
+    };
+
+    await cache.set(cacheKey, JSON.stringify(data), 15); // 15 sec cache
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export const stakingController = {
+  getStakingPool,
+  getStakingPosition,
+};
@@ -1,11 +1,17 @@
 import { ethers } from 'ethers';
 import { prisma } from '../database/client.js';
 import { cache } from '../utils/redis.js';
-import { getContract } from '../services/blockchain.service.js';
+import { createAppError } from '../middleware/errorHandler.js';
+import { getContract, PRICING_MODES } from '../services/blockchain.service.js';
+import { getChain, resolveChainId } from '../config/chains.js';
+
+// Largest holder page, so one request can't read the whole holder table
+const MAX_HOLDERS_PER_PAGE = 100;
 
 async function getTokenInfo(req, res, next) {
   try {
-    const cacheKey = 'token:info';
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:info:${chainId}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -15,12 +21,29 @@ async function getTokenInfo(req, res, next) {
       });
     }
 
-    const contract = getContract();
-    const [name, symbol, decimals, totalSupply] = await Promise.all([
+    // Independent reads issued together go out as a single JSON-RPC batch
+    const contract = getContract(chainId);
+    const contractAddress = getChain(chainId).contracts.token;
+    const [
+      name,
+      symbol,
+      decimals,
+      totalSupply,
+      contractBalance,
+      tokensPerEth,
+      maxTokensPerTx,
+      maxTokensPerWallet,
+      buyCooldown,
+    ] = await Promise.all([
       contract.name(),
       contract.symbol(),
       contract.decimals(),
       contract.totalSupply(),
+      contract.balanceOf(contractAddress),
+      contract.currentTokensPerEth(),
+      contract.maxTokensPerTx(),
+      contract.maxTokensPerWallet(),
+      contract.buyCooldown(),
     ]);
 
     const info = {
@@ -28,10 +51,19 @@ async function getTokenInfo(req, res, next) {
       symbol,
       decimals: Number(decimals),
       totalSupply: ethers.formatEther(totalSupply),
-      contractAddress: process.env.CONTRACT_ADDRESS,
+      contractBalance: ethers.formatEther(contractBalance),
+      tokensPerEth: ethers.formatEther(tokensPerEth),
+      chainId,
+      contractAddress,
+      // Buy limits enforced by swapETHForTokens; '0' means no limit
+      purchaseLimits: {
+        maxTokensPerTx: ethers.formatEther(maxTokensPerTx),
+        maxTokensPerWallet: ethers.formatEther(maxTokensPerWallet),
+        buyCooldownSeconds: Number(buyCooldown),
+      },
     };
 
-    await cache.set(cacheKey, JSON.stringify(info), 300); // 5 min cache
+    await cache.set(cacheKey, JSON.stringify(info), 60); // 1 min cache, limits can change
 
     res.json({
       success: true,
@@ -46,9 +78,11 @@ async function getTokenMetrics(req, res, next) {
   try {
     const hours = parseInt(req.query.hours) || 24;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const chainId = resolveChainId(req.query.chainId);
 
     const metrics = await prisma.tokenMetrics.findMany({
       where: {
+        chainId,
         timestamp: {
           gte: since,
         },
@@ -67,7 +101,8 @@ async function getTokenMetrics(req, res, next) {
 
 async function getTokenSupply(req, res, next) {
   try {
-    const cacheKey = 'token:supply';
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:supply:${chainId}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -77,10 +112,10 @@ async function getTokenSupply(req, res, next) {
       });
     }
 
-    const contract = getContract();
+    const contract = getContract(chainId);
     const [totalSupply, contractBalance] = await Promise.all([
       contract.totalSupply(),
-      contract.balanceOf(process.env.CONTRACT_ADDRESS),
+      contract.balanceOf(getChain(chainId).contracts.token),
     ]);
 
     const supply = {
@@ -102,7 +137,8 @@ async function getTokenSupply(req, res, next) {
 
 async function getExchangeRate(req, res, next) {
   try {
-    const cacheKey = 'token:rate';
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:rate:${chainId}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -112,12 +148,19 @@ async function getExchangeRate(req, res, next) {
       });
     }
 
-    const contract = getContract();
-    const tokensPerEth = await contract.tokensPerEth();
+    const contract = getContract(chainId);
+    const [tokensPerEth, baseTokensPerEth, pricingMode] = await Promise.all([
+      contract.currentTokensPerEth(),
+      contract.tokensPerEth(),
+      contract.pricingMode(),
+    ]);
 
+    // On a bonding curve this is the marginal rate for the next token sold
     const rate = {
       tokensPerEth: ethers.formatEther(tokensPerEth),
       ethPerToken: (1 / parseFloat(ethers.formatEther(tokensPerEth))).toString(),
+      baseTokensPerEth: ethers.formatEther(baseTokensPerEth),
+      pricingMode: PRICING_MODES[Number(pricingMode)],
     };
 
     await cache.set(cacheKey, JSON.stringify(rate), 30); // 30 sec cache
@@ -131,16 +174,68 @@ async function getExchangeRate(req, res, next) {
   }
 }
 
+async function getRateHistory(req, res, next) {
+  try {
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:rate:history:${chainId}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const [updates, currentRate] = await Promise.all([
+      prisma.rateUpdate.findMany({
+        where: { chainId },
+        orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }],
+      }),
+      getContract(chainId).tokensPerEth(),
+    ]);
+
+    // Each entry is a step: the rate moved from oldRate to newRate at that block.
+    // oldRate is null when the indexer couldn't read the rate before the first update.
+    const formatRate = (rate) => (rate === null ? null : ethers.formatEther(rate));
+    const history = {
+      currentRate: ethers.formatEther(currentRate),
+      initialRate: updates.length > 0 ? formatRate(updates[0].oldRate) : ethers.formatEther(currentRate),
+      updates: updates.map((update) => ({
+        oldRate: formatRate(update.oldRate),
+        newRate: ethers.formatEther(update.newRate),
+        updatedBy: update.updatedBy,
+        blockNumber: update.blockNumber?.toString() || null,
+        timestamp: (update.blockTimestamp || update.createdAt).toISOString(),
+        txHash: update.txHash,
+      })),
+    };
+
+    await cache.set(cacheKey, JSON.stringify(history), 60); // 1 min cache
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 async function getTokenPrice(req, res, next) {
   try {
-    const contract = getContract();
-    const tokensPerEth = await contract.tokensPerEth();
+    const contract = getContract(resolveChainId(req.query.chainId));
+    const [tokensPerEth, pricingMode] = await Promise.all([
+      contract.currentTokensPerEth(),
+      contract.pricingMode(),
+    ]);
     const rate = parseFloat(ethers.formatEther(tokensPerEth));
 
     // This is a simplified price - in production, you'd fetch ETH/USD price
     const price = {
       priceInEth: (1 / rate).toString(),
       tokensPerEth: rate.toString(),
+      pricingMode: PRICING_MODES[Number(pricingMode)],
       // priceInUsd: (ethPrice * (1 / rate)).toString(), // Would need ETH/USD price
     };
 
@@ -153,11 +248,295 @@ async function getTokenPrice(req, res, next) {
   }
 }
 
+async function getTokenStatus(req, res, next) {
+  try {
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:status:${chainId}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const contract = getContract(chainId);
+    const paused = await contract.paused();
+
+    const status = {
+      paused,
+    };
+
+    await cache.set(cacheKey, JSON.stringify(status), 15); // 15 sec cache
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getSwapQuote(req, res, next) {
+  try {
+    const { side = 'buy', amount } = req.query;
+
+    if (!['buy', 'sell'].includes(side)) {
+      throw createAppError('Side must be buy or sell', 400);
+    }
+
+    if (!amount || !(parseFloat(amount) > 0)) {
+      throw createAppError('Invalid amount', 400);
+    }
+
+    let amountIn;
+    try {
+      amountIn = ethers.parseEther(amount);
+    } catch {
+      throw createAppError('Invalid amount', 400);
+    }
+
+    // Quote through the contract so bonding-curve buys of any size are priced exactly
+    const contract = getContract(resolveChainId(req.query.chainId));
+    const amountOut = side === 'buy'
+      ? await contract.quoteETHForTokens(amountIn)
+      : await contract.quoteTokensForETH(amountIn);
+
+    res.json({
+      success: true,
+      data: {
+        side,
+        amountIn: amount,
+        amountOut: ethers.formatEther(amountOut),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Mirrors MeowfiVesting.vestedAmount: nothing before the cliff, then linear until the end
+function vestedAmount(schedule, now) {
+  const total = BigInt(schedule.totalAmount);
+  const elapsed = Math.floor((now - schedule.start.getTime()) / 1000);
+
+  if (elapsed < schedule.cliffSeconds) return 0n;
+  if (elapsed >= schedule.durationSeconds) return total;
+  return (total * BigInt(elapsed)) / BigInt(schedule.durationSeconds);
+}
+
+async function getVestingSchedules(req, res, next) {
+  try {
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:vesting:${chainId}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const schedules = await prisma.vestingSchedule.findMany({
+      where: { chainId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const now = Date.now();
+    const allocations = {};
+
+    const items = schedules.map((schedule) => {
+      const total = BigInt(schedule.totalAmount);
+      const released = BigInt(schedule.released);
+      const vested = vestedAmount(schedule, now);
+
+      if (!allocations[schedule.allocation]) {
+        allocations[schedule.allocation] = { total: 0n, unlocked: 0n, released: 0n };
+      }
+      const totals = allocations[schedule.allocation];
+      totals.total += total;
+      totals.unlocked += vested;
+      totals.released += released;
+
+      return {
+        beneficiary: schedule.beneficiary,
+        allocation: schedule.allocation,
+        totalAmount: ethers.formatEther(total),
+        unlocked: ethers.formatEther(vested),
+        locked: ethers.formatEther(total - vested),
+        released: ethers.formatEther(released),
+        claimable: ethers.formatEther(vested - released),
+        start: schedule.start.toISOString(),
+        cliffEnd: new Date(schedule.start.getTime() + schedule.cliffSeconds * 1000).toISOString(),
+        end: new Date(schedule.start.getTime() + schedule.durationSeconds * 1000).toISOString(),
+      };
+    });
+
+    const vesting = {
+      schedules: items,
+      allocations: Object.fromEntries(
+        Object.entries(allocations).map(([allocation, totals]) => [
+          allocation,
+          {
+            totalAmount: ethers.formatEther(totals.total),
+            unlocked: ethers.formatEther(totals.unlocked),
+            locked: ethers.formatEther(totals.total - totals.unlocked),
+            released: ethers.formatEther(totals.released),
+          },
+        ])
+      ),
+    };
+
+    await cache.set(cacheKey, JSON.stringify(vesting), 60); // 1 min cache
+
+    res.json({
+      success: true,
+      data: vesting,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getTokenHolders(req, res, next) {
+  try {
+    const page = parseInt(req.query.page ?? '1', 10);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_HOLDERS_PER_PAGE);
+    const chainId = resolveChainId(req.query.chainId);
+
+    if (!(page >= 1)) {
+      throw createAppError('Page must be a number of 1 or more', 400);
+    }
+    const skip = (page - 1) * limit;
+
+    // Balances change with every indexed Transfer, but pages are cached per page and limit and
+    // can't all be found to invalidate, so the list may lag the holder table by up to 30 seconds
+    const cacheKey = `token:holders:${chainId}:${page}:${limit}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const where = { chainId, balance: { gt: 0 } };
+
+    const [holders, total, totalSupply] = await Promise.all([
+      prisma.tokenHolder.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: [{ balance: 'desc' }, { address: 'asc' }],
+      }),
+      prisma.tokenHolder.count({ where }),
+      getContract(chainId).totalSupply(),
+    ]);
+
+    const data = {
+      holders: holders.map((holder, i) => {
+        const balance = BigInt(holder.balance.toFixed());
+        return {
+          rank: skip + i + 1,
+          address: holder.address,
+          balance: ethers.formatEther(balance),
+          percentage: totalSupply > 0n ? Number((balance * 1000000n) / totalSupply) / 10000 : 0,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+
+    await cache.set(cacheKey, JSON.stringify(data), 30); // 30 sec cache
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function getTokenHolder(req, res, next) {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      throw createAppError('Invalid address', 400);
+    }
+
+    const address = req.params.address.toLowerCase();
+    const chainId = resolveChainId(req.query.chainId);
+    const cacheKey = `token:holder:${chainId}:${address}`;
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      return res.json({
+        success: true,
+        data: JSON.parse(cached),
+      });
+    }
+
+    const [holder, transfers] = await Promise.all([
+      prisma.tokenHolder.findUnique({ where: { chainId_address: { chainId, address } } }),
+      prisma.transferEvent.findMany({
+        where: { chainId, OR: [{ fromAddress: address }, { toAddress: address }] },
+        orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }],
+        take: 20,
+      }),
+    ]);
+
+    const hasBalance = holder && holder.balance.gt(0);
+
+    // Rank among holders with a positive balance, 1 being the largest
+    const rank = hasBalance
+      ? (await prisma.tokenHolder.count({ where: { chainId, balance: { gt: holder.balance } } })) + 1
+      : null;
+
+    const data = {
+      address,
+      balance: ethers.formatEther(holder ? holder.balance.toFixed() : '0'),
+      rank,
+      transfers: transfers.map((transfer) => ({
+        direction: transfer.toAddress === address ? 'IN' : 'OUT',
+        from: transfer.fromAddress,
+        to: transfer.toAddress,
+        value: ethers.formatEther(transfer.value),
+        txHash: transfer.txHash,
+        blockNumber: transfer.blockNumber.toString(),
+        createdAt: transfer.createdAt,
+      })),
+    };
+
+    await cache.set(cacheKey, JSON.stringify(data), 15); // 15 sec cache
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 export const tokenController = {
   getTokenInfo,
   getTokenMetrics,
   getTokenSupply,
   getExchangeRate,
+  getRateHistory,
   getTokenPrice,
+  getTokenStatus,
+  getSwapQuote,
+  getVestingSchedules,
+  getTokenHolders,
+  getTokenHolder,
 };
 
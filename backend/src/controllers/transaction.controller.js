@@ -1,6 +1,51 @@
+import { ethers } from 'ethers';
 import { prisma } from '../database/client.js';
 import { createAppError } from '../middleware/errorHandler.js';
 import { cache } from '../utils/redis.js';
+import { getProvider } from '../services/blockchain.service.js';
+import { getChain, resolveChainId } from '../config/chains.js';
+
+// Calls users submit through the app, used to classify a pending transaction
+const APP_INTERFACE = new ethers.Interface([
+  'function swapETHForTokens()',
+  'function swapETHForTokens(uint256 minTokensOut, uint256 deadline)',
+  'function swapTokensForETH(uint256 tokenAmount, uint256 minEthOut)',
+  'function transfer(address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+]);
+
+// Fields for a PENDING row, derived from the submitted (not yet mined) transaction
+function describePendingTransaction(tx, tokenAddress) {
+  const base = {
+    fromAddress: tx.from.toLowerCase(),
+    toAddress: (tx.to || '').toLowerCase(),
+    tokenAddress,
+    amount: tx.value.toString(),
+    type: 'OTHER',
+  };
+
+  if (base.toAddress !== tokenAddress) return base;
+
+  const call = APP_INTERFACE.parseTransaction({ data: tx.data, value: tx.value });
+
+  switch (call?.name) {
+    case 'swapETHForTokens':
+      return { ...base, amountInEth: tx.value.toString(), type: 'SWAP_ETH_TO_TOKEN' };
+    case 'swapTokensForETH':
+      return { ...base, amount: call.args.tokenAmount.toString(), tokenAmount: call.args.tokenAmount.toString(), type: 'SWAP_TOKEN_TO_ETH' };
+    case 'transfer':
+      return { ...base, toAddress: call.args.to.toLowerCase(), amount: call.args.amount.toString(), tokenAmount: call.args.amount.toString(), type: 'TRANSFER' };
+    case 'approve':
+      return { ...base, amount: call.args.amount.toString(), type: 'APPROVAL' };
+    default:
+      return base;
+  }
+}
+
+// Transaction lists span every chain unless ?chainId= narrows them to one
+function chainFilter(req) {
+  return req.query.chainId ? { chainId: resolveChainId(req.query.chainId) } : {};
+}
 
 async function getTransactions(req, res, next) {
   try {
@@ -8,7 +53,7 @@ async function getTransactions(req, res, next) {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const where = {};
+    const where = chainFilter(req);
 
     if (req.query.status) {
       where.status = req.query.status;
@@ -56,8 +101,9 @@ async function getTransactions(req, res, next) {
 async function getTransactionByHash(req, res, next) {
   try {
     const { txHash } = req.params;
+    const chainId = resolveChainId(req.query.chainId);
 
-    const cacheKey = `tx:${txHash}`;
+    const cacheKey = `tx:${chainId}:${txHash}`;
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -68,7 +114,7 @@ async function getTransactionByHash(req, res, next) {
     }
 
     const transaction = await prisma.transaction.findUnique({
-      where: { txHash },
+      where: { chainId_txHash: { chainId, txHash } },
       include: {
         user: {
           select: {
@@ -109,14 +155,16 @@ async function getUserTransactions(req, res, next) {
       throw createAppError('User not found', 404);
     }
 
+    const where = { userId: user.id, ...chainFilter(req) };
+
     const [transactions, total] = await Promise.all([
       prisma.transaction.findMany({
-        where: { userId: user.id },
+        where,
         skip,
         take: limit,
         orderBy: { createdAt: 'desc' },
       }),
-      prisma.transaction.count({ where: { userId: user.id } }),
+      prisma.transaction.count({ where }),
     ]);
 
     res.json({
@@ -143,23 +191,40 @@ async function trackTransaction(req, res, next) {
     }
 
     const { txHash } = req.body;
+    const chainId = resolveChainId(req.body.chainId);
 
     if (!txHash) {
       throw createAppError('Transaction hash is required', 400);
     }
 
+    if (!ethers.isHexString(txHash, 32)) {
+      throw createAppError('Invalid transaction hash', 400);
+    }
+
+    const tx = await getProvider(chainId).getTransaction(txHash);
+
+    if (!tx) {
+      throw createAppError('Transaction not found', 404);
+    }
+
+    // Tracking links the transaction to the caller, so only its sender may do it
+    if (tx.from.toLowerCase() !== req.walletAddress.toLowerCase()) {
+      throw createAppError('Only the sender can track a transaction', 403);
+    }
+
     // Check if transaction already exists
     const existing = await prisma.transaction.findUnique({
-      where: { txHash },
+      where: { chainId_txHash: { chainId, txHash } },
     });
 
     if (existing) {
       // Update user association if needed
-      if (!existing.userId && req.userId) {
+      if (!existing.userId) {
         await prisma.transaction.update({
-          where: { txHash },
+          where: { chainId_txHash: { chainId, txHash } },
           data: { userId: req.userId },
         });
+        await cache.del(`tx:${chainId}:${txHash}`);
       }
 
       return res.json({
@@ -169,9 +234,26 @@ async function trackTransaction(req, res, next) {
       });
     }
 
-    // Transaction will be created by the indexer when it processes the blockchain
+    // Recorded as PENDING now; the pending transaction tracker follows it until it is mined.
+    // The indexer may have created the row in the meantime, in which case it is left as is.
+    const transaction = await prisma.transaction.upsert({
+      where: { chainId_txHash: { chainId, txHash } },
+      create: {
+        chainId,
+        txHash,
+        userId: req.userId,
+        ...describePendingTransaction(tx, getChain(chainId).contracts.token),
+        status: 'PENDING',
+      },
+      update: {},
+    });
+
+    await cache.del('tx:stats:summary');
+    await cache.del(`tx:stats:summary:${chainId}`);
+
     res.json({
       success: true,
+      data: transaction,
       message: 'Transaction tracking initiated',
     });
   } catch (error) {
@@ -181,7 +263,8 @@ async function trackTransaction(req, res, next) {
 
 async function getTransactionStats(req, res, next) {
   try {
-    const cacheKey = 'tx:stats:summary';
+    const filter = chainFilter(req);
+    const cacheKey = filter.chainId ? `tx:stats:summary:${filter.chainId}` : 'tx:stats:summary';
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -191,12 +274,15 @@ async function getTransactionStats(req, res, next) {
       });
     }
 
-    const [total, confirmed, failed, totalVolume] = await Promise.all([
-      prisma.transaction.count(),
-      prisma.transaction.count({ where: { status: 'CONFIRMED' } }),
-      prisma.transaction.count({ where: { status: 'FAILED' } }),
+    const [total, pending, confirmed, reverted, failed, totalVolume] = await Promise.all([
+      prisma.transaction.count({ where: filter }),
+      prisma.transaction.count({ where: { ...filter, status: 'PENDING' } }),
+      prisma.transaction.count({ where: { ...filter, status: 'CONFIRMED' } }),
+      prisma.transaction.count({ where: { ...filter, status: 'REVERTED' } }),
+      prisma.transaction.count({ where: { ...filter, status: 'FAILED' } }),
       prisma.transaction.aggregate({
         where: {
+          ...filter,
           status: 'CONFIRMED',
           type: 'SWAP_ETH_TO_TOKEN',
         },
@@ -206,11 +292,13 @@ async function getTransactionStats(req, res, next) {
       }),
     ]);
 
+    // Reverted transactions were mined, failed ones were dropped or replaced before that
     const stats = {
       total,
+      pending,
       confirmed,
+      reverted,
       failed,
-      pending: total - confirmed - failed,
       totalVolumeEth: totalVolume._sum?.amountInEth || '0',
     };
 
@@ -2,6 +2,9 @@ import jwt from 'jsonwebtoken';
 import { createAppError } from './errorHandler.js';
 import { prisma } from '../database/client.js';
 
+// Last seen is shown per device in minutes, so most requests skip the write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
@@ -22,8 +25,20 @@ export const authenticate = async (req, res, next) => {
       throw createAppError('Session expired', 401);
     }
 
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+      await prisma.session.update({
+        where: { id: session.id },
+        data: {
+          lastSeenAt: new Date(),
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent'),
+        },
+      });
+    }
+
     req.userId = decoded.userId;
     req.walletAddress = decoded.walletAddress;
+    req.sessionId = session.id;
 
     next();
   } catch (error) {
@@ -59,13 +74,27 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-export const requireAdmin = (req, res, next) => {
-  const adminKey = req.headers['x-admin-key'];
+// Order matches the AdminRole enum in schema.prisma, each role includes the ones before it
+export const ADMIN_ROLES = ['VIEWER', 'OPERATOR', 'SUPERADMIN'];
 
-  if (adminKey !== process.env.ADMIN_API_KEY) {
-    return next(createAppError('Admin access required', 403));
-  }
+// Runs after `authenticate`: the signed-in wallet must be an admin with at least `role`
+export const requireAdmin = (role) => async (req, res, next) => {
+  try {
+    const admin = await prisma.admin.findUnique({
+      where: { walletAddress: req.walletAddress.toLowerCase() },
+    });
 
-  next();
-};
+    if (!admin) {
+      throw createAppError('Admin access required', 403);
+    }
+
+    if (ADMIN_ROLES.indexOf(admin.role) < ADMIN_ROLES.indexOf(role)) {
+      throw createAppError(`${role} role required`, 403);
+    }
 
+    req.admin = admin;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
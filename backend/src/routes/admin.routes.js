@@ -1,17 +1,33 @@
 import { Router } from 'express';
 import { adminController } from '../controllers/admin.controller.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { proposalController } from '../controllers/proposal.controller.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
 
 export const adminRoutes = Router();
 
-// All admin routes require admin API key
-adminRoutes.use(requireAdmin);
+// Admins sign in with their wallet like any other user, their role decides what they can do
+adminRoutes.use(authenticate);
 
-adminRoutes.get('/dashboard', adminController.getDashboard);
-adminRoutes.get('/users', adminController.getUsers);
-adminRoutes.get('/transactions', adminController.getTransactions);
-adminRoutes.post('/rate/update', adminController.updateExchangeRate);
-adminRoutes.get('/metrics', adminController.getMetrics);
-adminRoutes.get('/logs', adminController.getLogs);
-adminRoutes.post('/notifications/broadcast', adminController.broadcastNotification);
+adminRoutes.get('/me', requireAdmin('VIEWER'), adminController.getCurrentAdmin);
+adminRoutes.get('/dashboard', requireAdmin('VIEWER'), adminController.getDashboard);
+adminRoutes.get('/users', requireAdmin('VIEWER'), adminController.getUsers);
+adminRoutes.get('/transactions', requireAdmin('VIEWER'), adminController.getTransactions);
+adminRoutes.get('/metrics', requireAdmin('VIEWER'), adminController.getMetrics);
+adminRoutes.get('/indexer', requireAdmin('VIEWER'), adminController.getIndexerStatus);
+adminRoutes.get('/logs', requireAdmin('VIEWER'), adminController.getLogs);
+adminRoutes.post('/notifications/broadcast', requireAdmin('OPERATOR'), adminController.broadcastNotification);
+adminRoutes.get('/admins', requireAdmin('SUPERADMIN'), adminController.getAdmins);
+
+// Admin changes and actions with on-chain effects are proposed, and only carried out once enough admins approve them
+adminRoutes.put('/admins/:walletAddress', requireAdmin('SUPERADMIN'), proposalController.propose('SET_ADMIN_ROLE'));
+adminRoutes.delete('/admins/:walletAddress', requireAdmin('SUPERADMIN'), proposalController.propose('REMOVE_ADMIN'));
+adminRoutes.post('/rate/update', requireAdmin('OPERATOR'), proposalController.propose('UPDATE_EXCHANGE_RATE'));
+adminRoutes.post('/swaps/pause', requireAdmin('OPERATOR'), proposalController.propose('PAUSE_SWAPS'));
+adminRoutes.post('/swaps/unpause', requireAdmin('OPERATOR'), proposalController.propose('UNPAUSE_SWAPS'));
+adminRoutes.post('/withdraw/eth', requireAdmin('OPERATOR'), proposalController.propose('WITHDRAW_ETH'));
+adminRoutes.post('/withdraw/tokens', requireAdmin('OPERATOR'), proposalController.propose('WITHDRAW_TOKENS'));
+adminRoutes.get('/proposals', requireAdmin('VIEWER'), proposalController.getProposals);
+adminRoutes.get('/proposals/:id', requireAdmin('VIEWER'), proposalController.getProposal);
+adminRoutes.post('/proposals/:id/approve', requireAdmin('OPERATOR'), proposalController.approveProposal);
+adminRoutes.post('/proposals/:id/cancel', requireAdmin('OPERATOR'), proposalController.cancelProposal);
 
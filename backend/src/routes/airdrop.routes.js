@@ -0,0 +1,7 @@
+import { Router } from 'express';
+import { airdropController } from '../controllers/airdrop.controller.js';
+
+export const airdropRoutes = Router();
+
+airdropRoutes.get('/proof/:walletAddress', airdropController.getAirdropProof);
+
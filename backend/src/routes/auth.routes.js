@@ -1,11 +1,15 @@
 import { Router } from 'express';
 import { authController } from '../controllers/auth.controller.js';
 import { authRateLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/auth.js';
 
 export const authRoutes = Router();
 
+authRoutes.get('/nonce', authRateLimiter, authController.getNonce);
 authRoutes.post('/wallet/connect', authRateLimiter, authController.connectWallet);
 authRoutes.post('/wallet/verify', authRateLimiter, authController.verifySignature);
 authRoutes.post('/refresh', authController.refreshToken);
 authRoutes.post('/logout', authController.logout);
+authRoutes.get('/sessions', authenticate, authController.getSessions);
+authRoutes.delete('/sessions/:id', authenticate, authController.revokeSession);
 
@@ -7,6 +7,8 @@ import { adminRoutes } from './admin.routes.js';
 import { tokenRoutes } from './token.routes.js';
 import { leaderboardRoutes } from './leaderboard.routes.js';
 import { notificationRoutes } from './notification.routes.js';
+import { airdropRoutes } from './airdrop.routes.js';
+import { stakingRoutes } from './staking.routes.js';
 
 export const setupRoutes = () => {
   const router = Router();
@@ -19,6 +21,8 @@ export const setupRoutes = () => {
   router.use('/token', tokenRoutes);
   router.use('/leaderboard', leaderboardRoutes);
   router.use('/notifications', notificationRoutes);
+  router.use('/airdrop', airdropRoutes);
+  router.use('/staking', stakingRoutes);
 
   return router;
 };
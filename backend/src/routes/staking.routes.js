@@ -0,0 +1,8 @@
+import { Router } from 'express';
+import { stakingController } from '../controllers/staking.controller.js';
+
+export const stakingRoutes = Router();
+
+stakingRoutes.get('/pool', stakingController.getStakingPool);
+stakingRoutes.get('/positions/:walletAddress', stakingController.getStakingPosition);
+
@@ -8,5 +8,11 @@ tokenRoutes.get('/info', tokenController.getTokenInfo);
 tokenRoutes.get('/metrics', tokenController.getTokenMetrics);
 tokenRoutes.get('/supply', tokenController.getTokenSupply);
 tokenRoutes.get('/rate', tokenController.getExchangeRate);
+tokenRoutes.get('/rate/history', tokenController.getRateHistory);
 tokenRoutes.get('/price', optionalAuth, tokenController.getTokenPrice);
+tokenRoutes.get('/status', tokenController.getTokenStatus);
+tokenRoutes.get('/quote', tokenController.getSwapQuote);
+tokenRoutes.get('/vesting', tokenController.getVestingSchedules);
+tokenRoutes.get('/holders', tokenController.getTokenHolders);
+tokenRoutes.get('/holders/:address', tokenController.getTokenHolder);
 
@@ -0,0 +1,151 @@
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { ethers } from 'ethers';
+import { prisma } from '../database/client.js';
+import { logger } from '../utils/logger.js';
+import { buildMerkleTree } from '../utils/merkle.js';
+import { getChain, getDefaultChainId } from '../config/chains.js';
+
+const USAGE = `Usage:
+  npm run airdrop:build -- --csv <file> [--chain <chainId>]
+      CSV rows of "address,amount" with amounts in MEOW. A header row is optional.
+  npm run airdrop:build -- --leaderboard <DAILY|WEEKLY|MONTHLY|ALL_TIME> --pool <MEOW> [--top <n>] [--chain <chainId>]
+      Splits the pool across the top n wallets (default 100) pro rata to their ETH volume.
+  The tree is for the chain's MeowfiAirdrop deployment, the default chain unless --chain is given.`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(USAGE);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+// Merges duplicate wallets so each one gets a single leaf
+function addAllocation(allocations, address, amount) {
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  const wallet = address.toLowerCase();
+  allocations.set(wallet, (allocations.get(wallet) || 0n) + amount);
+}
+
+async function allocationsFromCsv(file) {
+  const allocations = new Map();
+  const lines = (await readFile(file, 'utf8')).split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    const [address, amount] = line.split(',').map((value) => value?.trim());
+    if (!address || (i === 0 && !ethers.isAddress(address))) return; // blank line or header
+
+    addAllocation(allocations, address, ethers.parseEther(amount || ''));
+  });
+
+  return allocations;
+}
+
+async function allocationsFromLeaderboard(period, pool, top) {
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'ALL_TIME'].includes(period)) {
+    throw new Error('Invalid period. Must be DAILY, WEEKLY, MONTHLY, or ALL_TIME');
+  }
+
+  // Latest leaderboard calculated for the period
+  const latest = await prisma.leaderboard.findFirst({
+    where: { period },
+    orderBy: { periodStart: 'desc' },
+  });
+
+  if (!latest) return new Map();
+
+  const entries = await prisma.leaderboard.findMany({
+    where: { period, periodStart: latest.periodStart },
+    orderBy: { rank: 'asc' },
+    take: top,
+  });
+
+  const totalVolume = entries.reduce((sum, entry) => sum + BigInt(entry.totalVolumeEth), 0n);
+  const allocations = new Map();
+
+  if (totalVolume === 0n) return allocations;
+
+  for (const entry of entries) {
+    const amount = (pool * BigInt(entry.totalVolumeEth)) / totalVolume;
+    if (amount > 0n) {
+      addAllocation(allocations, entry.walletAddress, amount);
+    }
+  }
+
+  return allocations;
+}
+
+async function buildAirdrop(args) {
+  const chain = getChain(args.chain ?? getDefaultChainId());
+  if (!chain) {
+    throw new Error(`Chain ${args.chain} is not configured`);
+  }
+
+  let allocations;
+  let source;
+
+  if (args.csv) {
+    allocations = await allocationsFromCsv(args.csv);
+    source = `csv:${args.csv}`;
+  } else if (args.leaderboard) {
+    if (!args.pool) throw new Error(USAGE);
+    const top = parseInt(args.top || '100', 10);
+    allocations = await allocationsFromLeaderboard(args.leaderboard, ethers.parseEther(args.pool), top);
+    source = `leaderboard:${args.leaderboard}`;
+  } else {
+    throw new Error(USAGE);
+  }
+
+  if (allocations.size === 0) {
+    throw new Error('No eligible wallets found');
+  }
+
+  const entries = Array.from(allocations, ([account, amount]) => ({ account, amount }));
+  const { root, proofs } = buildMerkleTree(entries);
+  const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+
+  await prisma.$transaction(async (tx) => {
+    const airdrop = await tx.airdrop.create({
+      data: {
+        chainId: chain.chainId,
+        merkleRoot: root,
+        source,
+        totalAmount: totalAmount.toString(),
+        recipientCount: entries.length,
+      },
+    });
+
+    await tx.airdropRecipient.createMany({
+      data: entries.map((entry, i) => ({
+        airdropId: airdrop.id,
+        walletAddress: entry.account,
+        amount: entry.amount.toString(),
+        proof: proofs[i],
+      })),
+    });
+  });
+
+  logger.info(`Built airdrop from ${source} for chain ${chain.chainId}`);
+  logger.info(`Merkle root: ${root}`);
+  logger.info(`Recipients: ${entries.length}, total: ${ethers.formatEther(totalAmount)} MEOW`);
+  logger.info(`Deploy MeowfiAirdrop on chain ${chain.chainId} with this root and fund it with the total before announcing the claim`);
+}
+
+// Run if invoked directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  buildAirdrop(parseArgs(process.argv.slice(2)))
+    .then(() => prisma.$disconnect())
+    .catch(async (error) => {
+      logger.error(error.message);
+      await prisma.$disconnect();
+      process.exit(1);
+    });
+}
+
+export { buildAirdrop, allocationsFromCsv, allocationsFromLeaderboard };
@@ -0,0 +1,61 @@
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { prisma } from '../database/client.js';
+import { logger } from '../utils/logger.js';
+import { ADMIN_ROLES } from '../middleware/auth.js';
+
+const USAGE = `Usage:
+  npm run admin:grant -- --wallet <address> --role <${ADMIN_ROLES.join('|')}>
+      Grants a wallet an admin role, or changes the one it has. Use it to create the
+      first SUPERADMIN; after that, superadmins manage admins through the admin API.`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(USAGE);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function grantAdmin(args) {
+  const role = args.role?.toUpperCase();
+
+  if (!ethers.isAddress(args.wallet) || !ADMIN_ROLES.includes(role)) {
+    throw new Error(USAGE);
+  }
+
+  const walletAddress = args.wallet.toLowerCase();
+
+  const admin = await prisma.admin.upsert({
+    where: { walletAddress },
+    create: { walletAddress, role },
+    update: { role },
+  });
+
+  // There's no signed-in admin behind a CLI grant, so it is logged as the system
+  await prisma.adminLog.create({
+    data: {
+      adminId: 'system',
+      action: 'SET_ADMIN_ROLE',
+      details: { walletAddress, role, source: 'cli' },
+    },
+  });
+
+  logger.info(`${admin.walletAddress} is now ${admin.role}`);
+}
+
+// Run if invoked directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  grantAdmin(parseArgs(process.argv.slice(2)))
+    .then(() => prisma.$disconnect())
+    .catch(async (error) => {
+      logger.error(error.message);
+      await prisma.$disconnect();
+      process.exit(1);
+    });
+}
+
+export { grantAdmin };
@@ -1,17 +1,23 @@
+// Loaded first, so every module below sees .env when it is evaluated
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import { createServer } from 'http';
 import { Server as SocketIOServer } from 'socket.io';
-import dotenv from 'dotenv';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
 import { setupRoutes } from './routes/index.js';
 import { setupWebSocket } from './websocket/index.js';
-
-dotenv.config();
+import { spawnIndexers, onTransactionUpdate } from './workers/indexer.js';
+import { isRelayEnabled, subscribeToTransactionUpdates } from './utils/transactionUpdates.js';
+import {
+  start as startPendingTracker,
+  stop as stopPendingTracker,
+  onTransactionUpdate as onPendingTransactionUpdate,
+} from './workers/pending-transactions.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -53,7 +59,23 @@ app.get('/health', (req, res) => {
 app.use('/api/v1', rateLimiter, setupRoutes());
 
 // WebSocket setup
-setupWebSocket(io);
+const ws = setupWebSocket(io);
+
+// The per-chain indexers can be supervised by this process so confirmation updates reach websocket clients.
+// An indexer running as its own worker publishes them on Redis instead, and they are relayed from there.
+let stopIndexers = () => {};
+if (process.env.INDEXER_IN_PROCESS === 'true') {
+  onTransactionUpdate(ws.emitTransactionUpdate);
+  stopIndexers = spawnIndexers();
+} else if (isRelayEnabled()) {
+  stopIndexers = subscribeToTransactionUpdates(ws.emitTransactionUpdate);
+} else {
+  logger.warn('Indexer updates only reach websocket clients with INDEXER_IN_PROCESS=true or CACHE_DRIVER=redis');
+}
+
+// Transactions submitted through the app are followed until mined, with each change pushed to tx:<hash>
+onPendingTransactionUpdate(ws.emitTransactionUpdate);
+startPendingTracker();
 
 // Error handling (must be last)
 app.use(errorHandler);
@@ -66,8 +88,10 @@ httpServer.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  stopIndexers();
+  await stopPendingTracker();
   httpServer.close(() => {
     logger.info('Server closed');
     process.exit(0);
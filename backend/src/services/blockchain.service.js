@@ -1,8 +1,8 @@
 import { ethers } from 'ethers';
 import { logger } from '../utils/logger.js';
-
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || '0xA451b908c7AD183aBD55F8AD48C055Da8cb4264d';
-const RPC_URL = process.env.SEPOLIA_RPC_URL || 'https://sepolia.drpc.org';
+import { getChain, getDefaultChainId } from '../config/chains.js';
+import { FailoverProvider } from './rpc.service.js';
+import { SIGNATURE_VALIDATOR_BYTECODE } from '../config/signatureValidator.js';
 
 // Contract ABI
 const MEMECOIN_ABI = [
@@ -12,38 +12,105 @@ const MEMECOIN_ABI = [
   'function totalSupply() view returns (uint256)',
   'function balanceOf(address owner) view returns (uint256)',
   'function tokensPerEth() view returns (uint256)',
+  'function pricingMode() view returns (uint8)',
+  'function currentTokensPerEth() view returns (uint256)',
+  'function quoteETHForTokens(uint256 ethAmount) view returns (uint256)',
+  'function quoteTokensForETH(uint256 tokenAmount) view returns (uint256)',
+  'function paused() view returns (bool)',
+  'function maxTokensPerTx() view returns (uint256)',
+  'function maxTokensPerWallet() view returns (uint256)',
+  'function buyCooldown() view returns (uint256)',
   'function setTokensPerEth(uint256 newRate)',
+  'function pause()',
+  'function unpause()',
+  'function withdrawETH(address to, uint256 amount)',
+  'function withdrawTokens(address to, uint256 amount)',
   'event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount)',
+  'event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount)',
   'event TokensPerEthUpdated(uint256 newRate)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+];
+
+const AIRDROP_ABI = [
+  'function merkleRoot() view returns (bytes32)',
+  'function claimDeadline() view returns (uint256)',
+  'function hasClaimed(address account) view returns (bool)',
+];
+
+const STAKING_ABI = [
+  'function rewardRate() view returns (uint256)',
+  'function rewardReserve() view returns (uint256)',
+  'function totalStaked() view returns (uint256)',
+  'function stakedBalance(address account) view returns (uint256)',
+  'function earned(address account) view returns (uint256)',
 ];
 
-let provider = null;
-let contract = null;
+// Order matches the PricingMode enum in Memecoin.sol
+export const PRICING_MODES = ['FIXED', 'LINEAR', 'EXPONENTIAL'];
+
+// Order matches the Allocation enum in MeowfiVesting.sol
+export const VESTING_ALLOCATIONS = ['COMMUNITY', 'LIQUIDITY', 'DEVELOPMENT'];
 
-export const getProvider = () => {
-  if (!provider) {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
+// Providers and contracts are created once per chain
+const providers = new Map();
+const contracts = new Map();
+
+function requireChain(chainId) {
+  const chain = getChain(chainId);
+  if (!chain) {
+    throw new Error(`Chain ${chainId} is not configured`);
   }
-  return provider;
-};
+  return chain;
+}
 
-export const getContract = () => {
-  if (!contract) {
-    const prov = getProvider();
-    contract = new ethers.Contract(CONTRACT_ADDRESS, MEMECOIN_ABI, prov);
+function getCachedContract(kind, chainId, address, abi) {
+  const key = `${kind}:${chainId}`;
+  if (!contracts.has(key)) {
+    contracts.set(key, new ethers.Contract(address, abi, getProvider(chainId)));
   }
-  return contract;
+  return contracts.get(key);
+}
+
+export const getProvider = (chainId = getDefaultChainId()) => {
+  const chain = requireChain(chainId);
+  if (!providers.has(chain.chainId)) {
+    providers.set(chain.chainId, new FailoverProvider(chain.rpcUrls, chain.chainId));
+  }
+  return providers.get(chain.chainId);
+};
+
+// Health of each configured RPC endpoint, as last seen by the failover provider
+export const getRpcStatus = (chainId = getDefaultChainId()) => getProvider(chainId).getStatus();
+
+export const getContract = (chainId = getDefaultChainId()) => {
+  const chain = requireChain(chainId);
+  return getCachedContract('token', chain.chainId, chain.contracts.token, MEMECOIN_ABI);
+};
+
+// Null when the chain has no MeowfiAirdrop deployment configured
+export const getAirdropContract = (chainId = getDefaultChainId()) => {
+  const chain = requireChain(chainId);
+  if (!chain.contracts.airdrop) return null;
+  return getCachedContract('airdrop', chain.chainId, chain.contracts.airdrop, AIRDROP_ABI);
 };
 
-export const getContractWithSigner = (privateKey) => {
-  const prov = getProvider();
+// Null when the chain has no MeowfiStaking deployment configured
+export const getStakingContract = (chainId = getDefaultChainId()) => {
+  const chain = requireChain(chainId);
+  if (!chain.contracts.staking) return null;
+  return getCachedContract('staking', chain.chainId, chain.contracts.staking, STAKING_ABI);
+};
+
+export const getContractWithSigner = (privateKey, chainId = getDefaultChainId()) => {
+  const prov = getProvider(chainId);
   const signer = new ethers.Wallet(privateKey, prov);
-  return getContract().connect(signer);
+  return getContract(chainId).connect(signer);
 };
 
-export const getTokenBalance = async (address) => {
+export const getTokenBalance = async (address, chainId = getDefaultChainId()) => {
   try {
-    const contract = getContract();
+    const contract = getContract(chainId);
     const balance = await contract.balanceOf(address);
     const decimals = await contract.decimals();
     return ethers.formatUnits(balance, decimals);
@@ -53,10 +120,10 @@ export const getTokenBalance = async (address) => {
   }
 };
 
-export const getExchangeRate = async () => {
+export const getExchangeRate = async (chainId = getDefaultChainId()) => {
   try {
-    const contract = getContract();
-    const rate = await contract.tokensPerEth();
+    const contract = getContract(chainId);
+    const rate = await contract.currentTokensPerEth();
     return ethers.formatEther(rate);
   } catch (error) {
     logger.error('Error getting exchange rate:', error);
@@ -64,10 +131,10 @@ export const getExchangeRate = async () => {
   }
 };
 
-export const getContractBalance = async () => {
+export const getContractBalance = async (chainId = getDefaultChainId()) => {
   try {
-    const contract = getContract();
-    const balance = await contract.balanceOf(CONTRACT_ADDRESS);
+    const contract = getContract(chainId);
+    const balance = await contract.balanceOf(requireChain(chainId).contracts.token);
     const decimals = await contract.decimals();
     return ethers.formatUnits(balance, decimals);
   } catch (error) {
@@ -76,3 +143,40 @@ export const getContractBalance = async () => {
   }
 };
 
+
+/**
+ * Checks a personal_sign signature for any kind of account. EOA signatures are
+ * recovered locally; anything else is handed to the MeowfiSignatureValidator in a
+ * single eth_call, which covers deployed smart-contract wallets (EIP-1271) and
+ * wallets whose deployment is wrapped into the signature (EIP-6492).
+ */
+export const verifySignature = async (address, message, signature, chainId = getDefaultChainId()) => {
+  if (!ethers.isHexString(signature)) return false;
+
+  const hash = ethers.hashMessage(message);
+
+  try {
+    if (ethers.recoverAddress(hash, signature).toLowerCase() === address.toLowerCase()) {
+      return true;
+    }
+  } catch {
+    // Not a plain ECDSA signature, e.g. an EIP-6492 wrapper or a multisig's packed signatures
+  }
+
+  const data = ethers.concat([
+    SIGNATURE_VALIDATOR_BYTECODE,
+    ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32', 'bytes'], [address, hash, signature]),
+  ]);
+
+  try {
+    const result = await getProvider(chainId).call({ data });
+    return result === '0x01';
+  } catch (error) {
+    // A wallet or factory that reverts has rejected the signature, RPC failures still surface
+    if (error.code === 'CALL_EXCEPTION') {
+      return false;
+    }
+    logger.error('Error verifying signature:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import { logger } from '../utils/logger.js';
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10);
+const MAX_RETRIES = parseInt(process.env.RPC_MAX_RETRIES || '3', 10);
+const RETRY_BASE_DELAY_MS = 250;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '30000', 10);
+// An endpoint this many blocks behind the best one is treated as unhealthy
+const MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG || '5', 10);
+// Calls issued in the same tick (e.g. a Promise.all of contract reads) share one JSON-RPC batch
+const BATCH_MAX_COUNT = parseInt(process.env.RPC_BATCH_MAX_COUNT || '50', 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// API keys are often part of the URL path or query, so only the host is ever logged or reported
+function redact(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * JSON-RPC provider over several endpoints of the same chain. Requests go to the
+ * first healthy endpoint and fail over to the next on transport errors; when every
+ * endpoint fails, the whole round is retried with exponential backoff. Errors the
+ * node returns inside the JSON-RPC response (reverts, bad params) are not retried.
+ */
+export class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(urls, chainId) {
+    const network = ethers.Network.from(chainId);
+    super(urls[0], network, { staticNetwork: network, batchMaxCount: BATCH_MAX_COUNT });
+
+    this.endpoints = urls.map((url) => ({
+      url,
+      healthy: true,
+      blockNumber: null,
+      latencyMs: null,
+      lastError: null,
+      checkedAt: null,
+    }));
+
+    if (urls.length > 1) {
+      this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+      this.healthTimer.unref();
+    }
+  }
+
+  async _send(payload) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+
+      // Unhealthy endpoints stay in rotation as a last resort
+      const ordered = [
+        ...this.endpoints.filter((endpoint) => endpoint.healthy),
+        ...this.endpoints.filter((endpoint) => !endpoint.healthy),
+      ];
+
+      for (const endpoint of ordered) {
+        try {
+          const result = await this.sendTo(endpoint, payload);
+          endpoint.healthy = true;
+          return result;
+        } catch (error) {
+          lastError = error;
+          if (endpoint.healthy) {
+            logger.warn(`RPC endpoint ${redact(endpoint.url)} failed, failing over: ${error.shortMessage || error.message}`);
+          }
+          endpoint.healthy = false;
+          endpoint.lastError = error.shortMessage || error.message;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  async sendTo(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = REQUEST_TIMEOUT_MS;
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+
+    const response = await request.send();
+    response.assertOk();
+
+    // Some public endpoints answer a batch they won't serve with a single error object
+    const body = response.bodyJson;
+    if (Array.isArray(payload) && !Array.isArray(body)) {
+      throw new Error(body?.error?.message || 'Endpoint rejected batch request');
+    }
+
+    return Array.isArray(body) ? body : [body];
+  }
+
+  async checkHealth() {
+    const payload = { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] };
+
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        const [result] = await this.sendTo(endpoint, payload);
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        endpoint.blockNumber = Number(result.result);
+        endpoint.latencyMs = Date.now() - startedAt;
+        endpoint.lastError = null;
+      } catch (error) {
+        endpoint.blockNumber = null;
+        endpoint.latencyMs = null;
+        endpoint.lastError = error.shortMessage || error.message;
+      }
+      endpoint.checkedAt = new Date();
+    }));
+
+    const best = Math.max(...this.endpoints.map((endpoint) => endpoint.blockNumber ?? -1));
+
+    for (const endpoint of this.endpoints) {
+      const healthy = endpoint.blockNumber !== null && best - endpoint.blockNumber <= MAX_BLOCK_LAG;
+      if (healthy !== endpoint.healthy) {
+        logger.info(`RPC endpoint ${redact(endpoint.url)} is now ${healthy ? 'healthy' : 'unhealthy'}`);
+      }
+      endpoint.healthy = healthy;
+    }
+  }
+
+  getStatus() {
+    return this.endpoints.map((endpoint) => ({
+      host: redact(endpoint.url),
+      healthy: endpoint.healthy,
+      blockNumber: endpoint.blockNumber,
+      latencyMs: endpoint.latencyMs,
+      lastError: endpoint.lastError,
+      checkedAt: endpoint.checkedAt,
+    }));
+  }
+
+  destroy() {
+    clearInterval(this.healthTimer);
+    super.destroy();
+  }
+}
@@ -0,0 +1,15 @@
+import { prisma } from '../database/client.js';
+
+// Audit trail entry for an action taken by the admin signed in on `req`
+export function logAdminAction(req, action, details) {
+  return prisma.adminLog.create({
+    data: {
+      adminId: req.admin.id,
+      walletAddress: req.admin.walletAddress,
+      action,
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    },
+  });
+}
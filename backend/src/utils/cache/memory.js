@@ -0,0 +1,68 @@
+/**
+ * Process-local cache driver
+ * Entries are only visible to the process that wrote them
+ */
+
+import { logger } from '../logger.js';
+
+export function createMemoryCache() {
+  const memoryCache = new Map();
+
+  // Clean up expired cache entries periodically
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [key, entry] of memoryCache.entries()) {
+      if (entry.expires && entry.expires < now) {
+        memoryCache.delete(key);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) {
+      logger.debug(`Cleaned up ${cleaned} expired cache entries`);
+    }
+  }, 60000); // Clean every minute
+  cleanup.unref();
+
+  // Expired entries are dropped on read, so a key never outlives its TTL
+  const read = (key) => {
+    const entry = memoryCache.get(key);
+    if (!entry) return null;
+
+    if (entry.expires && entry.expires < Date.now()) {
+      memoryCache.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    get: async (key) => read(key)?.value ?? null,
+
+    set: async (key, value, ttl) => {
+      const expires = ttl ? Date.now() + ttl * 1000 : undefined;
+      memoryCache.set(key, { value, expires });
+    },
+
+    del: async (key) => {
+      memoryCache.delete(key);
+    },
+
+    exists: async (key) => read(key) !== null,
+
+    clear: async () => {
+      memoryCache.clear();
+      logger.info('Cache cleared');
+    },
+
+    getStats: async () => ({
+      driver: 'memory',
+      size: memoryCache.size,
+      keys: Array.from(memoryCache.keys()),
+    }),
+
+    close: async () => {
+      clearInterval(cleanup);
+    },
+  };
+}
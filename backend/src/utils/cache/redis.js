@@ -0,0 +1,72 @@
+/**
+ * Redis cache driver
+ * Shared by the API and every worker, so an invalidation in one process is seen by all
+ */
+
+import { logger } from '../logger.js';
+
+/**
+ * Wraps an ioredis-compatible client: a connected `ioredis` instance in production,
+ * or an in-process fake such as `ioredis-mock` in tests.
+ *
+ * The cache is an optimisation, so Redis errors are logged and treated as misses
+ * rather than failing the request. Stale entries are bounded by their TTL.
+ */
+export function createRedisCache(client, keyPrefix = process.env.REDIS_KEY_PREFIX || 'meowfi:') {
+  const prefixed = (key) => `${keyPrefix}${key}`;
+
+  const attempt = async (operation, key, fallback, fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.warn(`Redis ${operation} failed for ${key}: ${error.message}`);
+      return fallback;
+    }
+  };
+
+  return {
+    get: (key) => attempt('get', key, null, () => client.get(prefixed(key))),
+
+    set: (key, value, ttl) => attempt('set', key, undefined, async () => {
+      if (ttl) {
+        await client.set(prefixed(key), value, 'EX', ttl);
+      } else {
+        await client.set(prefixed(key), value);
+      }
+    }),
+
+    del: (key) => attempt('del', key, undefined, async () => {
+      await client.del(prefixed(key));
+    }),
+
+    exists: (key) => attempt('exists', key, false, async () => (await client.exists(prefixed(key))) === 1),
+
+    // Only removes this app's keys, other users of the same Redis are left alone
+    clear: async () => {
+      let cursor = '0';
+      do {
+        const [next, keys] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+        if (keys.length > 0) {
+          await client.del(...keys);
+        }
+        cursor = next;
+      } while (cursor !== '0');
+      logger.info('Cache cleared');
+    },
+
+    getStats: async () => {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+        keys.push(...batch.map((key) => key.slice(keyPrefix.length)));
+        cursor = next;
+      } while (cursor !== '0');
+      return { driver: 'redis', size: keys.length, keys };
+    },
+
+    close: async () => {
+      await client.quit();
+    },
+  };
+}
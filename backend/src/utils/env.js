@@ -0,0 +1,11 @@
+// Integer setting that must be at least `min`. Read when a module loads, so a typo such as
+// ADMIN_APPROVALS_REQUIRED=two stops the process at startup instead of turning into NaN.
+export function integerEnv(name, fallback, min = 1) {
+  const value = process.env[name]?.trim();
+  if (!value) return fallback;
+
+  if (!/^-?\d+$/.test(value) || Number(value) < min) {
+    throw new Error(`${name} must be a whole number of ${min} or more, got "${value}"`);
+  }
+  return Number(value);
+}
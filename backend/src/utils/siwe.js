@@ -0,0 +1,71 @@
+// Sign-In with Ethereum (EIP-4361) message parsing
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional and required fields after the statement, in the order the spec lists them
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+const REQUIRED = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Parses an EIP-4361 message into its fields. Returns null when the message
+ * doesn't follow the format, so callers can reject it without a stack trace.
+ *
+ *   ${domain} wants you to sign in with your Ethereum account:
+ *   ${address}
+ *
+ *   ${statement}
+ *
+ *   URI: ${uri}
+ *   Version: 1
+ *   Chain ID: ${chainId}
+ *   Nonce: ${nonce}
+ *   Issued At: ${issuedAt}
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX) || lines[2] !== '') return null;
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+  };
+
+  // The statement line is optional, but the blank line after its slot is not
+  if (lines[3] !== '') {
+    fields.statement = lines[3] ?? null;
+    lines.splice(3, 1);
+  }
+  if (lines[3] !== '') return null;
+
+  for (let i = 4; i < lines.length; i++) {
+    if (lines[i] === 'Resources:') {
+      fields.resources = lines.slice(i + 1).map((line) => line.replace(/^- /, ''));
+      break;
+    }
+
+    const separator = lines[i].indexOf(': ');
+    const key = FIELDS[lines[i].slice(0, separator)];
+    if (separator === -1 || !key || fields[key] !== undefined) return null;
+    fields[key] = lines[i].slice(separator + 2);
+  }
+
+  if (REQUIRED.some((key) => !fields[key])) return null;
+
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isInteger(fields.chainId)) return null;
+
+  return fields;
+}
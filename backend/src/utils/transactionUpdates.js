@@ -0,0 +1,63 @@
+/**
+ * Transaction updates across processes
+ * An indexer running as its own worker publishes its updates on Redis, and the API server
+ * relays them to websocket clients. Uses the same Redis as the cache, so it needs CACHE_DRIVER=redis.
+ */
+
+import Redis from 'ioredis';
+import { logger } from './logger.js';
+
+let publisher = null;
+
+function getChannel() {
+  return `${process.env.REDIS_KEY_PREFIX || 'meowfi:'}transaction:update`;
+}
+
+function createClient() {
+  const client = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+    maxRetriesPerRequest: 1,
+  });
+  client.on('error', (error) => logger.warn(`Redis connection error: ${error.message}`));
+  return client;
+}
+
+export function isRelayEnabled() {
+  return process.env.CACHE_DRIVER === 'redis';
+}
+
+// Websocket updates are best effort, so a failed publish is only logged
+export async function publishTransactionUpdate(txHash, update) {
+  if (!publisher) {
+    publisher = createClient();
+  }
+
+  try {
+    await publisher.publish(getChannel(), JSON.stringify({ txHash, update }));
+  } catch (error) {
+    logger.warn(`Failed to publish update for ${txHash}: ${error.message}`);
+  }
+}
+
+// Calls handler(txHash, update) for every published update. Returns a function that unsubscribes.
+export function subscribeToTransactionUpdates(handler) {
+  // A subscribed connection can't run other commands, so it gets its own
+  const subscriber = createClient();
+  const channel = getChannel();
+
+  subscriber.on('message', (received, message) => {
+    if (received !== channel) return;
+
+    try {
+      const { txHash, update } = JSON.parse(message);
+      handler(txHash, update);
+    } catch (error) {
+      logger.warn(`Ignoring malformed transaction update: ${error.message}`);
+    }
+  });
+
+  subscriber.subscribe(channel).catch((error) => {
+    logger.error(`Failed to subscribe to transaction updates: ${error.message}`);
+  });
+
+  return () => subscriber.quit();
+}
@@ -1,6 +1,8 @@
+import 'dotenv/config';
 import { prisma } from '../database/client.js';
 import { logger } from '../utils/logger.js';
 import { cache } from '../utils/redis.js';
+import { getChains } from '../config/chains.js';
 import cron from 'node-cron';
 
 let isRunning = false;
@@ -28,17 +30,27 @@ async function start() {
   });
 }
 
+// Metrics are snapshotted separately for every configured chain
 async function calculateMetrics() {
+  for (const chain of getChains()) {
+    await calculateChainMetrics(chain.chainId);
+  }
+}
+
+async function calculateChainMetrics(chainId) {
   try {
-    logger.info('Calculating token metrics...');
+    logger.info(`Calculating token metrics for chain ${chainId}...`);
+
+    const where = { chainId };
 
     // Get latest contract state
     const latestSwap = await prisma.swapEvent.findFirst({
+      where,
       orderBy: { createdAt: 'desc' },
     });
 
     if (!latestSwap) {
-      logger.info('No swap events found, skipping metrics calculation');
+      logger.info(`No swap events found on chain ${chainId}, skipping metrics calculation`);
       return;
     }
 
@@ -49,19 +61,23 @@ async function calculateMetrics() {
       totalVolumeTokens,
       uniqueUsers,
     ] = await Promise.all([
-      prisma.swapEvent.count(),
+      prisma.swapEvent.count({ where }),
       prisma.swapEvent.aggregate({
+        where,
         _sum: { ethAmount: true },
       }),
       prisma.swapEvent.aggregate({
+        where,
         _sum: { tokenAmount: true },
       }),
       prisma.swapEvent.groupBy({
         by: ['buyer'],
+        where,
       }),
     ]);
 
     const metrics = {
+      chainId,
       timestamp: new Date(),
       totalSupply: '1000000000000000000000000000', // 1 billion tokens
       contractBalance: await getContractBalance(),
@@ -79,7 +95,7 @@ async function calculateMetrics() {
     });
 
     // Cache metrics
-    await cache.set('token:metrics', JSON.stringify(metrics), 300); // 5 min cache
+    await cache.set(`token:metrics:${chainId}`, JSON.stringify(metrics), 300); // 5 min cache
 
     logger.info('Token metrics calculated successfully');
   } catch (error) {
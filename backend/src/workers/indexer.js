@@ -1,55 +1,131 @@
+import 'dotenv/config';
+import { fork } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
 import { ethers } from 'ethers';
 import { prisma } from '../database/client.js';
 import { logger } from '../utils/logger.js';
 import { cache } from '../utils/redis.js';
+import { VESTING_ALLOCATIONS, getProvider as getChainProvider } from '../services/blockchain.service.js';
+import { getChain, getChains, getDefaultChainId } from '../config/chains.js';
+import { isRelayEnabled, publishTransactionUpdate } from '../utils/transactionUpdates.js';
 
 // Contract ABI for events we want to listen to
 const MEMECOIN_ABI = [
   'event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount)',
+  'event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount)',
   'event TokensPerEthUpdated(uint256 newRate)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
   'event Transfer(address indexed from, address indexed to, uint256 value)',
 ];
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || '0xA451b908c7AD183aBD55F8AD48C055Da8cb4264d';
-const RPC_URL = process.env.SEPOLIA_RPC_URL || 'https://sepolia.drpc.org';
-const START_BLOCK = parseInt(process.env.START_BLOCK || '0', 10);
+const VESTING_ABI = [
+  'event VestingScheduleCreated(address indexed beneficiary, uint8 allocation, uint256 amount, uint64 start, uint64 cliff, uint64 duration)',
+  'event TokensClaimed(address indexed beneficiary, uint256 amount)',
+  'function schedules(address beneficiary) view returns (uint8 allocation, uint256 totalAmount, uint256 released, uint64 start, uint64 cliff, uint64 duration)',
+];
+
+const STAKING_ABI = [
+  'event Staked(address indexed user, uint256 amount)',
+  'event Unstaked(address indexed user, uint256 amount)',
+  'event RewardClaimed(address indexed user, uint256 amount)',
+];
+
+const TOKEN_EVENTS = ['TokensPurchased', 'TokensSold', 'TokensPerEthUpdated', 'Paused', 'Unpaused', 'Transfer'];
+const VESTING_EVENTS = ['VestingScheduleCreated', 'TokensClaimed'];
+const STAKING_EVENTS = ['Staked', 'Unstaked', 'RewardClaimed'];
+
+// Staking event name -> StakingEventType
+const STAKING_EVENT_TYPES = {
+  Staked: 'STAKE',
+  Unstaked: 'UNSTAKE',
+  RewardClaimed: 'CLAIM',
+};
+
+// Blocks this deep are treated as final; anything newer can still be reorged away
+const CONFIRMATIONS = Math.max(parseInt(process.env.INDEXER_CONFIRMATIONS || '12', 10), 1);
+// Upper bound for a single eth_getLogs range; shrinks on its own when the RPC rejects a range
+const MAX_CHUNK_SIZE = parseInt(process.env.INDEXER_CHUNK_SIZE || '2000', 10);
+
+const POLL_INTERVAL_MS = 5000;
+// With a head subscription open, going this long without a new block means it has stalled
+const HEAD_TIMEOUT_MS = parseInt(process.env.INDEXER_HEAD_TIMEOUT_MS || '60000', 10);
+// After a subscription drops, poll for this long before trying to subscribe again
+const RESUBSCRIBE_DELAY_MS = 30000;
+// Block headers and receipts are kept for this many recent blocks
+const MAX_CACHED_BLOCKS = 256;
+
+const BACKFILL_USAGE = 'Usage: npm run worker:indexer -- --backfill --from <block> --to <block> [--chain <chainId>]';
 
-let provider = null;
+// Each indexer process serves exactly one chain from config/chains.json
+let chain = null;
 let contract = null;
+let vestingContract = null;
+let stakingContract = null;
 let isRunning = false;
-let lastProcessedBlock = START_BLOCK;
+// Forked per-chain indexers report to the parent process, which may push to websocket clients
+let transactionUpdateHandler = (txHash, update) => {
+  if (process.send) {
+    process.send({ type: 'transaction:update', txHash, update });
+  }
+};
+// Set in backfill mode, whose progress is checkpointed apart from live tailing
+let backfillRange = null;
+// Open newHeads subscription, when the chain has a wsUrl and it is connected
+let subscription = null;
+let resubscribeAt = 0;
+// Block hash -> { block, receipts }, so events from the same block share one header and
+// events from the same transaction share one receipt. Keyed by hash, so a reorg can't serve stale data.
+const blockCache = new Map();
 
-function getProvider() {
-  if (!provider) {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
+function useChain(chainId) {
+  chain = getChain(chainId);
+  if (!chain) {
+    throw new Error(`Chain ${chainId} is not configured`);
   }
-  return provider;
+}
+
+function getProvider() {
+  return getChainProvider(chain.chainId);
 }
 
 function getContract() {
   if (!contract) {
     const prov = getProvider();
-    contract = new ethers.Contract(CONTRACT_ADDRESS, MEMECOIN_ABI, prov);
+    contract = new ethers.Contract(chain.contracts.token, MEMECOIN_ABI, prov);
   }
   return contract;
 }
 
-async function start() {
+// Vesting is indexed only when the chain has a MeowfiVesting deployment configured
+function getVestingContract() {
+  if (!vestingContract && chain.contracts.vesting) {
+    const prov = getProvider();
+    vestingContract = new ethers.Contract(chain.contracts.vesting, VESTING_ABI, prov);
+  }
+  return vestingContract;
+}
+
+// Staking is indexed only when the chain has a MeowfiStaking deployment configured
+function getStakingContract() {
+  if (!stakingContract && chain.contracts.staking) {
+    const prov = getProvider();
+    stakingContract = new ethers.Contract(chain.contracts.staking, STAKING_ABI, prov);
+  }
+  return stakingContract;
+}
+
+async function start(chainId = getDefaultChainId()) {
   if (isRunning) {
     logger.warn('Indexer is already running');
     return;
   }
 
+  useChain(chainId);
   isRunning = true;
-  logger.info('Starting blockchain indexer...');
-
-  // Load last processed block from cache
-  const lastBlock = await cache.get('indexer:lastBlock');
-  if (lastBlock) {
-    lastProcessedBlock = parseInt(lastBlock, 10);
-  }
+  logger.info(`Starting blockchain indexer for ${chain.name} (${chain.chainId})...`);
 
-  // Start indexing
+  // Start indexing, resuming from the checkpoints in IndexerState
   indexLoop();
 }
 
@@ -58,15 +134,22 @@ async function indexLoop() {
     try {
       const prov = getProvider();
       const currentBlock = await prov.getBlockNumber();
-      
-      if (currentBlock > lastProcessedBlock) {
-        await processBlocks(lastProcessedBlock + 1, currentBlock);
-        lastProcessedBlock = currentBlock;
-        await cache.set('indexer:lastBlock', currentBlock.toString());
+
+      const forkBlock = await findForkBlock();
+      if (forkBlock !== null) {
+        await rollbackFrom(forkBlock);
       }
 
-      // Wait before next check
-      await new Promise(resolve => setTimeout(resolve, 5000)); // 5 seconds
+      const fromBlock = await getResumeBlock();
+      if (currentBlock >= fromBlock) {
+        // Record hashes before reading logs, so a reorg mid-range shows up on the next check
+        await trackBlockHashes(fromBlock, currentBlock);
+        await processRange(fromBlock, currentBlock);
+      }
+
+      await updateConfirmations(currentBlock);
+
+      await waitForNextBlock();
     } catch (error) {
       logger.error('Error in index loop:', error);
       await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10s on error
@@ -74,30 +157,502 @@ async function indexLoop() {
   }
 }
 
+// Resolves as soon as the subscription reports a new head. Without a subscription,
+// falls back to polling every POLL_INTERVAL_MS.
+async function waitForNextBlock() {
+  if (!subscription && chain.wsUrl && Date.now() >= resubscribeAt) {
+    subscribeToHeads();
+  }
+
+  if (!subscription) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    return;
+  }
+
+  // A head arrived while the last range was being processed
+  if (subscription.pendingHead) {
+    subscription.pendingHead = false;
+    return;
+  }
+
+  const current = subscription;
+  const gotHead = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), HEAD_TIMEOUT_MS);
+    current.wake = (received) => {
+      clearTimeout(timer);
+      current.wake = null;
+      resolve(received);
+    };
+  });
+
+  if (!gotHead && subscription === current) {
+    logger.warn(`No new heads from ${chain.name} for ${HEAD_TIMEOUT_MS}ms, falling back to polling`);
+    unsubscribe();
+  }
+}
+
+// Logs are still read with eth_getLogs, so checkpoints and reorg handling work the same
+// in both modes; a head only tells the loop there is something new to read.
+function subscribeToHeads() {
+  const network = ethers.Network.from(chain.chainId);
+  const wsProvider = new ethers.WebSocketProvider(chain.wsUrl, network, { staticNetwork: network });
+  const current = { provider: wsProvider, pendingHead: false, wake: null };
+
+  wsProvider.on('block', () => {
+    if (current.wake) {
+      current.wake(true);
+    } else {
+      current.pendingHead = true;
+    }
+  });
+
+  wsProvider.websocket.onerror = (error) => {
+    logger.warn(`Head subscription error on ${chain.name}: ${error.message}`);
+  };
+  wsProvider.websocket.onclose = () => {
+    if (subscription !== current) return;
+    logger.warn(`Head subscription to ${chain.name} closed, falling back to polling`);
+    unsubscribe();
+  };
+
+  subscription = current;
+  logger.info(`Subscribed to new heads on ${chain.name}`);
+}
+
+function unsubscribe() {
+  if (!subscription) return;
+
+  const current = subscription;
+  subscription = null;
+  resubscribeAt = Date.now() + RESUBSCRIBE_DELAY_MS;
+
+  // Closing the socket is enough; destroy() would send eth_unsubscribe over it and reject unhandled
+  current.provider.websocket.close();
+  // Let a loop waiting on this subscription carry on polling
+  current.wake?.(false);
+}
+
+function getCachedBlock(blockHash) {
+  let entry = blockCache.get(blockHash);
+  if (!entry) {
+    entry = { block: null, receipts: new Map() };
+    blockCache.set(blockHash, entry);
+
+    // Maps iterate in insertion order, so the first key is the oldest block
+    if (blockCache.size > MAX_CACHED_BLOCKS) {
+      blockCache.delete(blockCache.keys().next().value);
+    }
+  }
+  return entry;
+}
+
+// Header of the block an event was emitted in
+function getEventBlock(event) {
+  const entry = getCachedBlock(event.blockHash);
+  if (!entry.block) {
+    entry.block = getProvider().getBlock(event.blockHash).catch((error) => {
+      entry.block = null;
+      throw error;
+    });
+  }
+  return entry.block;
+}
+
+// Receipt of the transaction that emitted an event
+function getEventReceipt(event) {
+  const { receipts } = getCachedBlock(event.blockHash);
+  const txHash = event.transactionHash;
+  if (!receipts.has(txHash)) {
+    receipts.set(txHash, getProvider().getTransactionReceipt(txHash).catch((error) => {
+      receipts.delete(txHash);
+      throw error;
+    }));
+  }
+  return receipts.get(txHash);
+}
+
+// Contracts being indexed and the events read from each
+function getEventSources() {
+  return [
+    { contract: getContract(), events: TOKEN_EVENTS },
+    { contract: getVestingContract(), events: VESTING_EVENTS },
+    { contract: getStakingContract(), events: STAKING_EVENTS },
+  ].filter((source) => source.contract);
+}
+
+// Checkpoint key of an event; a backfill keys its progress by range so a rerun resumes it
+function streamName(eventName) {
+  return backfillRange ? `backfill:${backfillRange.from}-${backfillRange.to}:${eventName}` : eventName;
+}
+
+// Everything up to (lastBlock, lastLogIndex) of an event stream has been indexed;
+// a null lastLogIndex means all of lastBlock
+async function getCheckpoint(contractAddress, eventName) {
+  const state = await prisma.indexerState.findUnique({
+    where: {
+      chainId_contractAddress_eventName: { chainId: chain.chainId, contractAddress, eventName: streamName(eventName) },
+    },
+  });
+
+  if (!state) {
+    return { lastBlock: backfillRange ? backfillRange.from - 1 : chain.startBlock, lastLogIndex: null };
+  }
+  return { lastBlock: Number(state.lastBlock), lastLogIndex: state.lastLogIndex };
+}
+
+// Takes the prisma client or an interactive transaction, so checkpoints commit with the rows they cover
+async function saveCheckpoint(client, contractAddress, eventName, lastBlock, lastLogIndex = null) {
+  const name = streamName(eventName);
+  await client.indexerState.upsert({
+    where: { chainId_contractAddress_eventName: { chainId: chain.chainId, contractAddress, eventName: name } },
+    create: { chainId: chain.chainId, contractAddress, eventName: name, lastBlock: BigInt(lastBlock), lastLogIndex },
+    update: { lastBlock: BigInt(lastBlock), lastLogIndex },
+  });
+}
+
+async function checkpointEvent(client, event, eventName) {
+  await saveCheckpoint(client, event.address.toLowerCase(), eventName, event.blockNumber, event.index);
+}
+
+function firstUnindexedBlock(checkpoint) {
+  return checkpoint.lastLogIndex === null ? checkpoint.lastBlock + 1 : checkpoint.lastBlock;
+}
+
+// Lowest block any event stream still has to read
+async function getResumeBlock() {
+  let resumeBlock = Infinity;
+
+  for (const { contract: cont, events } of getEventSources()) {
+    const address = cont.target.toLowerCase();
+    for (const eventName of events) {
+      const checkpoint = await getCheckpoint(address, eventName);
+      resumeBlock = Math.min(resumeBlock, firstUnindexedBlock(checkpoint));
+    }
+  }
+
+  return resumeBlock;
+}
+
+// Logs of one event up to toBlock that its checkpoint doesn't cover yet
+async function queryUnindexed(cont, eventName, toBlock) {
+  const checkpoint = await getCheckpoint(cont.target.toLowerCase(), eventName);
+  const fromBlock = firstUnindexedBlock(checkpoint);
+  if (fromBlock > toBlock) return [];
+
+  const events = await cont.queryFilter(cont.filters[eventName](), fromBlock, toBlock);
+  return events.filter(
+    (event) => !(checkpoint.lastLogIndex !== null &&
+      event.blockNumber === checkpoint.lastBlock &&
+      event.index <= checkpoint.lastLogIndex)
+  );
+}
+
+// Mark every event stream of a contract as fully indexed through toBlock,
+// leaving alone any stream that is already further along. Only called once every
+// event in the range has committed: the event handlers rethrow, so a failed event
+// stops the range before this and it is retried from the per-event checkpoints.
+async function completeRange(cont, events, toBlock) {
+  const address = cont.target.toLowerCase();
+  for (const eventName of events) {
+    const checkpoint = await getCheckpoint(address, eventName);
+    if (firstUnindexedBlock(checkpoint) > toBlock) continue;
+
+    await saveCheckpoint(prisma, address, eventName, toBlock);
+  }
+}
+
+// How providers word an eth_getLogs range rejection, e.g. Infura's "query returned more
+// than 10000 results" or Alchemy's "log response size exceeded". Anything else, such as a
+// database error from an event handler, is not fixed by a smaller chunk and is rethrown.
+const RANGE_LIMIT_MESSAGES = [
+  /query returned more than \d+ results/i,
+  /log response size exceeded/i,
+  /eth_getLogs is limited to/i,
+  /block range is too (large|wide)/i,
+  /block range too large/i,
+  /exceed(s|ed)? (the )?max(imum)? block range/i,
+  /range exceeds? (the )?(limit|max)/i,
+  /too many (logs|results|blocks)/i,
+  /response size should not greater than/i,
+];
+
+function isRangeLimitError(error) {
+  const messages = [error.message, error.error?.message, error.info?.error?.message];
+  return messages.some((message) => RANGE_LIMIT_MESSAGES.some((pattern) => pattern.test(message || '')));
+}
+
+// Index a range in chunks, halving the chunk whenever the RPC rejects it and
+// growing it back after each success
+async function processRange(fromBlock, toBlock) {
+  let chunkSize = MAX_CHUNK_SIZE;
+  let start = fromBlock;
+
+  while (start <= toBlock && isRunning) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+
+    try {
+      await processBlocks(start, end);
+    } catch (error) {
+      if (!isRangeLimitError(error) || chunkSize === 1) {
+        throw error;
+      }
+      chunkSize = Math.max(Math.floor(chunkSize / 2), 1);
+      logger.warn(`RPC rejected blocks ${start} to ${end}, retrying with ${chunkSize} block chunks`);
+      continue;
+    }
+
+    start = end + 1;
+    chunkSize = Math.min(chunkSize * 2, MAX_CHUNK_SIZE);
+  }
+}
+
+// Store hashes of the blocks in range that are still within the confirmation window
+async function trackBlockHashes(fromBlock, toBlock) {
+  const prov = getProvider();
+  const firstUnfinal = Math.max(fromBlock, toBlock - CONFIRMATIONS + 1);
+
+  const numbers = [];
+  for (let n = firstUnfinal; n <= toBlock; n++) {
+    numbers.push(n);
+  }
+  const blocks = await Promise.all(numbers.map((n) => prov.getBlock(n)));
+
+  for (const block of blocks) {
+    if (!block) continue;
+    // Events from these blocks are about to be processed and can reuse the header
+    getCachedBlock(block.hash).block = Promise.resolve(block);
+    await prisma.indexedBlock.upsert({
+      where: { chainId_number: { chainId: chain.chainId, number: BigInt(block.number) } },
+      create: { chainId: chain.chainId, number: BigInt(block.number), hash: block.hash },
+      update: { hash: block.hash },
+    });
+  }
+
+  // Keep one final block as the common ancestor for the deepest reorg we handle
+  await prisma.indexedBlock.deleteMany({
+    where: { chainId: chain.chainId, number: { lt: BigInt(toBlock - CONFIRMATIONS) } },
+  });
+}
+
+// Compare tracked hashes with the chain, newest first. Returns the first orphaned
+// block number, or null when the tracked tip is still canonical.
+async function findForkBlock() {
+  const tracked = await prisma.indexedBlock.findMany({
+    where: { chainId: chain.chainId },
+    orderBy: { number: 'desc' },
+  });
+  if (tracked.length === 0) return null;
+
+  const prov = getProvider();
+  for (let i = 0; i < tracked.length; i++) {
+    const block = await prov.getBlock(Number(tracked[i].number));
+    if (block && block.hash === tracked[i].hash) {
+      return i === 0 ? null : Number(tracked[i].number) + 1;
+    }
+  }
+
+  // Deeper than the confirmation window, roll back everything we still track
+  const oldest = Number(tracked[tracked.length - 1].number);
+  logger.error(`Reorg deeper than ${CONFIRMATIONS} blocks, rolling back to block ${oldest}`);
+  return oldest;
+}
+
+// Remove rows indexed from orphaned blocks and rewind so they are re-indexed
+async function rollbackFrom(forkBlock) {
+  logger.warn(`Chain reorg detected, rolling back indexed data from block ${forkBlock}`);
+
+  const where = { chainId: chain.chainId, blockNumber: { gte: BigInt(forkBlock) } };
+
+  const [orphanedTxs, orphanedTransfers, stakers, beneficiaries] = await Promise.all([
+    prisma.transaction.findMany({ where, select: { txHash: true } }),
+    prisma.transferEvent.findMany({ where }),
+    prisma.stakingEvent.findMany({ where, distinct: ['walletAddress'], select: { walletAddress: true } }),
+    prisma.vestingClaim.findMany({ where, distinct: ['beneficiary'], select: { beneficiary: true } }),
+  ]);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.swapEvent.deleteMany({ where });
+    await tx.sellEvent.deleteMany({ where });
+    await tx.rateUpdate.deleteMany({ where });
+    await tx.pauseEvent.deleteMany({ where });
+    await tx.vestingClaim.deleteMany({ where });
+    await tx.vestingSchedule.deleteMany({ where });
+    await tx.stakingEvent.deleteMany({ where });
+    await tx.transferEvent.deleteMany({ where });
+
+    // Undo orphaned transfers by applying them in reverse
+    for (const transfer of orphanedTransfers) {
+      await applyTransfer(tx, transfer.toAddress, transfer.fromAddress, transfer.value);
+    }
+
+    // The transaction may be mined again on the new branch, re-indexing confirms it
+    await tx.transaction.updateMany({
+      where,
+      data: { status: 'PENDING', blockNumber: null, blockHash: null, confirmations: 0 },
+    });
+
+    // Running totals are rebuilt from the events that survived
+    for (const { walletAddress } of stakers) {
+      await rebuildStakingPosition(tx, walletAddress);
+    }
+    for (const { beneficiary } of beneficiaries) {
+      await rebuildVestingReleased(tx, beneficiary);
+    }
+
+    await tx.indexedBlock.deleteMany({ where: { chainId: chain.chainId, number: { gte: BigInt(forkBlock) } } });
+
+    // Rewind every event stream to just before the fork
+    await tx.indexerState.updateMany({
+      where: { chainId: chain.chainId, lastBlock: { gte: BigInt(forkBlock) } },
+      data: { lastBlock: BigInt(forkBlock - 1), lastLogIndex: null },
+    });
+  });
+
+  // Invalidate cache
+  await invalidateTransactionStats();
+  await cache.del(`token:metrics:${chain.chainId}`);
+  await cache.del(`token:rate:${chain.chainId}`);
+  await cache.del(`token:rate:history:${chain.chainId}`);
+  await cache.del(`token:status:${chain.chainId}`);
+  await cache.del(`token:vesting:${chain.chainId}`);
+  await cache.del(`staking:pool:${chain.chainId}`);
+  for (const { walletAddress } of stakers) {
+    await cache.del(`staking:position:${chain.chainId}:${walletAddress}`);
+  }
+  for (const transfer of orphanedTransfers) {
+    await cache.del(`token:holder:${chain.chainId}:${transfer.fromAddress}`);
+    await cache.del(`token:holder:${chain.chainId}:${transfer.toAddress}`);
+  }
+
+  for (const { txHash } of orphanedTxs) {
+    await cache.del(`tx:${chain.chainId}:${txHash}`);
+    transactionUpdateHandler(txHash, {
+      txHash,
+      chainId: chain.chainId,
+      status: 'PENDING',
+      blockNumber: null,
+      confirmations: 0,
+    });
+  }
+
+  logger.warn(`Rolled back ${orphanedTxs.length} transactions, re-indexing from block ${forkBlock}`);
+}
+
+async function rebuildStakingPosition(tx, walletAddress) {
+  const events = await tx.stakingEvent.findMany({ where: { chainId: chain.chainId, walletAddress } });
+
+  let staked = 0n;
+  let rewardsClaimed = 0n;
+  for (const event of events) {
+    const amount = BigInt(event.amount);
+    if (event.type === 'STAKE') staked += amount;
+    if (event.type === 'UNSTAKE') staked -= amount;
+    if (event.type === 'CLAIM') rewardsClaimed += amount;
+  }
+
+  await tx.stakingPosition.update({
+    where: { chainId_walletAddress: { chainId: chain.chainId, walletAddress } },
+    data: { staked: staked.toString(), rewardsClaimed: rewardsClaimed.toString() },
+  });
+}
+
+async function rebuildVestingReleased(tx, beneficiary) {
+  // The whole schedule may have been orphaned along with its claims
+  const schedule = await tx.vestingSchedule.findUnique({
+    where: { chainId_beneficiary: { chainId: chain.chainId, beneficiary } },
+    include: { claims: true },
+  });
+  if (!schedule) return;
+
+  const released = schedule.claims.reduce((sum, claim) => sum + BigInt(claim.amount), 0n);
+
+  await tx.vestingSchedule.update({
+    where: { chainId_beneficiary: { chainId: chain.chainId, beneficiary } },
+    data: { released: released.toString() },
+  });
+}
+
+// Refresh confirmation counts until transactions reach the confirmation depth
+async function updateConfirmations(currentBlock) {
+  const recent = await prisma.transaction.findMany({
+    where: {
+      chainId: chain.chainId,
+      blockNumber: { not: null },
+      confirmations: { lt: CONFIRMATIONS },
+    },
+    select: { txHash: true, status: true, blockNumber: true, confirmations: true },
+  });
+
+  for (const row of recent) {
+    const confirmations = Math.min(currentBlock - Number(row.blockNumber) + 1, CONFIRMATIONS);
+    if (confirmations === row.confirmations) continue;
+
+    await prisma.transaction.update({
+      where: { chainId_txHash: { chainId: chain.chainId, txHash: row.txHash } },
+      data: { confirmations },
+    });
+    await cache.del(`tx:${chain.chainId}:${row.txHash}`);
+
+    transactionUpdateHandler(row.txHash, {
+      txHash: row.txHash,
+      chainId: chain.chainId,
+      status: row.status,
+      blockNumber: row.blockNumber.toString(),
+      confirmations,
+    });
+  }
+}
+
 async function processBlocks(fromBlock, toBlock) {
   logger.info(`Processing blocks ${fromBlock} to ${toBlock}`);
 
   try {
     const cont = getContract();
-    // Get all TokensPurchased events
-    const swapFilter = cont.filters.TokensPurchased();
-    const swapEvents = await cont.queryFilter(swapFilter, fromBlock, toBlock);
+    // Each event type resumes from its own checkpoint
+    const swapEvents = await queryUnindexed(cont, 'TokensPurchased', toBlock);
+    const sellEvents = await queryUnindexed(cont, 'TokensSold', toBlock);
+    const rateEvents = await queryUnindexed(cont, 'TokensPerEthUpdated', toBlock);
 
-    // Get all RateUpdate events
-    const rateFilter = cont.filters.TokensPerEthUpdated();
-    const rateEvents = await cont.queryFilter(rateFilter, fromBlock, toBlock);
+    // Get all Paused/Unpaused events
+    const pausedEvents = await queryUnindexed(cont, 'Paused', toBlock);
+    const unpausedEvents = await queryUnindexed(cont, 'Unpaused', toBlock);
+    const pauseEvents = [...pausedEvents, ...unpausedEvents].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+
+    const transferEvents = await queryUnindexed(cont, 'Transfer', toBlock);
 
     // Process swap events
     for (const event of swapEvents) {
       await processSwapEvent(event);
     }
 
+    // Process sell events
+    for (const event of sellEvents) {
+      await processSellEvent(event);
+    }
+
     // Process rate update events
     for (const event of rateEvents) {
       await processRateUpdateEvent(event);
     }
 
-    logger.info(`Processed ${swapEvents.length} swap events and ${rateEvents.length} rate updates`);
+    // Process pause state changes in chain order
+    for (const event of pauseEvents) {
+      await processPauseEvent(event);
+    }
+
+    // Transfers last, so buys and sells already have their swap transaction rows
+    for (const event of transferEvents) {
+      await processTransferEvent(event);
+    }
+
+    await completeRange(cont, TOKEN_EVENTS, toBlock);
+
+    logger.info(`Processed ${swapEvents.length} swap events, ${sellEvents.length} sell events, ${rateEvents.length} rate updates, ${pauseEvents.length} pause events and ${transferEvents.length} transfers`);
+
+    await processVestingBlocks(toBlock);
+    await processStakingBlocks(toBlock);
   } catch (error) {
     logger.error('Error processing blocks:', error);
     throw error;
@@ -118,80 +673,189 @@ async function processSwapEvent(event) {
     const ethAmount = parsed.args.ethAmount.toString();
     const tokenAmount = parsed.args.tokenAmount.toString();
 
-    const block = await event.getBlock();
-    const tx = await event.getTransactionReceipt();
+    const block = await getEventBlock(event);
+    const receipt = await getEventReceipt(event);
 
-    // Find or create user
-    let user = await prisma.user.findUnique({
-      where: { walletAddress: buyer.toLowerCase() },
-    });
+    await prisma.$transaction(async (tx) => {
+      // Find or create user
+      let user = await tx.user.findUnique({
+        where: { walletAddress: buyer.toLowerCase() },
+      });
+
+      if (!user) {
+        user = await tx.user.create({
+          data: { walletAddress: buyer.toLowerCase() },
+        });
+      }
+
+      // Create or update transaction
+      await tx.transaction.upsert({
+        where: { chainId_txHash: { chainId: chain.chainId, txHash: receipt.hash } },
+        create: {
+          chainId: chain.chainId,
+          txHash: receipt.hash,
+          userId: user.id,
+          fromAddress: buyer.toLowerCase(),
+          toAddress: chain.contracts.token,
+          tokenAddress: chain.contracts.token,
+          amount: ethAmount,
+          amountInEth: ethAmount,
+          tokenAmount: tokenAmount,
+          type: 'SWAP_ETH_TO_TOKEN',
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+          gasUsed: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : undefined,
+          gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+          confirmations: 0,
+        },
+        update: {
+          type: 'SWAP_ETH_TO_TOKEN',
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+          gasUsed: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : undefined,
+          gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+        },
+      });
 
-    if (!user) {
-      user = await prisma.user.create({
-        data: { walletAddress: buyer.toLowerCase() },
+      // Create swap event record
+      await tx.swapEvent.upsert({
+        where: {
+          chainId_txHash_logIndex: {
+            chainId: chain.chainId,
+            txHash: receipt.hash,
+            logIndex: event.index,
+          },
+        },
+        create: {
+          chainId: chain.chainId,
+          txHash: receipt.hash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          buyer: buyer.toLowerCase(),
+          ethAmount: ethAmount,
+          tokenAmount: tokenAmount,
+          tokensPerEth: (BigInt(tokenAmount) / BigInt(ethAmount)).toString(),
+          logIndex: event.index,
+        },
+        update: {},
       });
-    }
 
-    // Create or update transaction
-    const transaction = await prisma.transaction.upsert({
-      where: { txHash: tx.hash },
-      create: {
-        txHash: tx.hash,
-        userId: user.id,
-        fromAddress: buyer.toLowerCase(),
-        toAddress: CONTRACT_ADDRESS.toLowerCase(),
-        tokenAddress: CONTRACT_ADDRESS.toLowerCase(),
-        amount: ethAmount,
-        amountInEth: ethAmount,
-        tokenAmount: tokenAmount,
-        type: 'SWAP_ETH_TO_TOKEN',
-        status: tx.status === 1 ? 'CONFIRMED' : 'FAILED',
-        blockNumber: BigInt(block.number),
-        blockHash: block.hash || undefined,
-        gasUsed: tx.gasUsed ? BigInt(tx.gasUsed.toString()) : undefined,
-        gasPrice: tx.gasPrice ? BigInt(tx.gasPrice.toString()) : undefined,
-        confirmations: 0,
-      },
-      update: {
-        status: tx.status === 1 ? 'CONFIRMED' : 'FAILED',
-        blockNumber: BigInt(block.number),
-        blockHash: block.hash || undefined,
-        gasUsed: tx.gasUsed ? BigInt(tx.gasUsed.toString()) : undefined,
-        gasPrice: tx.gasPrice ? BigInt(tx.gasPrice.toString()) : undefined,
-      },
+      await checkpointEvent(tx, event, 'TokensPurchased');
     });
 
-    // Create swap event record
-    await prisma.swapEvent.upsert({
-      where: {
-        txHash_logIndex: {
-          txHash: tx.hash,
+    // Update metrics
+    await updateMetrics(ethAmount, tokenAmount);
+
+    // Invalidate cache
+    await invalidateTransactionStats();
+    await cache.del(`tx:${chain.chainId}:${receipt.hash}`);
+
+    logger.info(`Processed swap event: ${receipt.hash}`);
+  } catch (error) {
+    logger.error('Error processing swap event:', error);
+    throw error;
+  }
+}
+
+async function processSellEvent(event) {
+  try {
+    const cont = getContract();
+    const parsed = cont.interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const seller = parsed.args.seller;
+    const tokenAmount = parsed.args.tokenAmount.toString();
+    const ethAmount = parsed.args.ethAmount.toString();
+
+    const block = await getEventBlock(event);
+    const receipt = await getEventReceipt(event);
+
+    await prisma.$transaction(async (tx) => {
+      // Find or create user
+      let user = await tx.user.findUnique({
+        where: { walletAddress: seller.toLowerCase() },
+      });
+
+      if (!user) {
+        user = await tx.user.create({
+          data: { walletAddress: seller.toLowerCase() },
+        });
+      }
+
+      // Create or update transaction
+      await tx.transaction.upsert({
+        where: { chainId_txHash: { chainId: chain.chainId, txHash: receipt.hash } },
+        create: {
+          chainId: chain.chainId,
+          txHash: receipt.hash,
+          userId: user.id,
+          fromAddress: seller.toLowerCase(),
+          toAddress: chain.contracts.token,
+          tokenAddress: chain.contracts.token,
+          amount: tokenAmount,
+          amountInEth: ethAmount,
+          tokenAmount: tokenAmount,
+          type: 'SWAP_TOKEN_TO_ETH',
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+          gasUsed: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : undefined,
+          gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+          confirmations: 0,
+        },
+        update: {
+          type: 'SWAP_TOKEN_TO_ETH',
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+          gasUsed: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : undefined,
+          gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+        },
+      });
+
+      // Create sell event record
+      await tx.sellEvent.upsert({
+        where: {
+          chainId_txHash_logIndex: {
+            chainId: chain.chainId,
+            txHash: receipt.hash,
+            logIndex: event.index,
+          },
+        },
+        create: {
+          chainId: chain.chainId,
+          txHash: receipt.hash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          seller: seller.toLowerCase(),
+          tokenAmount: tokenAmount,
+          ethAmount: ethAmount,
+          tokensPerEth: (BigInt(tokenAmount) / BigInt(ethAmount)).toString(),
           logIndex: event.index,
         },
-      },
-      create: {
-        txHash: tx.hash,
-        blockNumber: BigInt(block.number),
-        blockHash: block.hash || '',
-        buyer: buyer.toLowerCase(),
-        ethAmount: ethAmount,
-        tokenAmount: tokenAmount,
-        tokensPerEth: (BigInt(tokenAmount) / BigInt(ethAmount)).toString(),
-        logIndex: event.index,
-      },
-      update: {},
+        update: {},
+      });
+
+      await checkpointEvent(tx, event, 'TokensSold');
     });
 
     // Update metrics
     await updateMetrics(ethAmount, tokenAmount);
 
     // Invalidate cache
-    await cache.del('tx:stats:summary');
-    await cache.del(`tx:${tx.hash}`);
+    await invalidateTransactionStats();
+    await cache.del(`tx:${chain.chainId}:${receipt.hash}`);
 
-    logger.info(`Processed swap event: ${tx.hash}`);
+    logger.info(`Processed sell event: ${receipt.hash}`);
   } catch (error) {
-    logger.error('Error processing swap event:', error);
+    logger.error('Error processing sell event:', error);
+    throw error;
   }
 }
 
@@ -206,59 +870,670 @@ async function processRateUpdateEvent(event) {
     if (!parsed) return;
 
     const newRate = parsed.args.newRate.toString();
-    const block = await event.getBlock();
-    const tx = await event.getTransactionReceipt();
+    const block = await getEventBlock(event);
+    const receipt = await getEventReceipt(event);
 
-    // Get previous rate
-    const prov = getProvider();
+    // A transaction can update the rate more than once, so each log is its own update
+    const existing = await prisma.rateUpdate.findUnique({
+      where: {
+        chainId_txHash_logIndex: {
+          chainId: chain.chainId,
+          txHash: receipt.hash,
+          logIndex: event.index,
+        },
+      },
+    });
+
+    // Already indexed, e.g. by a backfill over the same range
+    if (existing) return;
+
+    const oldRate = await getPreviousRate(block.number, event.index);
+
+    await prisma.$transaction(async (tx) => {
+      // Create rate update record
+      await tx.rateUpdate.create({
+        data: {
+          chainId: chain.chainId,
+          oldRate,
+          newRate: newRate,
+          updatedBy: receipt.from.toLowerCase(),
+          blockNumber: BigInt(block.number),
+          blockTimestamp: new Date(block.timestamp * 1000),
+          txHash: receipt.hash,
+          logIndex: event.index,
+        },
+      });
+
+      await checkpointEvent(tx, event, 'TokensPerEthUpdated');
+    });
+
+    // Invalidate cache
+    await cache.del(`token:metrics:${chain.chainId}`);
+    await cache.del(`token:rate:${chain.chainId}`);
+    await cache.del(`token:rate:history:${chain.chainId}`);
+
+    logger.info(`Processed rate update: ${oldRate ?? 'unknown'} -> ${newRate}`);
+  } catch (error) {
+    logger.error('Error processing rate update event:', error);
+    throw error;
+  }
+}
+
+// The rate in force just before the TokensPerEthUpdated event at (blockNumber, logIndex). Reading
+// tokensPerEth() at the head would return this update's rate, or an even later one.
+// Null when there is no earlier indexed update and the node can't serve the older state.
+// Ordered by log position, as a backfill or a re-index after a rollback inserts rows out of order.
+async function getPreviousRate(blockNumber, logIndex) {
+  const previous = await prisma.rateUpdate.findFirst({
+    where: {
+      chainId: chain.chainId,
+      OR: [
+        { blockNumber: { lt: BigInt(blockNumber) } },
+        { blockNumber: BigInt(blockNumber), logIndex: { lt: logIndex } },
+      ],
+    },
+    orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }],
+  });
+
+  // An earlier update in the same block is newer than any state before the block
+  if (previous && Number(previous.blockNumber) === blockNumber) {
+    return previous.newRate;
+  }
+
+  try {
     const contract = new ethers.Contract(
-      CONTRACT_ADDRESS,
+      chain.contracts.token,
       ['function tokensPerEth() view returns (uint256)'],
-      prov
+      getProvider()
     );
-    const oldRate = await contract.tokensPerEth();
-
-    // Create rate update record
-    await prisma.rateUpdate.create({
-      data: {
-        oldRate: oldRate.toString(),
-        newRate: newRate,
-        updatedBy: tx.from.toLowerCase(),
-        blockNumber: BigInt(block.number),
-        txHash: tx.hash,
+    const rate = await contract.tokensPerEth({ blockTag: blockNumber - 1 });
+    return rate.toString();
+  } catch (error) {
+    // Nodes without archive state can't serve old blocks; the last indexed update is next best
+    if (!previous) {
+      logger.warn(`Historical tokensPerEth() call at block ${blockNumber - 1} failed and no earlier rate update is indexed, recording the old rate as unknown`);
+      return null;
+    }
+    logger.warn(`Historical tokensPerEth() call at block ${blockNumber - 1} failed, using the previous rate update`);
+    return previous.newRate;
+  }
+}
+
+async function processPauseEvent(event) {
+  try {
+    const cont = getContract();
+    const parsed = cont.interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const paused = parsed.name === 'Paused';
+    const account = parsed.args.account;
+    const block = await getEventBlock(event);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.pauseEvent.upsert({
+        where: {
+          chainId_txHash_logIndex: {
+            chainId: chain.chainId,
+            txHash: event.transactionHash,
+            logIndex: event.index,
+          },
+        },
+        create: {
+          chainId: chain.chainId,
+          paused,
+          account: account.toLowerCase(),
+          txHash: event.transactionHash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          logIndex: event.index,
+        },
+        update: {},
+      });
+
+      await checkpointEvent(tx, event, parsed.name);
+    });
+
+    // Invalidate cache
+    await cache.del(`token:status:${chain.chainId}`);
+
+    logger.warn(`Processed ${parsed.name} event: ${event.transactionHash}`);
+  } catch (error) {
+    logger.error('Error processing pause event:', error);
+    throw error;
+  }
+}
+
+async function processTransferEvent(event) {
+  try {
+    const cont = getContract();
+    const parsed = cont.interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const from = parsed.args.from.toLowerCase();
+    const to = parsed.args.to.toLowerCase();
+    const value = parsed.args.value.toString();
+
+    const existing = await prisma.transferEvent.findUnique({
+      where: {
+        chainId_txHash_logIndex: {
+          chainId: chain.chainId,
+          txHash: event.transactionHash,
+          logIndex: event.index,
+        },
       },
     });
 
+    // Already indexed, don't move the balances twice
+    if (existing) return;
+
+    const block = await getEventBlock(event);
+    const receipt = await getEventReceipt(event);
+
+    // Stakes, unstakes, vesting and airdrop claims move MEOW to or from one of our contracts.
+    // They are indexed from those contracts' own events, so here they are only OTHER.
+    const protocolContracts = getProtocolContracts();
+    const isProtocolTransfer = protocolContracts.has(from) || protocolContracts.has(to);
+    const account = protocolContracts.has(from) ? to : from;
+
+    await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({ where: { walletAddress: account } });
+
+      await tx.transferEvent.create({
+        data: {
+          chainId: chain.chainId,
+          fromAddress: from,
+          toAddress: to,
+          value,
+          txHash: event.transactionHash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          logIndex: event.index,
+        },
+      });
+
+      // Buys and sells were indexed first and keep their swap type
+      await tx.transaction.upsert({
+        where: { chainId_txHash: { chainId: chain.chainId, txHash: event.transactionHash } },
+        create: {
+          chainId: chain.chainId,
+          txHash: event.transactionHash,
+          userId: user?.id,
+          fromAddress: from,
+          toAddress: to,
+          tokenAddress: chain.contracts.token,
+          amount: value,
+          tokenAmount: value,
+          type: isProtocolTransfer ? 'OTHER' : 'TRANSFER',
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+          gasUsed: receipt.gasUsed ? BigInt(receipt.gasUsed.toString()) : undefined,
+          gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+          confirmations: 0,
+        },
+        update: {
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || undefined,
+        },
+      });
+
+      await applyTransfer(tx, from, to, value);
+
+      await checkpointEvent(tx, event, 'Transfer');
+    });
+
     // Invalidate cache
-    await cache.del('token:metrics');
-    await cache.del('token:rate');
+    await cache.del(`token:holder:${chain.chainId}:${from}`);
+    await cache.del(`token:holder:${chain.chainId}:${to}`);
+    await cache.del(`tx:${chain.chainId}:${event.transactionHash}`);
 
-    logger.info(`Processed rate update: ${oldRate.toString()} -> ${newRate}`);
+    logger.info(`Processed transfer of ${value} from ${from} to ${to}: ${event.transactionHash}`);
   } catch (error) {
-    logger.error('Error processing rate update event:', error);
+    logger.error('Error processing transfer event:', error);
+    throw error;
+  }
+}
+
+// Staking, vesting and airdrop contracts configured for the chain, lowercased
+function getProtocolContracts() {
+  const { staking, vesting, airdrop } = chain.contracts;
+  return new Set([staking, vesting, airdrop].filter(Boolean).map((address) => address.toLowerCase()));
+}
+
+// Move value between holder balances; mints come from and burns go to the zero address
+async function applyTransfer(tx, from, to, value) {
+  const amount = BigInt(value);
+
+  if (from !== ethers.ZeroAddress) {
+    await tx.tokenHolder.upsert({
+      where: { chainId_address: { chainId: chain.chainId, address: from } },
+      create: { chainId: chain.chainId, address: from, balance: (-amount).toString() },
+      update: { balance: { decrement: amount.toString() } },
+    });
+  }
+
+  if (to !== ethers.ZeroAddress) {
+    await tx.tokenHolder.upsert({
+      where: { chainId_address: { chainId: chain.chainId, address: to } },
+      create: { chainId: chain.chainId, address: to, balance: amount.toString() },
+      update: { balance: { increment: amount.toString() } },
+    });
+  }
+}
+
+async function processVestingBlocks(toBlock) {
+  const vesting = getVestingContract();
+  if (!vesting) return;
+
+  const scheduleEvents = await queryUnindexed(vesting, 'VestingScheduleCreated', toBlock);
+  const claimEvents = await queryUnindexed(vesting, 'TokensClaimed', toBlock);
+
+  // Schedules first, so claims in the same range always have one to update
+  for (const event of scheduleEvents) {
+    await processVestingScheduleEvent(event);
+  }
+
+  for (const event of claimEvents) {
+    await processVestingClaimEvent(event);
+  }
+
+  await completeRange(vesting, VESTING_EVENTS, toBlock);
+
+  logger.info(`Processed ${scheduleEvents.length} vesting schedules and ${claimEvents.length} vesting claims`);
+}
+
+async function processVestingScheduleEvent(event) {
+  try {
+    const parsed = getVestingContract().interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const beneficiary = parsed.args.beneficiary.toLowerCase();
+    const block = await getEventBlock(event);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.vestingSchedule.upsert({
+        where: { chainId_beneficiary: { chainId: chain.chainId, beneficiary } },
+        create: {
+          chainId: chain.chainId,
+          beneficiary,
+          allocation: VESTING_ALLOCATIONS[Number(parsed.args.allocation)],
+          totalAmount: parsed.args.amount.toString(),
+          start: new Date(Number(parsed.args.start) * 1000),
+          cliffSeconds: Number(parsed.args.cliff),
+          durationSeconds: Number(parsed.args.duration),
+          txHash: event.transactionHash,
+          blockNumber: BigInt(block.number),
+        },
+        update: {},
+      });
+
+      await checkpointEvent(tx, event, 'VestingScheduleCreated');
+    });
+
+    // Invalidate cache
+    await cache.del(`token:vesting:${chain.chainId}`);
+
+    logger.info(`Processed vesting schedule for ${beneficiary}: ${event.transactionHash}`);
+  } catch (error) {
+    logger.error('Error processing vesting schedule event:', error);
+    throw error;
+  }
+}
+
+async function processVestingClaimEvent(event) {
+  try {
+    const parsed = getVestingContract().interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const beneficiary = parsed.args.beneficiary.toLowerCase();
+    const amount = parsed.args.amount.toString();
+    const block = await getEventBlock(event);
+
+    const existing = await prisma.vestingClaim.findUnique({
+      where: {
+        chainId_txHash_logIndex: {
+          chainId: chain.chainId,
+          txHash: event.transactionHash,
+          logIndex: event.index,
+        },
+      },
+    });
+
+    // Already indexed, don't count the release twice
+    if (existing) return;
+
+    const where = { chainId_beneficiary: { chainId: chain.chainId, beneficiary } };
+
+    // Schedules are indexed before claims, so this only happens when the schedule was created
+    // before the chain's startBlock or outside a backfill's range. Read it from the contract instead.
+    const missingSchedule = (await prisma.vestingSchedule.findUnique({ where }))
+      ? null
+      : await readVestingSchedule(beneficiary, event);
+
+    await prisma.$transaction(async (tx) => {
+      if (missingSchedule) {
+        await tx.vestingSchedule.upsert({
+          where,
+          create: { chainId: chain.chainId, beneficiary, ...missingSchedule, txHash: event.transactionHash, blockNumber: BigInt(block.number) },
+          update: {},
+        });
+      }
+
+      const schedule = await tx.vestingSchedule.findUnique({ where });
+
+      await tx.vestingClaim.create({
+        data: {
+          chainId: chain.chainId,
+          beneficiary,
+          amount,
+          txHash: event.transactionHash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          logIndex: event.index,
+        },
+      });
+
+      await tx.vestingSchedule.update({
+        where,
+        data: { released: (BigInt(schedule.released) + BigInt(amount)).toString() },
+      });
+
+      await checkpointEvent(tx, event, 'TokensClaimed');
+    });
+
+    // Invalidate cache
+    await cache.del(`token:vesting:${chain.chainId}`);
+
+    logger.info(`Processed vesting claim of ${amount} by ${beneficiary}: ${event.transactionHash}`);
+  } catch (error) {
+    logger.error('Error processing vesting claim event:', error);
+    throw error;
+  }
+}
+
+// Schedule of a beneficiary whose VestingScheduleCreated event wasn't indexed, read at the claim's
+// block. Its terms never change, so the latest block serves when the RPC keeps no history.
+// `released` starts at zero and counts indexed claims only, as rollbacks rebuild it.
+async function readVestingSchedule(beneficiary, event) {
+  const vesting = getVestingContract();
+  let onChain;
+
+  try {
+    onChain = await vesting.schedules(beneficiary, { blockTag: event.blockNumber });
+  } catch (error) {
+    logger.warn(`Could not read the vesting schedule of ${beneficiary} at block ${event.blockNumber}, reading the latest: ${error.message}`);
+    onChain = await vesting.schedules(beneficiary);
+  }
+
+  logger.warn(`No vesting schedule indexed for ${beneficiary}, read it from the contract for ${event.transactionHash}`);
+
+  return {
+    allocation: VESTING_ALLOCATIONS[Number(onChain.allocation)],
+    totalAmount: onChain.totalAmount.toString(),
+    start: new Date(Number(onChain.start) * 1000),
+    cliffSeconds: Number(onChain.cliff),
+    durationSeconds: Number(onChain.duration),
+  };
+}
+
+async function processStakingBlocks(toBlock) {
+  const staking = getStakingContract();
+  if (!staking) return;
+
+  const [stakedEvents, unstakedEvents, claimEvents] = await Promise.all([
+    queryUnindexed(staking, 'Staked', toBlock),
+    queryUnindexed(staking, 'Unstaked', toBlock),
+    queryUnindexed(staking, 'RewardClaimed', toBlock),
+  ]);
+
+  // Apply in chain order so running balances never go negative
+  const events = [...stakedEvents, ...unstakedEvents, ...claimEvents].sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+  );
+
+  for (const event of events) {
+    await processStakingEvent(event);
+  }
+
+  await completeRange(staking, STAKING_EVENTS, toBlock);
+
+  logger.info(`Processed ${events.length} staking events`);
+}
+
+async function processStakingEvent(event) {
+  try {
+    const parsed = getStakingContract().interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+
+    if (!parsed) return;
+
+    const type = STAKING_EVENT_TYPES[parsed.name];
+    const walletAddress = parsed.args.user.toLowerCase();
+    const amount = BigInt(parsed.args.amount.toString());
+    const block = await getEventBlock(event);
+
+    const existing = await prisma.stakingEvent.findUnique({
+      where: {
+        chainId_txHash_logIndex: {
+          chainId: chain.chainId,
+          txHash: event.transactionHash,
+          logIndex: event.index,
+        },
+      },
+    });
+
+    // Already indexed, don't apply the change twice
+    if (existing) return;
+
+    await prisma.$transaction(async (tx) => {
+      const where = { chainId_walletAddress: { chainId: chain.chainId, walletAddress } };
+      const position = await tx.stakingPosition.upsert({
+        where,
+        create: { chainId: chain.chainId, walletAddress },
+        update: {},
+      });
+
+      const staked = BigInt(position.staked);
+      const rewardsClaimed = BigInt(position.rewardsClaimed);
+
+      await tx.stakingPosition.update({
+        where,
+        data: {
+          staked: (type === 'STAKE' ? staked + amount : type === 'UNSTAKE' ? staked - amount : staked).toString(),
+          rewardsClaimed: (type === 'CLAIM' ? rewardsClaimed + amount : rewardsClaimed).toString(),
+        },
+      });
+
+      await tx.stakingEvent.create({
+        data: {
+          chainId: chain.chainId,
+          walletAddress,
+          type,
+          amount: amount.toString(),
+          txHash: event.transactionHash,
+          blockNumber: BigInt(block.number),
+          blockHash: block.hash || '',
+          logIndex: event.index,
+        },
+      });
+
+      await checkpointEvent(tx, event, parsed.name);
+    });
+
+    // Invalidate cache
+    await cache.del(`staking:pool:${chain.chainId}`);
+    await cache.del(`staking:position:${chain.chainId}:${walletAddress}`);
+
+    logger.info(`Processed ${parsed.name} event for ${walletAddress}: ${event.transactionHash}`);
+  } catch (error) {
+    logger.error('Error processing staking event:', error);
+    throw error;
   }
 }
 
 async function updateMetrics(ethAmount, tokenAmount) {
   // This will be called periodically by analytics worker
   // Just invalidate cache here
-  await cache.del('token:metrics');
+  await cache.del(`token:metrics:${chain.chainId}`);
+}
+
+// Stats are cached for all chains together and for each chain on its own
+async function invalidateTransactionStats() {
+  await cache.del('tx:stats:summary');
+  await cache.del(`tx:stats:summary:${chain.chainId}`);
+}
+
+// Receives (txHash, update) whenever a transaction's status or confirmations change
+function onTransactionUpdate(handler) {
+  transactionUpdateHandler = handler;
 }
 
 async function stop() {
   isRunning = false;
+  unsubscribe();
   logger.info('Stopping blockchain indexer...');
 }
 
+// One-off historical indexing of [fromBlock, toBlock], independent of live tailing.
+// Rerunning the same range resumes from its own checkpoints.
+async function backfill(fromBlock, toBlock, chainId = getDefaultChainId()) {
+  if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || fromBlock > toBlock) {
+    throw new Error(BACKFILL_USAGE);
+  }
+
+  useChain(chainId);
+
+  const finalBlock = (await getProvider().getBlockNumber()) - CONFIRMATIONS;
+  if (toBlock > finalBlock) {
+    throw new Error(`Backfill must stop at or before block ${finalBlock}; newer blocks are left to live tailing`);
+  }
+
+  backfillRange = { from: fromBlock, to: toBlock };
+  isRunning = true;
+
+  const resumeBlock = await getResumeBlock();
+  if (resumeBlock > toBlock) {
+    logger.info(`Backfill of blocks ${fromBlock} to ${toBlock} is already complete`);
+    return;
+  }
+
+  logger.info(`Backfilling ${chain.name} blocks ${resumeBlock} to ${toBlock}`);
+  await processRange(resumeBlock, toBlock);
+  logger.info(`Backfill of blocks ${fromBlock} to ${toBlock} complete`);
+}
+
+// Fork one indexer process per configured chain, so a slow or failing RPC only
+// holds up its own chain. Returns a function that stops them all.
+function spawnIndexers() {
+  const children = getChains().map((configured) => {
+    const child = fork(fileURLToPath(import.meta.url), ['--chain', String(configured.chainId)]);
+
+    child.on('message', (message) => {
+      if (message?.type === 'transaction:update') {
+        transactionUpdateHandler(message.txHash, message.update);
+      }
+    });
+
+    child.on('exit', (code, signal) => {
+      if (signal !== 'SIGTERM') {
+        logger.error(`Indexer for chain ${configured.chainId} exited with code ${code}`);
+      }
+    });
+
+    return child;
+  });
+
+  return () => {
+    for (const child of children) {
+      child.kill('SIGTERM');
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const valueOf = (flag) => {
+    const i = argv.indexOf(flag);
+    return i === -1 ? NaN : Number(argv[i + 1]);
+  };
+  return {
+    from: valueOf('--from'),
+    to: valueOf('--to'),
+    chainId: argv.includes('--chain') ? valueOf('--chain') : getDefaultChainId(),
+  };
+}
+
 // Start indexer if run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  start();
+  const argv = process.argv.slice(2);
+  const { from, to, chainId } = parseArgs(argv);
 
-  process.on('SIGTERM', async () => {
-    await stop();
-    process.exit(0);
-  });
+  // Without an API server as the parent, updates reach its websocket clients through Redis
+  if (!process.send && isRelayEnabled()) {
+    onTransactionUpdate(publishTransactionUpdate);
+  }
+
+  if (argv.includes('--backfill')) {
+    process.on('SIGTERM', () => stop());
+
+    backfill(from, to, chainId)
+      .then(() => prisma.$disconnect())
+      .catch(async (error) => {
+        logger.error(error.message);
+        await prisma.$disconnect();
+        process.exit(1);
+      });
+  } else if (argv.includes('--chain')) {
+    start(chainId);
+
+    process.on('SIGTERM', async () => {
+      await stop();
+      process.exit(0);
+    });
+  } else {
+    const stopAll = spawnIndexers();
+
+    process.on('SIGTERM', () => {
+      stopAll();
+      process.exit(0);
+    });
+  }
 }
 
-export { start, stop, processSwapEvent, processRateUpdateEvent };
+export {
+  start,
+  stop,
+  backfill,
+  spawnIndexers,
+  onTransactionUpdate,
+  useChain,
+  findForkBlock,
+  rollbackFrom,
+  processSwapEvent,
+  processSellEvent,
+  processRateUpdateEvent,
+  processPauseEvent,
+  processTransferEvent,
+  processVestingScheduleEvent,
+  processVestingClaimEvent,
+  processStakingEvent,
+};
 
@@ -0,0 +1,150 @@
+import 'dotenv/config';
+import { prisma } from '../database/client.js';
+import { logger } from '../utils/logger.js';
+import { cache } from '../utils/redis.js';
+import { getProvider } from '../services/blockchain.service.js';
+import { integerEnv } from '../utils/env.js';
+
+const POLL_INTERVAL_MS = 5000;
+// A transaction the node no longer knows about after this long was dropped or replaced
+const DROP_TIMEOUT_MS = integerEnv('PENDING_TX_TIMEOUT_MINUTES', 30) * 60 * 1000;
+
+let isRunning = false;
+let transactionUpdateHandler = () => {};
+
+async function start() {
+  if (isRunning) {
+    logger.warn('Pending transaction tracker is already running');
+    return;
+  }
+
+  isRunning = true;
+  logger.info('Starting pending transaction tracker...');
+
+  pollLoop();
+}
+
+async function pollLoop() {
+  while (isRunning) {
+    try {
+      await checkPendingTransactions();
+    } catch (error) {
+      logger.error('Error checking pending transactions:', error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+async function checkPendingTransactions() {
+  const pending = await prisma.transaction.findMany({
+    where: { status: 'PENDING', blockNumber: null },
+    orderBy: { createdAt: 'asc' },
+    take: 100,
+  });
+
+  for (const row of pending) {
+    try {
+      await checkTransaction(row);
+    } catch (error) {
+      logger.error(`Error checking pending transaction ${row.txHash}:`, error);
+    }
+  }
+}
+
+async function checkTransaction(row) {
+  const prov = getProvider(row.chainId);
+  const receipt = await prov.getTransactionReceipt(row.txHash);
+
+  if (!receipt) {
+    if (Date.now() - row.createdAt.getTime() < DROP_TIMEOUT_MS) return;
+
+    // Still waiting in the mempool
+    if (await prov.getTransaction(row.txHash)) return;
+
+    await updateStatus(row, {
+      status: 'FAILED',
+      errorMessage: 'Transaction was dropped or replaced',
+    });
+    return;
+  }
+
+  const currentBlock = await prov.getBlockNumber();
+  const mined = {
+    blockNumber: BigInt(receipt.blockNumber),
+    blockHash: receipt.blockHash,
+    gasUsed: BigInt(receipt.gasUsed.toString()),
+    gasPrice: receipt.gasPrice ? BigInt(receipt.gasPrice.toString()) : undefined,
+    confirmations: Math.max(currentBlock - receipt.blockNumber + 1, 1),
+  };
+
+  if (receipt.status === 1) {
+    await updateStatus(row, { status: 'CONFIRMED', ...mined });
+  } else {
+    await updateStatus(row, {
+      status: 'REVERTED',
+      errorMessage: await getRevertReason(prov, receipt),
+      ...mined,
+    });
+  }
+}
+
+// Replay the call against the parent block's state to recover the revert reason
+async function getRevertReason(prov, receipt) {
+  try {
+    const tx = await prov.getTransaction(receipt.hash);
+    await prov.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: receipt.blockNumber - 1,
+    });
+  } catch (error) {
+    return error.reason || error.shortMessage || 'Transaction reverted';
+  }
+
+  // The replay succeeded, so the revert depended on state earlier in the same block
+  return 'Transaction reverted';
+}
+
+async function updateStatus(row, data) {
+  const { txHash, chainId } = row;
+  const transaction = await prisma.transaction.update({
+    where: { chainId_txHash: { chainId, txHash } },
+    data,
+  });
+
+  // Invalidate cache
+  await cache.del(`tx:${chainId}:${txHash}`);
+  await cache.del('tx:stats:summary');
+  await cache.del(`tx:stats:summary:${chainId}`);
+
+  transactionUpdateHandler(txHash, {
+    txHash,
+    chainId,
+    status: transaction.status,
+    blockNumber: transaction.blockNumber?.toString() || null,
+    confirmations: transaction.confirmations,
+    errorMessage: transaction.errorMessage,
+  });
+
+  logger.info(`Pending transaction ${txHash} is now ${transaction.status}`);
+}
+
+// Receives (txHash, update) whenever a tracked transaction changes state
+function onTransactionUpdate(handler) {
+  transactionUpdateHandler = handler;
+}
+
+async function stop() {
+  isRunning = false;
+  logger.info('Stopping pending transaction tracker...');
+}
+
+export {
+  start,
+  stop,
+  onTransactionUpdate,
+};
@@ -76,6 +76,7 @@ async function runTests() {
 
   // Test 6: Authentication (will fail without valid signature, but should return proper error)
   console.log(`${colors.yellow}6. Testing Authentication Endpoints${colors.reset}`);
+  await test('/api/v1/auth/nonce');
   await test('/api/v1/auth/wallet/connect', {
     method: 'POST',
     body: {
@@ -89,6 +90,7 @@ async function runTests() {
   // Test 7: Protected Endpoints (should return 401 without token)
   console.log(`${colors.yellow}7. Testing Protected Endpoints (should fail without auth)${colors.reset}`);
   await test('/api/v1/users/me');
+  await test('/api/v1/auth/sessions');
   console.log('');
 
   console.log(`${colors.blue}=== Tests Complete ===${colors.reset}`);
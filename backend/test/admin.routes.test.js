@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import { prisma } from '../src/database/client.js';
+import { getContractWithSigner } from '../src/services/blockchain.service.js';
+import { adminRoutes } from '../src/routes/admin.routes.js';
+import { createApp, signInAdmin } from './helpers/app.js';
+
+vi.mock('../src/services/blockchain.service.js', () => ({
+  getContract: vi.fn(() => ({})),
+  getContractWithSigner: vi.fn(),
+  getProvider: vi.fn(),
+  getRpcStatus: vi.fn(),
+}));
+
+const app = createApp({ '/admin': adminRoutes });
+
+// A contract whose setTokensPerEth sends a transaction that is mined with `status`
+function mockRateContract(status) {
+  const hash = ethers.hexlify(ethers.randomBytes(32));
+  const receipt = { hash, status };
+  const contract = {
+    setTokensPerEth: vi.fn(async () => ({
+      hash,
+      wait: async () => {
+        if (status === 1) return receipt;
+        throw Object.assign(new Error('transaction execution reverted'), { code: 'CALL_EXCEPTION', receipt });
+      },
+    })),
+  };
+  getContractWithSigner.mockReturnValue(contract);
+  return contract;
+}
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  getContractWithSigner.mockReset();
+});
+
+describe('requireAdmin', () => {
+  it('requires a session', async () => {
+    const res = await request(app).get('/api/v1/admin/me');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.message).toBe('Authentication required');
+  });
+
+  it('rejects wallets without an admin role', async () => {
+    const { auth } = await signInAdmin(null);
+
+    const res = await request(app).get('/api/v1/admin/me').set(auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.message).toBe('Admin access required');
+  });
+
+  it('lets each role through the routes of the roles below it, and no further', async () => {
+    const viewer = await signInAdmin('VIEWER');
+    const operator = await signInAdmin('OPERATOR');
+    const superadmin = await signInAdmin('SUPERADMIN');
+    // Admin changes need a second superadmin to approve them
+    await signInAdmin('SUPERADMIN');
+    const target = ethers.Wallet.createRandom().address;
+
+    // VIEWER route
+    for (const { auth, admin } of [viewer, operator, superadmin]) {
+      const res = await request(app).get('/api/v1/admin/me').set(auth);
+      expect(res.status).toBe(200);
+      expect(res.body.data.role).toBe(admin.role);
+    }
+
+    // OPERATOR route, past the role check a missing proposal is a 404
+    const cancelAsViewer = await request(app).post('/api/v1/admin/proposals/missing/cancel').set(viewer.auth);
+    expect(cancelAsViewer.status).toBe(403);
+    expect(cancelAsViewer.body.error.message).toBe('OPERATOR role required');
+
+    for (const { auth } of [operator, superadmin]) {
+      const res = await request(app).post('/api/v1/admin/proposals/missing/cancel').set(auth);
+      expect(res.status).toBe(404);
+    }
+
+    // SUPERADMIN route
+    for (const { auth } of [viewer, operator]) {
+      const res = await request(app).put(`/api/v1/admin/admins/${target}`).set(auth).send({ role: 'OPERATOR' });
+      expect(res.status).toBe(403);
+      expect(res.body.error.message).toBe('SUPERADMIN role required');
+    }
+
+    const res = await request(app).put(`/api/v1/admin/admins/${target}`).set(superadmin.auth).send({ role: 'OPERATOR' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ action: 'SET_ADMIN_ROLE', status: 'PENDING' });
+    expect(prisma.$rows('admin')).toHaveLength(4);
+  });
+});
+
+describe('admin proposals', () => {
+  let proposer;
+  let approvers;
+
+  beforeEach(async () => {
+    proposer = await signInAdmin('OPERATOR');
+    approvers = [await signInAdmin('OPERATOR'), await signInAdmin('SUPERADMIN')];
+  });
+
+  async function proposeRate() {
+    const res = await request(app).post('/api/v1/admin/rate/update').set(proposer.auth).send({ newRate: '1000' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'PENDING', requiredApprovals: 2 });
+    return res.body.data;
+  }
+
+  it('sends the transaction once when two approvals arrive together', async () => {
+    const contract = mockRateContract(1);
+    const proposal = await proposeRate();
+
+    // Both approvals are stored before either request counts them, so both see enough approvals
+    const create = prisma.adminApproval.create;
+    let release;
+    const bothStored = new Promise((resolve) => { release = resolve; });
+    let stored = 0;
+    vi.spyOn(prisma.adminApproval, 'create').mockImplementation(async (args) => {
+      const approval = await create(args);
+      if (++stored === 2) release();
+      await bothStored;
+      return approval;
+    });
+
+    const responses = await Promise.all(
+      approvers.map(({ auth }) => request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(auth))
+    );
+
+    expect(responses.map((res) => res.status)).toEqual([200, 200]);
+    expect(contract.setTokensPerEth).toHaveBeenCalledTimes(1);
+    expect(contract.setTokensPerEth).toHaveBeenCalledWith(ethers.parseEther('1000'));
+
+    const [settled] = prisma.$rows('adminProposal');
+    expect(settled.status).toBe('EXECUTED');
+    expect(settled.txHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(prisma.$rows('adminLog').filter((log) => log.action === 'EXECUTE_PROPOSAL')).toHaveLength(1);
+  });
+
+  it('marks the proposal failed when its transaction reverts', async () => {
+    const contract = mockRateContract(0);
+    const proposal = await proposeRate();
+
+    const res = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(approvers[0].auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'FAILED', error: 'Transaction reverted' });
+    expect(res.body.data.txHash).toBe((await contract.setTokensPerEth.mock.results[0].value).hash);
+    expect(prisma.$rows('adminLog').map((log) => log.action)).toContain('EXECUTE_PROPOSAL_FAILED');
+
+    const again = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(approvers[1].auth);
+    expect(again.status).toBe(409);
+    expect(contract.setTokensPerEth).toHaveBeenCalledTimes(1);
+  });
+
+  it('only counts approvals of admins who can still approve', async () => {
+    const contract = mockRateContract(1);
+    const proposal = await proposeRate();
+
+    await prisma.admin.update({ where: { id: proposer.admin.id }, data: { role: 'VIEWER' } });
+
+    const first = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(approvers[0].auth);
+    expect(first.status).toBe(200);
+    expect(first.body.data.status).toBe('PENDING');
+    expect(first.body.data.approvals).toHaveLength(2);
+    expect(contract.setTokensPerEth).not.toHaveBeenCalled();
+
+    const second = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(approvers[1].auth);
+    expect(second.status).toBe(200);
+    expect(second.body.data.status).toBe('EXECUTED');
+    expect(contract.setTokensPerEth).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a second approval from the same admin', async () => {
+    mockRateContract(1);
+    const proposal = await proposeRate();
+
+    const res = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(proposer.auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.message).toBe('You have already approved this proposal');
+  });
+});
+
+describe('admin change proposals', () => {
+  let proposer;
+  let operators;
+  const target = ethers.Wallet.createRandom().address.toLowerCase();
+
+  beforeEach(async () => {
+    proposer = await signInAdmin('SUPERADMIN');
+    operators = [await signInAdmin('OPERATOR'), await signInAdmin('OPERATOR')];
+  });
+
+  const promote = (auth) => request(app).put(`/api/v1/admin/admins/${target}`).set(auth).send({ role: 'SUPERADMIN' });
+
+  it('cannot be proposed while only one superadmin could approve, however many operators there are', async () => {
+    const res = await promote(proposer.auth);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.message).toBe('2 approvals are required but only 1 admins can approve');
+    expect(prisma.$rows('adminProposal')).toHaveLength(0);
+  });
+
+  it('does not let operators approve a role change', async () => {
+    const other = await signInAdmin('SUPERADMIN');
+    const proposal = (await promote(proposer.auth)).body.data;
+    expect(proposal).toMatchObject({ status: 'PENDING', requiredApprovals: 2 });
+
+    for (const { auth } of operators) {
+      const res = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(auth);
+      expect(res.status).toBe(403);
+      expect(res.body.error.message).toBe('Only SUPERADMIN admins can approve this proposal');
+    }
+    expect(prisma.$rows('adminProposal')[0].status).toBe('PENDING');
+    expect(await prisma.admin.findUnique({ where: { walletAddress: target } })).toBeNull();
+
+    const res = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(other.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('EXECUTED');
+    expect(await prisma.admin.findUnique({ where: { walletAddress: target } })).toMatchObject({ role: 'SUPERADMIN' });
+  });
+
+  it('stops counting the approval of a superadmin demoted to operator', async () => {
+    const other = await signInAdmin('SUPERADMIN');
+    const third = await signInAdmin('SUPERADMIN');
+    const proposal = (await request(app).delete(`/api/v1/admin/admins/${third.walletAddress}`).set(proposer.auth)).body.data;
+    expect(proposal).toMatchObject({ action: 'REMOVE_ADMIN', status: 'PENDING' });
+
+    await prisma.admin.update({ where: { id: proposer.admin.id }, data: { role: 'OPERATOR' } });
+
+    const res = await request(app).post(`/api/v1/admin/proposals/${proposal.id}/approve`).set(other.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('PENDING');
+    expect(await prisma.admin.findUnique({ where: { walletAddress: third.walletAddress } })).not.toBeNull();
+  });
+});
+
+describe('ADMIN_APPROVALS_REQUIRED', () => {
+  it.each(['0', 'two'])('stops the controller from loading when it is %s', async (value) => {
+    vi.stubEnv('ADMIN_APPROVALS_REQUIRED', value);
+    vi.resetModules();
+
+    await expect(import('../src/controllers/proposal.controller.js')).rejects.toThrow(
+      `ADMIN_APPROVALS_REQUIRED must be a whole number of 1 or more, got "${value}"`
+    );
+  });
+});
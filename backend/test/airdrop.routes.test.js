@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import { prisma } from '../src/database/client.js';
+import { airdropRoutes } from '../src/routes/airdrop.routes.js';
+import { getAirdropContract } from '../src/services/blockchain.service.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/services/blockchain.service.js', () => ({
+  getAirdropContract: vi.fn(),
+}));
+
+const app = createApp({ '/airdrop': airdropRoutes });
+
+const CHAIN_ID = 11155111;
+const OTHER_CHAIN_ID = 31337;
+const wallet = ethers.id('alice').slice(0, 42);
+const deployedRoot = ethers.id('deployed');
+
+// The chain's MeowfiAirdrop, holding `deployedRoot`
+const airdropContract = {
+  merkleRoot: async () => deployedRoot,
+  hasClaimed: async () => false,
+  claimDeadline: async () => 1800000000n,
+};
+
+async function createAirdrop(chainId, merkleRoot, amount) {
+  const airdrop = await prisma.airdrop.create({
+    data: { chainId, merkleRoot, source: 'csv:recipients.csv', totalAmount: amount, recipientCount: 1 },
+  });
+  await prisma.airdropRecipient.create({
+    data: { airdropId: airdrop.id, walletAddress: wallet, amount, proof: [] },
+  });
+}
+
+beforeEach(async () => {
+  getAirdropContract.mockReset().mockReturnValue(airdropContract);
+
+  await createAirdrop(CHAIN_ID, deployedRoot, '1000000000000000000');
+});
+
+describe('GET /airdrop/proof/:walletAddress', () => {
+  it("serves the proof for the root held by the requested chain's airdrop contract", async () => {
+    // Built later, but for another chain
+    await createAirdrop(OTHER_CHAIN_ID, deployedRoot, '2000000000000000000');
+
+    const res = await request(app).get(`/api/v1/airdrop/proof/${wallet}?chainId=${CHAIN_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ walletAddress: wallet, merkleRoot: deployedRoot, amount: '1.0', proof: [], claimed: false });
+    expect(getAirdropContract).toHaveBeenCalledWith(CHAIN_ID);
+  });
+
+  it('answers 404 on a chain without an airdrop contract instead of serving another chain\'s tree', async () => {
+    getAirdropContract.mockReturnValue(null);
+
+    const res = await request(app).get(`/api/v1/airdrop/proof/${wallet}?chainId=${CHAIN_ID}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('No airdrop on this chain');
+  });
+
+  it('answers 404 when no tree was built for the deployed root', async () => {
+    getAirdropContract.mockReturnValue({ ...airdropContract, merkleRoot: async () => ethers.id('undeployed') });
+
+    const res = await request(app).get(`/api/v1/airdrop/proof/${wallet}?chainId=${CHAIN_ID}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.message).toBe('No airdrop found');
+  });
+
+  it('rejects a chain that is not configured', async () => {
+    const res = await request(app).get(`/api/v1/airdrop/proof/${wallet}?chainId=1`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Unsupported chain: 1');
+  });
+});
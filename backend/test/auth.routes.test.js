@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import jwt from 'jsonwebtoken';
+import { prisma } from '../src/database/client.js';
+import { authRoutes } from '../src/routes/auth.routes.js';
+import { createApp, siweMessage as buildSiweMessage } from './helpers/app.js';
+
+// Signatures that don't recover to the wallet are checked on chain, where a wallet without code fails them
+vi.mock('../src/services/rpc.service.js', () => ({
+  FailoverProvider: class {
+    async call() {
+      return '0x00';
+    }
+  },
+}));
+
+// Every test signs in several times, which the per-IP limit would cut short
+vi.mock('../src/middleware/rateLimiter.js', () => ({
+  authRateLimiter: (req, res, next) => next(),
+}));
+
+const app = createApp({ '/auth': authRoutes });
+
+const DOMAIN = 'meowfi.test';
+const CHAIN_ID = 11155111;
+
+function siweMessage(address, nonce) {
+  return buildSiweMessage({ domain: DOMAIN, address, nonce, chainId: CHAIN_ID });
+}
+
+async function getNonce() {
+  const res = await request(app).get('/api/v1/auth/nonce');
+  expect(res.status).toBe(200);
+  return res.body.data.nonce;
+}
+
+async function connect(wallet, message, signer = wallet) {
+  return request(app)
+    .post('/api/v1/auth/wallet/connect')
+    .send({ walletAddress: wallet.address, message, signature: await signer.signMessage(message) });
+}
+
+async function signIn(wallet) {
+  const res = await connect(wallet, siweMessage(wallet.address, await getNonce()));
+  expect(res.status).toBe(200);
+  return res.body.data;
+}
+
+function refresh(refreshToken) {
+  return request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+}
+
+function getSessions(token) {
+  return request(app).get('/api/v1/auth/sessions').set('Authorization', `Bearer ${token}`);
+}
+
+let wallet;
+
+beforeEach(() => {
+  vi.stubEnv('SIWE_DOMAIN', DOMAIN);
+  wallet = ethers.Wallet.createRandom();
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('sign-in nonces', () => {
+  it('can only be redeemed once', async () => {
+    const message = siweMessage(wallet.address, await getNonce());
+    const signature = await wallet.signMessage(message);
+    const body = { walletAddress: wallet.address, message, signature };
+
+    const first = await request(app).post('/api/v1/auth/wallet/connect').send(body);
+    expect(first.status).toBe(200);
+
+    const replay = await request(app).post('/api/v1/auth/wallet/connect').send(body);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error.message).toBe('Nonce is invalid, expired or already used');
+
+    expect(prisma.$rows('session')).toHaveLength(1);
+    expect(prisma.$rows('authNonce')).toHaveLength(0);
+  });
+
+  it('are rejected when they were never issued', async () => {
+    const res = await connect(wallet, siweMessage(wallet.address, 'f'.repeat(32)));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.message).toBe('Nonce is invalid, expired or already used');
+  });
+
+  it('are rejected once expired', async () => {
+    const nonce = await getNonce();
+    prisma.$rows('authNonce')[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await connect(wallet, siweMessage(wallet.address, nonce));
+
+    expect(res.status).toBe(401);
+    expect(prisma.$rows('session')).toHaveLength(0);
+  });
+
+  it('are not spent by a signature that fails to verify', async () => {
+    const message = siweMessage(wallet.address, await getNonce());
+
+    const forged = await connect(wallet, message, ethers.Wallet.createRandom());
+    expect(forged.status).toBe(401);
+    expect(forged.body.error.message).toBe('Invalid signature');
+
+    const genuine = await connect(wallet, message);
+    expect(genuine.status).toBe(200);
+  });
+});
+
+describe('access tokens', () => {
+  it('expire after 15 minutes, even where the old JWT_EXPIRES_IN is still set', async () => {
+    vi.stubEnv('JWT_EXPIRES_IN', '7d');
+
+    const { token } = await signIn(wallet);
+
+    const { iat, exp } = jwt.decode(token);
+    expect(exp - iat).toBe(15 * 60);
+  });
+});
+
+describe('refresh tokens', () => {
+  it('rotate on every refresh', async () => {
+    const session = await signIn(wallet);
+
+    const res = await refresh(session.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(session.refreshToken);
+    expect((await getSessions(res.body.data.token)).status).toBe(200);
+    expect((await refresh(res.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it('revoke the whole session when a rotated token is used again', async () => {
+    const session = await signIn(wallet);
+    const rotated = (await refresh(session.refreshToken)).body.data;
+
+    const reuse = await refresh(session.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error.message).toBe('Refresh token was already used, session revoked');
+
+    // The token handed out by the legitimate rotation goes with the session
+    const next = await refresh(rotated.refreshToken);
+    expect(next.status).toBe(401);
+    expect(next.body.error.message).toBe('Invalid refresh token');
+
+    const sessions = await getSessions(rotated.token);
+    expect(sessions.status).toBe(401);
+    expect(prisma.$rows('session')).toHaveLength(0);
+    expect(prisma.$rows('refreshToken')).toHaveLength(0);
+  });
+
+  it('only revoke the session the reused token belongs to', async () => {
+    const phone = await signIn(wallet);
+    const laptop = await signIn(wallet);
+
+    await refresh(phone.refreshToken);
+    await refresh(phone.refreshToken);
+
+    expect((await getSessions(laptop.token)).status).toBe(200);
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+
+  it('let only one of two concurrent refreshes with the same token through, and revoke the session', async () => {
+    const session = await signIn(wallet);
+
+    const responses = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 401]);
+    expect(prisma.$rows('session')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { verifySignature } from '../src/services/blockchain.service.js';
+import { SIGNATURE_VALIDATOR_BYTECODE } from '../src/config/signatureValidator.js';
+
+const { call } = vi.hoisted(() => ({ call: vi.fn() }));
+
+vi.mock('../src/services/rpc.service.js', () => ({
+  FailoverProvider: class {
+    call(...args) {
+      return call(...args);
+    }
+  },
+}));
+
+const abi = ethers.AbiCoder.defaultAbiCoder();
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC6492_DETECTION_SUFFIX = '0x' + '6492'.repeat(16);
+
+const message = 'Sign in to MeowFi';
+const hash = ethers.hashMessage(message);
+
+// The wallet's owner signs for it; the wallet address itself has no key
+const owner = ethers.Wallet.createRandom();
+const walletAddress = ethers.Wallet.createRandom().address;
+const factory = ethers.Wallet.createRandom().address;
+const factoryCalldata = '0xc0ffee';
+
+// Stands in for a single-owner EIP-1271 wallet at walletAddress
+function isValidSignature(signatureHash, signature) {
+  try {
+    return ethers.recoverAddress(signatureHash, signature) === owner.address ? ERC1271_MAGIC_VALUE : '0xffffffff';
+  } catch {
+    return '0xffffffff';
+  }
+}
+
+// Runs the validator's eth_call the way the contract does: unwraps an EIP-6492 signature,
+// asks the wallet, and returns 0x01 only for the magic value
+function runValidator({ data }) {
+  expect(data.startsWith(SIGNATURE_VALIDATOR_BYTECODE)).toBe(true);
+  let [signer, signatureHash, signature] = abi.decode(
+    ['address', 'bytes32', 'bytes'],
+    ethers.dataSlice(data, ethers.dataLength(SIGNATURE_VALIDATOR_BYTECODE))
+  );
+
+  if (signature.endsWith(ERC6492_DETECTION_SUFFIX.slice(2))) {
+    const [deployer, deployCalldata, inner] = abi.decode(['address', 'bytes', 'bytes'], ethers.dataSlice(signature, 0, -32));
+    expect(deployer).toBe(factory);
+    expect(deployCalldata).toBe(factoryCalldata);
+    signature = inner;
+  }
+
+  if (signer !== walletAddress) return '0x00';
+  return isValidSignature(signatureHash, signature) === ERC1271_MAGIC_VALUE ? '0x01' : '0x00';
+}
+
+beforeEach(() => {
+  call.mockReset();
+  call.mockImplementation(async (tx) => runValidator(tx));
+});
+
+describe('verifySignature', () => {
+  it('recovers EOA signatures without calling the chain', async () => {
+    const eoa = ethers.Wallet.createRandom();
+
+    expect(await verifySignature(eoa.address, message, await eoa.signMessage(message))).toBe(true);
+    expect(call).not.toHaveBeenCalled();
+  });
+
+  it('accepts a contract wallet signature when the wallet returns the EIP-1271 magic value', async () => {
+    const signature = await owner.signMessage(message);
+
+    expect(await verifySignature(walletAddress, message, signature)).toBe(true);
+
+    expect(call).toHaveBeenCalledTimes(1);
+    const [{ data }] = call.mock.calls[0];
+    expect(data).toBe(
+      ethers.concat([SIGNATURE_VALIDATOR_BYTECODE, abi.encode(['address', 'bytes32', 'bytes'], [walletAddress, hash, signature])])
+    );
+  });
+
+  it('rejects a contract wallet signature when the wallet returns anything else', async () => {
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    expect(await verifySignature(walletAddress, message, signature)).toBe(false);
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  it('accepts an EIP-6492 signature for a wallet that is not deployed yet', async () => {
+    const inner = await owner.signMessage(message);
+    const wrapped = ethers.concat([
+      abi.encode(['address', 'bytes', 'bytes'], [factory, factoryCalldata, inner]),
+      ERC6492_DETECTION_SUFFIX,
+    ]);
+
+    expect(await verifySignature(walletAddress, message, wrapped)).toBe(true);
+
+    // The wrapper is passed on as is, the validator deploys the wallet before asking it
+    const [{ data }] = call.mock.calls[0];
+    const [, , signature] = abi.decode(['address', 'bytes32', 'bytes'], ethers.dataSlice(data, ethers.dataLength(SIGNATURE_VALIDATOR_BYTECODE)));
+    expect(signature).toBe(wrapped);
+  });
+
+  it('rejects the signature when the validator call reverts', async () => {
+    call.mockRejectedValue(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }));
+
+    expect(await verifySignature(walletAddress, message, await owner.signMessage(message))).toBe(false);
+  });
+
+  it('surfaces RPC failures instead of rejecting the signature', async () => {
+    call.mockRejectedValue(Object.assign(new Error('could not coalesce error'), { code: 'UNKNOWN_ERROR' }));
+
+    await expect(verifySignature(walletAddress, message, await owner.signMessage(message))).rejects.toThrow('could not coalesce');
+  });
+
+  it('rejects signatures that are not hex without calling the chain', async () => {
+    expect(await verifySignature(walletAddress, message, 'not-a-signature')).toBe(false);
+    expect(call).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import RedisMock from 'ioredis-mock';
+import { createMemoryCache } from '../src/utils/cache/memory.js';
+import { createRedisCache } from '../src/utils/cache/redis.js';
+
+// Both drivers must behave the same, so they share these tests
+const drivers = {
+  memory: () => ({ cache: createMemoryCache() }),
+  redis: () => {
+    const client = new RedisMock();
+    return { cache: createRedisCache(client, 'test:'), client };
+  },
+};
+
+for (const [name, create] of Object.entries(drivers)) {
+  describe(`${name} cache`, () => {
+    let cache;
+    let client;
+
+    beforeEach(async () => {
+      ({ cache, client } = create());
+      await client?.flushall();
+    });
+
+    afterEach(async () => {
+      vi.useRealTimers();
+      await cache.close();
+    });
+
+    it('returns null for a missing key', async () => {
+      expect(await cache.get('missing')).toBeNull();
+      expect(await cache.exists('missing')).toBe(false);
+    });
+
+    it('stores and deletes values', async () => {
+      await cache.set('token:rate:1', '1000');
+
+      expect(await cache.get('token:rate:1')).toBe('1000');
+      expect(await cache.exists('token:rate:1')).toBe(true);
+
+      await cache.del('token:rate:1');
+
+      expect(await cache.get('token:rate:1')).toBeNull();
+      expect(await cache.exists('token:rate:1')).toBe(false);
+    });
+
+    it('lists and clears its keys', async () => {
+      await cache.set('a', '1');
+      await cache.set('b', '2', 60);
+
+      const stats = await cache.getStats();
+      expect(stats.driver).toBe(name);
+      expect(stats.size).toBe(2);
+      expect(stats.keys.sort()).toEqual(['a', 'b']);
+
+      await cache.clear();
+
+      expect((await cache.getStats()).size).toBe(0);
+      expect(await cache.get('a')).toBeNull();
+    });
+  });
+}
+
+describe('memory cache TTL', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('drops entries once their TTL has passed', async () => {
+    vi.useFakeTimers();
+    const cache = createMemoryCache();
+
+    await cache.set('short', 'value', 10);
+    vi.advanceTimersByTime(9000);
+    expect(await cache.get('short')).toBe('value');
+
+    vi.advanceTimersByTime(2000);
+    expect(await cache.get('short')).toBeNull();
+    expect(await cache.exists('short')).toBe(false);
+
+    await cache.close();
+  });
+});
+
+describe('redis cache', () => {
+  it('prefixes keys and sets their expiry in Redis', async () => {
+    const client = new RedisMock();
+    await client.flushall();
+    const cache = createRedisCache(client, 'test:');
+
+    await cache.set('token:info:1', '{}', 30);
+    await cache.set('forever', '1');
+
+    expect(await client.get('test:token:info:1')).toBe('{}');
+    const ttl = await client.ttl('test:token:info:1');
+    expect(ttl).toBeGreaterThan(0);
+    expect(ttl).toBeLessThanOrEqual(30);
+    expect(await client.ttl('test:forever')).toBe(-1);
+  });
+
+  it('leaves keys without its prefix alone when cleared', async () => {
+    const client = new RedisMock();
+    await client.flushall();
+    const cache = createRedisCache(client, 'test:');
+
+    await client.set('other-app:key', 'kept');
+    await cache.set('mine', 'gone');
+
+    expect((await cache.getStats()).keys).toEqual(['mine']);
+
+    await cache.clear();
+
+    expect(await client.get('test:mine')).toBeNull();
+    expect(await client.get('other-app:key')).toBe('kept');
+  });
+
+  it('reads the prefix from REDIS_KEY_PREFIX when the cache is created', async () => {
+    vi.stubEnv('REDIS_KEY_PREFIX', 'from-env:');
+    const client = new RedisMock();
+    await client.flushall();
+    const cache = createRedisCache(client);
+
+    await cache.set('key', 'value');
+
+    expect(await client.get('from-env:key')).toBe('value');
+    vi.unstubAllEnvs();
+  });
+
+  it('treats Redis errors as cache misses', async () => {
+    const failing = {
+      get: vi.fn().mockRejectedValue(new Error('connection refused')),
+      set: vi.fn().mockRejectedValue(new Error('connection refused')),
+      del: vi.fn().mockRejectedValue(new Error('connection refused')),
+      exists: vi.fn().mockRejectedValue(new Error('connection refused')),
+    };
+    const cache = createRedisCache(failing, 'test:');
+
+    expect(await cache.get('key')).toBeNull();
+    expect(await cache.exists('key')).toBe(false);
+    await expect(cache.set('key', 'value', 10)).resolves.toBeUndefined();
+    await expect(cache.del('key')).resolves.toBeUndefined();
+  });
+});
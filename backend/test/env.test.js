@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { integerEnv } from '../src/utils/env.js';
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe('integerEnv', () => {
+  it('falls back when the variable is unset or blank', () => {
+    vi.stubEnv('SOME_SETTING', '');
+
+    expect(integerEnv('SOME_SETTING', 2)).toBe(2);
+    expect(integerEnv('UNSET_SETTING', 3)).toBe(3);
+  });
+
+  it('reads a whole number at or above the minimum', () => {
+    vi.stubEnv('SOME_SETTING', ' 5 ');
+
+    expect(integerEnv('SOME_SETTING', 2)).toBe(5);
+  });
+
+  it.each(['two', '1.5', '0', '-1', '3abc'])('rejects %s', (value) => {
+    vi.stubEnv('SOME_SETTING', value);
+
+    expect(() => integerEnv('SOME_SETTING', 2)).toThrow(`SOME_SETTING must be a whole number of 1 or more, got "${value}"`);
+  });
+});
+
+describe('PENDING_TX_TIMEOUT_MINUTES', () => {
+  it.each(['0', 'thirty'])('stops the pending transaction tracker from loading when it is %s', async (value) => {
+    vi.stubEnv('PENDING_TX_TIMEOUT_MINUTES', value);
+    vi.resetModules();
+
+    await expect(import('../src/workers/pending-transactions.js')).rejects.toThrow(
+      `PENDING_TX_TIMEOUT_MINUTES must be a whole number of 1 or more, got "${value}"`
+    );
+  });
+});
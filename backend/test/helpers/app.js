@@ -0,0 +1,51 @@
+import { randomUUID } from 'node:crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { ethers } from 'ethers';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+import { prisma } from '../../src/database/client.js';
+
+// Mounts routers under /api/v1 like server.js, without the middleware that isn't under test
+export function createApp(routes) {
+  const app = express();
+  app.use(express.json());
+
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(`/api/v1${path}`, router);
+  }
+
+  app.use(errorHandler);
+  return app;
+}
+
+// Signs a new wallet in the way connectWallet does, without going through SIWE, and makes it
+// an admin with `role` unless that is null. `auth` holds the headers of its access token.
+export async function signInAdmin(role) {
+  const walletAddress = ethers.Wallet.createRandom().address.toLowerCase();
+  const user = await prisma.user.create({ data: { walletAddress } });
+  const sessionId = randomUUID();
+  const token = jwt.sign({ userId: user.id, walletAddress, sessionId }, process.env.JWT_SECRET);
+
+  await prisma.session.create({
+    data: { id: sessionId, userId: user.id, token, expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+  });
+  const admin = role ? await prisma.admin.create({ data: { walletAddress, role } }) : null;
+
+  return { walletAddress, admin, auth: { Authorization: `Bearer ${token}` } };
+}
+
+// EIP-4361 message for `address` around a nonce from GET /auth/nonce, issued now
+export function siweMessage({ domain, address, nonce, chainId }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to MeowFi',
+    '',
+    `URI: https://${domain}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join('\n');
+}
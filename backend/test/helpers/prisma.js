@@ -0,0 +1,351 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * In-memory stand-in for the Prisma client, covering the models and query shapes the tests go
+ * through. Unique constraints raise P2002 like Prisma does, and deletes cascade along the
+ * relations the schema cascades, so the controllers' race and revocation handling and the
+ * indexer's rollback are exercised against the same rules as Postgres.
+ */
+
+// Relations that can be included, filtered on and created nested. `fields` are on the row
+// holding the foreign key, `references` on the row it points to.
+const RELATIONS = {
+  session: {
+    user: { model: 'user', fields: ['userId'], references: ['id'], one: true },
+    refreshTokens: { model: 'refreshToken', fields: ['sessionId'], references: ['id'] },
+  },
+  refreshToken: {
+    session: { model: 'session', fields: ['sessionId'], references: ['id'], one: true },
+  },
+  adminProposal: {
+    approvals: { model: 'adminApproval', fields: ['proposalId'], references: ['id'] },
+  },
+  adminApproval: {
+    proposal: { model: 'adminProposal', fields: ['proposalId'], references: ['id'], one: true },
+  },
+  vestingSchedule: {
+    claims: { model: 'vestingClaim', fields: ['chainId', 'beneficiary'], references: ['chainId', 'beneficiary'] },
+  },
+  stakingPosition: {
+    events: { model: 'stakingEvent', fields: ['chainId', 'walletAddress'], references: ['chainId', 'walletAddress'] },
+  },
+};
+
+const UNIQUES = {
+  user: [['walletAddress']],
+  session: [['token']],
+  refreshToken: [['tokenHash']],
+  authNonce: [['nonce']],
+  admin: [['walletAddress']],
+  adminApproval: [['proposalId', 'adminId']],
+  tokenHolder: [['chainId', 'address']],
+  transaction: [['chainId', 'txHash']],
+  rateUpdate: [['chainId', 'txHash', 'logIndex']],
+  transferEvent: [['chainId', 'txHash', 'logIndex']],
+  indexedBlock: [['chainId', 'number']],
+  indexerState: [['chainId', 'contractAddress', 'eventName']],
+  stakingPosition: [['chainId', 'walletAddress']],
+  vestingSchedule: [['chainId', 'beneficiary']],
+  airdrop: [['chainId', 'merkleRoot']],
+};
+
+// Relations whose rows are deleted along with the row they belong to
+const CASCADES = {
+  session: ['refreshTokens'],
+  adminProposal: ['approvals'],
+  vestingSchedule: ['claims'],
+  stakingPosition: ['events'],
+};
+
+const DEFAULTS = {
+  session: () => ({ lastSeenAt: new Date() }),
+  refreshToken: () => ({ rotatedAt: null }),
+  adminProposal: () => ({ status: 'PENDING', txHash: null, error: null, executedAt: null }),
+  transaction: () => ({ status: 'PENDING', blockNumber: null, blockHash: null, confirmations: 0 }),
+  tokenHolder: () => ({ balance: '0' }),
+  vestingSchedule: () => ({ released: '0' }),
+};
+
+function isOperator(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+}
+
+// Orders numbers, bigints, numeric strings (Decimal columns), dates and strings
+function compare(a, b) {
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (typeof a === 'string' && typeof b === 'string' && !(/^-?\d+$/.test(a) && /^-?\d+$/.test(b))) {
+    return a.localeCompare(b);
+  }
+  if (typeof a === 'bigint' || typeof b === 'bigint' || typeof a === 'string' || typeof b === 'string') {
+    const [x, y] = [BigInt(a), BigInt(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  return a - b;
+}
+
+function equals(a, b) {
+  if (a == null || b == null) return (a ?? null) === (b ?? null);
+  if (a instanceof Date || b instanceof Date || typeof a === 'bigint' || typeof b === 'bigint') return compare(a, b) === 0;
+  return a === b;
+}
+
+function uniqueError(model, fields) {
+  const error = new Error(`Unique constraint failed on ${model} (${fields.join(', ')})`);
+  error.code = 'P2002';
+  return error;
+}
+
+// Keeps the type of the stored value, so a Decimal column held as a string stays a string
+function applyArithmetic(value, { increment, decrement }) {
+  const result = BigInt(value ?? 0) + BigInt(increment ?? 0) - BigInt(decrement ?? 0);
+  return typeof value === 'bigint' ? result : result.toString();
+}
+
+export function createFakePrisma() {
+  const tables = {};
+  const table = (model) => (tables[model] ??= []);
+
+  function related(model, row, relation) {
+    const rows = table(relation.model);
+    return relation.one
+      ? rows.find((other) => relation.references.every((key, i) => equals(other[key], row[relation.fields[i]])))
+      : rows.filter((other) => relation.fields.every((key, i) => equals(other[key], row[relation.references[i]])));
+  }
+
+  function matches(model, row, where = {}) {
+    return Object.entries(where).every(([field, condition]) => {
+      if (condition === undefined) return true;
+
+      if (field === 'OR') return condition.some((branch) => matches(model, row, branch));
+      if (field === 'AND') return [condition].flat().every((branch) => matches(model, row, branch));
+
+      const relation = RELATIONS[model]?.[field];
+      if (relation) {
+        const other = related(model, row, relation);
+        return other !== undefined && matches(relation.model, other, condition);
+      }
+
+      // Compound unique keys such as chainId_txHash
+      if (field.includes('_') && !(field in row) && isOperator(condition)) {
+        return matches(model, row, condition);
+      }
+
+      const value = row[field];
+      if (!isOperator(condition)) return equals(value, condition);
+
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case 'lt': return value != null && compare(value, operand) < 0;
+          case 'lte': return value != null && compare(value, operand) <= 0;
+          case 'gt': return value != null && compare(value, operand) > 0;
+          case 'gte': return value != null && compare(value, operand) >= 0;
+          case 'in': return operand.some((candidate) => equals(value, candidate));
+          case 'not': return isOperator(operand) ? !matches(model, row, { [field]: operand }) : !equals(value, operand);
+          default: throw new Error(`Unsupported filter ${field}.${operator}`);
+        }
+      });
+    });
+  }
+
+  function project(model, row, { include, select } = {}) {
+    let result = structuredClone(row);
+
+    for (const [name, options] of Object.entries(include ?? {})) {
+      if (!options) continue;
+      const relation = RELATIONS[model][name];
+      const nested = options === true ? {} : options;
+
+      if (relation.one) {
+        const other = related(model, row, relation);
+        result[name] = other ? project(relation.model, other, nested) : null;
+      } else {
+        result[name] = sort(related(model, row, relation), nested.orderBy).map((other) => project(relation.model, other, nested));
+      }
+    }
+
+    if (select) {
+      result = Object.fromEntries(Object.keys(select).filter((field) => select[field]).map((field) => [field, result[field]]));
+    }
+    return result;
+  }
+
+  function sort(rows, orderBy) {
+    if (!orderBy) return rows;
+    const keys = [orderBy].flat().map((order) => Object.entries(order)[0]);
+    return [...rows].sort((a, b) => {
+      for (const [field, direction] of keys) {
+        // Nulls sort last ascending, as in Postgres
+        if (a[field] == null || b[field] == null) {
+          const order = (a[field] == null) - (b[field] == null);
+          if (order !== 0) return direction === 'desc' ? -order : order;
+          continue;
+        }
+        const order = compare(a[field], b[field]);
+        if (order !== 0) return direction === 'desc' ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  function checkUniques(model, row) {
+    for (const fields of UNIQUES[model] ?? []) {
+      const clash = table(model).some(
+        (other) => other.id !== row.id && fields.every((field) => row[field] != null && equals(other[field], row[field]))
+      );
+      if (clash) throw uniqueError(model, fields);
+    }
+  }
+
+  function insert(model, data) {
+    const now = new Date();
+    const row = { id: randomUUID(), createdAt: now, updatedAt: now, ...DEFAULTS[model]?.() };
+    const nestedCreates = [];
+
+    for (const [field, value] of Object.entries(data)) {
+      const relation = RELATIONS[model]?.[field];
+      if (relation) {
+        nestedCreates.push([relation, value.create]);
+      } else {
+        row[field] = value;
+      }
+    }
+
+    checkUniques(model, row);
+    table(model).push(row);
+
+    for (const [relation, creates] of nestedCreates) {
+      const keys = Object.fromEntries(relation.fields.map((field, i) => [field, row[relation.references[i]]]));
+      for (const nested of [creates].flat()) {
+        insert(relation.model, { ...nested, ...keys });
+      }
+    }
+    return row;
+  }
+
+  function remove(model, rows) {
+    tables[model] = table(model).filter((row) => !rows.includes(row));
+    for (const name of CASCADES[model] ?? []) {
+      const relation = RELATIONS[model][name];
+      remove(relation.model, rows.flatMap((row) => related(model, row, relation)));
+    }
+  }
+
+  function modify(model, row, data) {
+    const updated = { ...row, updatedAt: new Date() };
+    for (const [field, value] of Object.entries(data)) {
+      updated[field] = isOperator(value) ? applyArithmetic(row[field], value) : value;
+    }
+    checkUniques(model, updated);
+    Object.assign(row, updated);
+  }
+
+  function findAll(model, { where, orderBy, distinct, skip = 0, take } = {}) {
+    let rows = sort(table(model).filter((row) => matches(model, row, where)), orderBy);
+    if (distinct) {
+      const seen = new Set();
+      rows = rows.filter((row) => {
+        const key = JSON.stringify(distinct.map((field) => String(row[field])));
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+    return rows.slice(skip, take === undefined ? undefined : skip + take);
+  }
+
+  function delegate(model) {
+    return {
+      async findUnique({ where, ...options }) {
+        const [row] = findAll(model, { where });
+        return row ? project(model, row, options) : null;
+      },
+      async findFirst({ where, orderBy, ...options } = {}) {
+        const [row] = findAll(model, { where, orderBy });
+        return row ? project(model, row, options) : null;
+      },
+      async findMany(args = {}) {
+        return findAll(model, args).map((row) => project(model, row, args));
+      },
+      async count({ where } = {}) {
+        return findAll(model, { where }).length;
+      },
+      // Sums are strings, like the numeric columns stored as strings
+      async aggregate({ where, _sum = {} }) {
+        const rows = findAll(model, { where });
+        const sums = Object.fromEntries(
+          Object.keys(_sum).filter((field) => _sum[field]).map((field) => [
+            field,
+            rows.length ? rows.reduce((sum, row) => sum + BigInt(row[field] ?? 0), 0n).toString() : null,
+          ])
+        );
+        return { _sum: sums };
+      },
+      async create({ data, ...options }) {
+        return project(model, insert(model, data), options);
+      },
+      async createMany({ data }) {
+        data.forEach((row) => insert(model, row));
+        return { count: data.length };
+      },
+      async update({ where, data, ...options }) {
+        const [row] = findAll(model, { where });
+        if (!row) {
+          const error = new Error(`No ${model} found to update`);
+          error.code = 'P2025';
+          throw error;
+        }
+        modify(model, row, data);
+        return project(model, row, options);
+      },
+      async updateMany({ where, data }) {
+        const rows = findAll(model, { where });
+        rows.forEach((row) => modify(model, row, data));
+        return { count: rows.length };
+      },
+      async upsert({ where, create, update }) {
+        const [row] = findAll(model, { where });
+        if (!row) return project(model, insert(model, create));
+        modify(model, row, update);
+        return project(model, row);
+      },
+      async deleteMany({ where } = {}) {
+        const rows = findAll(model, { where });
+        remove(model, rows);
+        return { count: rows.length };
+      },
+    };
+  }
+
+  const delegates = {};
+
+  // Rolls back on error, but isn't isolated: callers rely on conditional updateMany claims, as they do against Postgres
+  async function $transaction(fn) {
+    const snapshot = Object.fromEntries(Object.entries(tables).map(([model, rows]) => [model, structuredClone(rows)]));
+    try {
+      return await fn(client);
+    } catch (error) {
+      for (const model of Object.keys(tables)) delete tables[model];
+      Object.assign(tables, snapshot);
+      throw error;
+    }
+  }
+
+  const methods = {
+    $transaction,
+    $disconnect: async () => {},
+    // Test helpers, not part of the Prisma API
+    $reset: () => {
+      for (const model of Object.keys(tables)) delete tables[model];
+    },
+    $rows: (model) => table(model),
+  };
+
+  // Any model name resolves to a delegate, created once so it can be spied on
+  const client = new Proxy(methods, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string') return target[name];
+      return (delegates[name] ??= delegate(name));
+    },
+  });
+
+  return client;
+}
@@ -0,0 +1,19 @@
+import { beforeEach, vi } from 'vitest';
+import { prisma } from '../../src/database/client.js';
+
+// Loaded before every test file. The code under test runs against the in-memory Prisma
+// stand-in, emptied before each test, and without log output.
+vi.mock('../../src/database/client.js', async () => ({
+  prisma: (await import('./prisma.js')).createFakePrisma(),
+}));
+
+vi.mock('../../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), debug: vi.fn(), error: vi.fn() },
+}));
+
+// Signs the access tokens issued by the auth routes and by the sign-in helpers in app.js
+process.env.JWT_SECRET = 'test-secret';
+
+beforeEach(() => {
+  prisma.$reset();
+});
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { prisma } from '../src/database/client.js';
+import { useChain, findForkBlock, rollbackFrom, onTransactionUpdate, processRateUpdateEvent, processVestingClaimEvent } from '../src/workers/indexer.js';
+
+const { provider, VESTING } = vi.hoisted(() => {
+  // Index a vesting contract on the default chain
+  const VESTING = '0x00000000000000000000000000000000000000aa';
+  process.env.VESTING_CONTRACT_ADDRESS = VESTING;
+  return { provider: { blocks: new Map(), call: null }, VESTING };
+});
+
+// The canonical chain as the RPC currently reports it
+vi.mock('../src/services/blockchain.service.js', () => ({
+  VESTING_ALLOCATIONS: ['COMMUNITY', 'LIQUIDITY', 'DEVELOPMENT'],
+  getProvider: () => ({
+    getBlock: async (tag) => {
+      const number = typeof tag === 'number' ? tag : [...provider.blocks].find(([, hash]) => hash === tag)?.[0];
+      return provider.blocks.has(number) ? { number, hash: provider.blocks.get(number), timestamp: 1700000000 + number } : null;
+    },
+    getTransactionReceipt: async (hash) => ({ hash, from: '0x000000000000000000000000000000000000ad01' }),
+    call: async (tx) => provider.call(tx),
+  }),
+}));
+
+const CHAIN_ID = 11155111;
+const TOKEN = '0xa451b908c7ad183abd55f8ad48c055da8cb4264d';
+const [alice, bob, carol, dave] = ['alice', 'bob', 'carol', 'dave'].map((name) => ethers.id(name).slice(0, 42));
+
+const blockHash = (number, branch) => `0x${branch}${number.toString(16).padStart(63, '0')}`;
+
+// The indexer tracked blocks 100 to 111 on branch a; from `forkBlock` on, the chain is now on branch b
+async function trackBlocks(forkBlock) {
+  for (let number = 100; number <= 111; number++) {
+    await prisma.indexedBlock.create({ data: { chainId: CHAIN_ID, number: BigInt(number), hash: blockHash(number, 'a') } });
+    provider.blocks.set(number, blockHash(number, number >= forkBlock ? 'b' : 'a'));
+  }
+}
+
+let txCount = 0;
+function event(blockNumber, fields) {
+  txCount += 1;
+  return {
+    chainId: CHAIN_ID,
+    txHash: ethers.id(`tx${txCount}`),
+    blockNumber: BigInt(blockNumber),
+    blockHash: blockHash(blockNumber, 'a'),
+    logIndex: 0,
+    ...fields,
+  };
+}
+
+async function holderBalances() {
+  const holders = await prisma.tokenHolder.findMany({ where: { chainId: CHAIN_ID } });
+  return Object.fromEntries(holders.map((holder) => [holder.address, holder.balance]));
+}
+
+beforeEach(() => {
+  provider.blocks.clear();
+  provider.call = null;
+  useChain(CHAIN_ID);
+});
+
+describe('findForkBlock', () => {
+  it('returns null while the tracked tip is still canonical', async () => {
+    await trackBlocks(Infinity);
+
+    expect(await findForkBlock()).toBeNull();
+  });
+
+  it('finds the first orphaned block when the chain forked some blocks back', async () => {
+    await trackBlocks(108);
+
+    expect(await findForkBlock()).toBe(108);
+  });
+
+  it('rolls back to the oldest tracked block when the reorg is deeper than the window', async () => {
+    await trackBlocks(0);
+
+    expect(await findForkBlock()).toBe(100);
+  });
+});
+
+describe('rollbackFrom', () => {
+  it('reverses orphaned transfers, so holder balances are back to what they were before the fork', async () => {
+    // Mined before the fork: a mint of 1000 to alice, and alice sending 300 to bob
+    // Orphaned: bob sending 100 to carol, and a mint of 50 to dave
+    const transfers = [
+      event(90, { fromAddress: ethers.ZeroAddress, toAddress: alice, value: '1000' }),
+      event(105, { fromAddress: alice, toAddress: bob, value: '300' }),
+      event(109, { fromAddress: bob, toAddress: carol, value: '100' }),
+      event(110, { fromAddress: ethers.ZeroAddress, toAddress: dave, value: '50' }),
+    ];
+    for (const transfer of transfers) {
+      await prisma.transferEvent.create({ data: transfer });
+    }
+    for (const [address, balance] of [[alice, '700'], [bob, '200'], [carol, '100'], [dave, '50']]) {
+      await prisma.tokenHolder.create({ data: { chainId: CHAIN_ID, address, balance } });
+    }
+
+    await rollbackFrom(108);
+
+    expect(await holderBalances()).toEqual({ [alice]: '700', [bob]: '300', [carol]: '0', [dave]: '0' });
+    expect(prisma.$rows('transferEvent').map((transfer) => transfer.txHash)).toEqual([transfers[0].txHash, transfers[1].txHash]);
+  });
+
+  it('removes orphaned events, rebuilds running totals and sends orphaned transactions back to pending', async () => {
+    const handler = vi.fn();
+    onTransactionUpdate(handler);
+
+    const kept = event(100, { buyer: alice, ethAmount: '1', tokenAmount: '1000', tokensPerEth: '1000' });
+    await prisma.swapEvent.create({ data: kept });
+    await prisma.swapEvent.create({ data: event(109, { buyer: bob, ethAmount: '1', tokenAmount: '1000', tokensPerEth: '1000' }) });
+    await prisma.rateUpdate.create({ data: event(110, { oldRate: '1000', newRate: '2000' }) });
+
+    const minedTx = { chainId: CHAIN_ID, fromAddress: alice, toAddress: TOKEN, tokenAddress: TOKEN, amount: '1', type: 'BUY', status: 'CONFIRMED', confirmations: 3 };
+    await prisma.transaction.create({ data: { ...minedTx, txHash: kept.txHash, blockNumber: 100n, blockHash: kept.blockHash } });
+    const orphanedTx = await prisma.transaction.create({
+      data: { ...minedTx, txHash: ethers.id('orphaned'), blockNumber: 109n, blockHash: blockHash(109, 'a') },
+    });
+
+    await prisma.stakingPosition.create({ data: { chainId: CHAIN_ID, walletAddress: alice, staked: '500', rewardsClaimed: '0' } });
+    await prisma.stakingEvent.create({ data: event(100, { walletAddress: alice, type: 'STAKE', amount: '300' }) });
+    await prisma.stakingEvent.create({ data: event(109, { walletAddress: alice, type: 'STAKE', amount: '200' }) });
+
+    await prisma.vestingSchedule.create({
+      data: { ...event(95, {}), beneficiary: carol, allocation: 'COMMUNITY', totalAmount: '1000', released: '150', start: new Date(), cliffSeconds: 0, durationSeconds: 100 },
+    });
+    await prisma.vestingClaim.create({ data: event(100, { beneficiary: carol, amount: '100' }) });
+    await prisma.vestingClaim.create({ data: event(109, { beneficiary: carol, amount: '50' }) });
+
+    await rollbackFrom(108);
+
+    expect(prisma.$rows('swapEvent').map((swap) => swap.txHash)).toEqual([kept.txHash]);
+    expect(prisma.$rows('rateUpdate')).toHaveLength(0);
+    expect(prisma.$rows('stakingPosition')[0]).toMatchObject({ staked: '300', rewardsClaimed: '0' });
+    expect(prisma.$rows('vestingSchedule')[0].released).toBe('100');
+
+    const transactions = await prisma.transaction.findMany({ orderBy: { createdAt: 'asc' } });
+    expect(transactions[0]).toMatchObject({ status: 'CONFIRMED', blockNumber: 100n, confirmations: 3 });
+    expect(transactions[1]).toMatchObject({ status: 'PENDING', blockNumber: null, blockHash: null, confirmations: 0 });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(orphanedTx.txHash, expect.objectContaining({ status: 'PENDING', confirmations: 0 }));
+  });
+
+  it('rewinds checkpoints past the fork to the block before it', async () => {
+    await trackBlocks(108);
+    const checkpoint = (eventName, lastBlock, lastLogIndex) =>
+      prisma.indexerState.create({ data: { chainId: CHAIN_ID, contractAddress: TOKEN, eventName, lastBlock: BigInt(lastBlock), lastLogIndex } });
+    await checkpoint('Transfer', 111, 3);
+    await checkpoint('TokensSold', 108, null);
+    await checkpoint('TokensPurchased', 105, 2);
+    await checkpoint('backfill:0-50:Transfer', 50, null);
+
+    await rollbackFrom(await findForkBlock());
+
+    const states = Object.fromEntries(
+      prisma.$rows('indexerState').map((state) => [state.eventName, [state.lastBlock, state.lastLogIndex]])
+    );
+    expect(states).toEqual({
+      'Transfer': [107n, null],
+      'TokensSold': [107n, null],
+      'TokensPurchased': [105n, 2],
+      'backfill:0-50:Transfer': [50n, null],
+    });
+
+    // Blocks from the fork on are tracked again as they are re-indexed
+    expect(prisma.$rows('indexedBlock').map((block) => Number(block.number))).toEqual([100, 101, 102, 103, 104, 105, 106, 107]);
+    expect(await findForkBlock()).toBeNull();
+  });
+});
+
+describe('processVestingClaimEvent', () => {
+  const vesting = new ethers.Interface([
+    'event TokensClaimed(address indexed beneficiary, uint256 amount)',
+    'function schedules(address beneficiary) view returns (uint8 allocation, uint256 totalAmount, uint256 released, uint64 start, uint64 cliff, uint64 duration)',
+  ]);
+  // Created before the chain's startBlock, so its VestingScheduleCreated event was never indexed
+  const schedule = [1, 1000n, 400n, 1700000000n, 0n, 100n];
+
+  function claimEvent(blockNumber, amount) {
+    provider.blocks.set(blockNumber, blockHash(blockNumber, 'a'));
+    return {
+      ...vesting.encodeEventLog('TokensClaimed', [carol, amount]),
+      address: VESTING,
+      transactionHash: ethers.id(`claim${blockNumber}`),
+      index: 0,
+      blockNumber,
+      blockHash: blockHash(blockNumber, 'a'),
+    };
+  }
+
+  const checkpoint = () =>
+    prisma.indexerState.findUnique({
+      where: { chainId_contractAddress_eventName: { chainId: CHAIN_ID, contractAddress: VESTING, eventName: 'TokensClaimed' } },
+    });
+
+  it('reads the schedule of a claim with no indexed schedule from the contract and moves past it', async () => {
+    provider.call = vi.fn(async () => vesting.encodeFunctionResult('schedules', schedule));
+
+    await processVestingClaimEvent(claimEvent(120, 400n));
+
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ to: VESTING, blockTag: 120 }));
+    expect(prisma.$rows('vestingSchedule')[0]).toMatchObject({
+      beneficiary: carol,
+      allocation: 'LIQUIDITY',
+      totalAmount: '1000',
+      released: '400',
+      start: new Date(1700000000 * 1000),
+      cliffSeconds: 0,
+      durationSeconds: 100,
+      blockNumber: 120n,
+    });
+    expect(prisma.$rows('vestingClaim')).toHaveLength(1);
+    expect(await checkpoint()).toMatchObject({ lastBlock: 120n, lastLogIndex: 0 });
+  });
+
+  it('falls back to the latest block when the RPC has no state for the claim block', async () => {
+    provider.call = vi.fn(async (tx) => {
+      if (tx.blockTag !== undefined) throw new Error('missing trie node');
+      return vesting.encodeFunctionResult('schedules', schedule);
+    });
+
+    await processVestingClaimEvent(claimEvent(120, 400n));
+
+    expect(provider.call).toHaveBeenCalledTimes(2);
+    expect(prisma.$rows('vestingSchedule')[0]).toMatchObject({ totalAmount: '1000', released: '400' });
+    expect(await checkpoint()).toMatchObject({ lastBlock: 120n, lastLogIndex: 0 });
+  });
+});
+
+describe('processRateUpdateEvent', () => {
+  const token = new ethers.Interface(['event TokensPerEthUpdated(uint256 newRate)']);
+
+  function rateEvent(blockNumber, newRate, index = 0) {
+    provider.blocks.set(blockNumber, blockHash(blockNumber, 'a'));
+    return {
+      ...token.encodeEventLog('TokensPerEthUpdated', [newRate]),
+      address: TOKEN,
+      transactionHash: ethers.id(`rate${blockNumber}:${index}`),
+      index,
+      blockNumber,
+      blockHash: blockHash(blockNumber, 'a'),
+    };
+  }
+
+  // A node without archive state, as most of the failover RPCs are
+  beforeEach(() => {
+    provider.call = vi.fn(async () => {
+      throw new Error('missing trie node');
+    });
+  });
+
+  it('records the first update with an unknown old rate when the node cannot serve the block before it', async () => {
+    await processRateUpdateEvent(rateEvent(120, 2000n));
+
+    expect(prisma.$rows('rateUpdate')[0]).toMatchObject({ oldRate: null, newRate: '2000', blockNumber: 120n });
+    const checkpoint = await prisma.indexerState.findUnique({
+      where: { chainId_contractAddress_eventName: { chainId: CHAIN_ID, contractAddress: TOKEN, eventName: 'TokensPerEthUpdated' } },
+    });
+    expect(checkpoint).toMatchObject({ lastBlock: 120n, lastLogIndex: 0 });
+  });
+
+  it('takes the old rate of later updates from the previous indexed update', async () => {
+    await processRateUpdateEvent(rateEvent(120, 2000n));
+    await processRateUpdateEvent(rateEvent(130, 3000n));
+
+    expect(prisma.$rows('rateUpdate').map((update) => [update.oldRate, update.newRate])).toEqual([[null, '2000'], ['2000', '3000']]);
+  });
+
+  it('follows log order within a block, whatever order the rows were inserted in', async () => {
+    // Re-indexed after a rollback: the block's second update was stored before its first
+    const stored = (logIndex, oldRate, newRate, createdAt) =>
+      prisma.rateUpdate.create({
+        data: { chainId: CHAIN_ID, oldRate, newRate, blockNumber: 120n, txHash: ethers.id(`stored${logIndex}`), logIndex, createdAt: new Date(createdAt) },
+      });
+    await stored(1, '2000', '3000', 1000);
+    await stored(0, '1000', '2000', 2000);
+
+    await processRateUpdateEvent(rateEvent(130, 4000n));
+
+    expect(prisma.$rows('rateUpdate').find((update) => update.blockNumber === 130n).oldRate).toBe('3000');
+  });
+
+  it('ignores a later update of the same block that was indexed first', async () => {
+    provider.call = vi.fn(async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [1000n]));
+
+    // The live stream got to the block's second update before a backfill reached its first
+    await processRateUpdateEvent(rateEvent(120, 3000n, 1));
+    await processRateUpdateEvent(rateEvent(120, 2000n, 0));
+
+    const first = prisma.$rows('rateUpdate').find((update) => update.logIndex === 0);
+    expect(first).toMatchObject({ oldRate: '1000', newRate: '2000' });
+    expect(provider.call).toHaveBeenLastCalledWith(expect.objectContaining({ blockTag: 119 }));
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ethers } from 'ethers';
+import { prisma } from '../src/database/client.js';
+import { buildMerkleTree, hashLeaf, verifyProof } from '../src/utils/merkle.js';
+import { allocationsFromCsv, buildAirdrop } from '../src/scripts/build-airdrop.js';
+
+const accounts = ['alice', 'bob', 'carol', 'dave', 'erin'].map((name) => ethers.getAddress(ethers.id(name).slice(0, 42)));
+
+// MeowfiAirdrop.claim's leaf, keccak256(bytes.concat(keccak256(abi.encode(msg.sender, amount))))
+function contractLeaf(account, amount) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [account, amount]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// OpenZeppelin's MerkleProof.processProof: fold the proof in with sorted-pair keccak256
+function processProof(proof, leaf) {
+  return proof.reduce((hash, sibling) => {
+    const [a, b] = BigInt(hash) < BigInt(sibling) ? [hash, sibling] : [sibling, hash];
+    return ethers.keccak256(ethers.concat([a, b]));
+  }, leaf);
+}
+
+function entriesFor(count) {
+  return accounts.slice(0, count).map((account, i) => ({ account, amount: ethers.parseEther(String(100 * (i + 1))) }));
+}
+
+describe('buildMerkleTree', () => {
+  it('hashes leaves the way the contract does', () => {
+    expect(hashLeaf(accounts[0], 10n ** 18n)).toBe(contractLeaf(accounts[0], 10n ** 18n));
+  });
+
+  it.each([
+    ['an even number of', 4],
+    ['an odd number of', 5],
+    ['three', 3],
+  ])('gives every account a proof the contract accepts with %s leaves', (_, count) => {
+    const entries = entriesFor(count);
+    const { root, proofs } = buildMerkleTree(entries);
+
+    entries.forEach(({ account, amount }, i) => {
+      const leaf = contractLeaf(account, amount);
+      expect(processProof(proofs[i], leaf)).toBe(root);
+      expect(verifyProof(proofs[i], root, leaf)).toBe(true);
+    });
+  });
+
+  it('rejects a proof for a different amount or account', () => {
+    const entries = entriesFor(5);
+    const { root, proofs } = buildMerkleTree(entries);
+
+    expect(processProof(proofs[0], contractLeaf(accounts[0], entries[0].amount + 1n))).not.toBe(root);
+    expect(processProof(proofs[0], contractLeaf(accounts[1], entries[0].amount))).not.toBe(root);
+  });
+
+  it('carries the odd last leaf up without pairing it with itself', () => {
+    const entries = entriesFor(5);
+    const { proofs } = buildMerkleTree(entries);
+
+    // Leaf 4 has no sibling in the first two layers, so its proof is only the root of the first four
+    expect(proofs[4]).toHaveLength(1);
+    expect(proofs[4][0]).toBe(buildMerkleTree(entries.slice(0, 4)).root);
+  });
+
+  it('uses the leaf as the root of a single-entry tree, with an empty proof', () => {
+    const [entry] = entriesFor(1);
+    const { root, proofs } = buildMerkleTree([entry]);
+
+    expect(root).toBe(contractLeaf(entry.account, entry.amount));
+    expect(proofs).toEqual([[]]);
+    expect(verifyProof(proofs[0], root, contractLeaf(entry.account, entry.amount))).toBe(true);
+  });
+
+  it('refuses to build a tree without entries', () => {
+    expect(() => buildMerkleTree([])).toThrow('Cannot build a Merkle tree without entries');
+  });
+});
+
+describe('build-airdrop', () => {
+  let dir;
+
+  beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'airdrop-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  async function csv(lines) {
+    const file = join(dir, 'recipients.csv');
+    await writeFile(file, lines.join('\n'));
+    return file;
+  }
+
+  it('reads a CSV with a header row, merging duplicate wallets', async () => {
+    const file = await csv(['address,amount', `${accounts[0]},10`, `${accounts[1]},2.5`, `${accounts[0].toLowerCase()},5`, '']);
+
+    const allocations = await allocationsFromCsv(file);
+
+    expect(Object.fromEntries(allocations)).toEqual({
+      [accounts[0].toLowerCase()]: ethers.parseEther('15'),
+      [accounts[1].toLowerCase()]: ethers.parseEther('2.5'),
+    });
+  });
+
+  it('stores the root and a proof per recipient that the contract accepts', async () => {
+    const file = await csv([`${accounts[0]},10`, `${accounts[1]},20`, `${accounts[2]},30`]);
+
+    await buildAirdrop({ csv: file });
+
+    const [airdrop] = prisma.$rows('airdrop');
+    expect(airdrop).toMatchObject({ chainId: 11155111, source: `csv:${file}`, totalAmount: ethers.parseEther('60').toString(), recipientCount: 3 });
+
+    const recipients = prisma.$rows('airdropRecipient');
+    expect(recipients).toHaveLength(3);
+    for (const recipient of recipients) {
+      const leaf = contractLeaf(recipient.walletAddress, BigInt(recipient.amount));
+      expect(processProof(recipient.proof, leaf)).toBe(airdrop.merkleRoot);
+    }
+  });
+
+  it('records the chain the tree is built for', async () => {
+    const file = await csv([`${accounts[0]},10`]);
+
+    await buildAirdrop({ csv: file, chain: '11155111' });
+    await expect(buildAirdrop({ csv: file, chain: '1' })).rejects.toThrow('Chain 1 is not configured');
+
+    expect(prisma.$rows('airdrop').map((airdrop) => airdrop.chainId)).toEqual([11155111]);
+  });
+
+  it('builds a single-recipient airdrop whose root is the leaf', async () => {
+    const file = await csv([`${accounts[0]},10`]);
+
+    await buildAirdrop({ csv: file });
+
+    const [recipient] = prisma.$rows('airdropRecipient');
+    expect(recipient.proof).toEqual([]);
+    expect(prisma.$rows('airdrop')[0].merkleRoot).toBe(contractLeaf(accounts[0], ethers.parseEther('10')));
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { prisma } from '../src/database/client.js';
+import { cache } from '../src/utils/redis.js';
+import { tokenRoutes } from '../src/routes/token.routes.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/services/blockchain.service.js', () => ({
+  getContract: () => ({ totalSupply: async () => 1000n * 10n ** 18n, tokensPerEth: async () => 3000n * 10n ** 18n }),
+  PRICING_MODES: [],
+}));
+
+const app = createApp({ '/token': tokenRoutes });
+
+const CHAIN_ID = 11155111;
+
+beforeEach(async () => {
+  await cache.clear();
+
+  for (let i = 1; i <= 150; i++) {
+    await prisma.tokenHolder.create({
+      data: { chainId: CHAIN_ID, address: `0x${i.toString(16).padStart(40, '0')}`, balance: i * 1e15 },
+    });
+  }
+});
+
+describe('GET /token/holders', () => {
+  it('ranks holders by balance', async () => {
+    const res = await request(app).get('/api/v1/token/holders?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.holders.map((holder) => [holder.rank, holder.balance])).toEqual([[1, '0.15'], [2, '0.149']]);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 2, total: 150, pages: 75 });
+  });
+
+  it('caps the page size at 100', async () => {
+    const res = await request(app).get('/api/v1/token/holders?limit=1000000');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.holders).toHaveLength(100);
+    expect(res.body.data.pagination.limit).toBe(100);
+  });
+
+  it.each(['0', '-1', 'abc'])('rejects page=%s', async (page) => {
+    const res = await request(app).get(`/api/v1/token/holders?page=${page}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Page must be a number of 1 or more');
+  });
+});
+
+describe('GET /token/rate/history', () => {
+  it('reports an unknown rate before the first update as null', async () => {
+    const update = (blockNumber, oldRate, newRate) =>
+      prisma.rateUpdate.create({
+        data: { chainId: CHAIN_ID, oldRate, newRate, blockNumber: BigInt(blockNumber), txHash: `0x${blockNumber}`, logIndex: 0 },
+      });
+    await update(120, null, (2000n * 10n ** 18n).toString());
+    await update(130, (2000n * 10n ** 18n).toString(), (3000n * 10n ** 18n).toString());
+
+    const res = await request(app).get('/api/v1/token/rate/history');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.currentRate).toBe('3000.0');
+    expect(res.body.data.initialRate).toBeNull();
+    expect(res.body.data.updates.map((entry) => [entry.oldRate, entry.newRate])).toEqual([[null, '2000.0'], ['2000.0', '3000.0']]);
+  });
+
+  it('lists updates of one block in log order rather than insertion order', async () => {
+    const rate = (meow) => (BigInt(meow) * 10n ** 18n).toString();
+    await prisma.rateUpdate.create({
+      data: { chainId: CHAIN_ID, oldRate: rate(2000), newRate: rate(3000), blockNumber: 120n, txHash: '0x120', logIndex: 1, createdAt: new Date(1000) },
+    });
+    await prisma.rateUpdate.create({
+      data: { chainId: CHAIN_ID, oldRate: rate(1000), newRate: rate(2000), blockNumber: 120n, txHash: '0x120', logIndex: 0, createdAt: new Date(2000) },
+    });
+
+    const res = await request(app).get('/api/v1/token/rate/history');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.initialRate).toBe('1000.0');
+    expect(res.body.data.updates.map((entry) => [entry.oldRate, entry.newRate])).toEqual([['1000.0', '2000.0'], ['2000.0', '3000.0']]);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import { ethers } from 'ethers';
+import { prisma } from '../src/database/client.js';
+import { cache } from '../src/utils/redis.js';
+import { transactionRoutes } from '../src/routes/transaction.routes.js';
+import { createApp } from './helpers/app.js';
+
+vi.mock('../src/services/blockchain.service.js', () => ({
+  getProvider: vi.fn(),
+}));
+
+const app = createApp({ '/transactions': transactionRoutes });
+
+const TOKEN = '0xa451b908c7ad183abd55f8ad48c055da8cb4264d';
+
+beforeEach(async () => {
+  await cache.clear();
+});
+
+describe('GET /transactions/stats/summary', () => {
+  it('counts each status on its own, so reverted transactions are not reported as pending', async () => {
+    const statuses = ['PENDING', 'PENDING', 'CONFIRMED', 'CONFIRMED', 'CONFIRMED', 'REVERTED', 'FAILED'];
+    for (const [i, status] of statuses.entries()) {
+      await prisma.transaction.create({
+        data: {
+          chainId: 11155111,
+          txHash: ethers.id(`tx${i}`),
+          fromAddress: TOKEN,
+          toAddress: TOKEN,
+          tokenAddress: TOKEN,
+          amount: '1',
+          amountInEth: '1000',
+          type: 'SWAP_ETH_TO_TOKEN',
+          status,
+        },
+      });
+    }
+
+    const res = await request(app).get('/api/v1/transactions/stats/summary');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ total: 7, pending: 2, confirmed: 3, reverted: 1, failed: 1 });
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect, vi } from 'vitest';
+import { publishTransactionUpdate, subscribeToTransactionUpdates } from '../src/utils/transactionUpdates.js';
+
+vi.mock('ioredis', async () => ({ default: (await import('ioredis-mock')).default }));
+
+describe('transaction update relay', () => {
+  it('delivers updates published by another process', async () => {
+    const received = [];
+    const unsubscribe = subscribeToTransactionUpdates((txHash, update) => received.push({ txHash, update }));
+
+    // Let the subscription register before publishing
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const update = { txHash: '0xabc', chainId: 11155111, status: 'CONFIRMED', blockNumber: '42', confirmations: 3 };
+    await publishTransactionUpdate('0xabc', update);
+
+    await vi.waitFor(() => expect(received).toEqual([{ txHash: '0xabc', update }]));
+
+    await unsubscribe();
+  });
+});
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/contracts/Memecoin.sol";
+
+/**
+ * @title Deploy
+ * @dev Deploys Meowfi and optionally seeds it with ETH so sell-backs work from day one.
+ *
+ * Local anvil node (uses anvil's first default account when PRIVATE_KEY is unset):
+ *   forge script script/Deploy.s.sol:Deploy --rpc-url anvil --broadcast
+ *
+ * Sepolia:
+ *   forge script script/Deploy.s.sol:Deploy --rpc-url sepolia --broadcast --verify
+ */
+contract Deploy is Script {
+    // anvil's well-known account #0, never holds real funds
+    uint256 internal constant ANVIL_DEFAULT_KEY =
+        0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80;
+
+    function run() external returns (Meowfi meowfi) {
+        uint256 deployerKey = vm.envOr("PRIVATE_KEY", ANVIL_DEFAULT_KEY);
+        uint256 initialEthLiquidity = vm.envOr("INITIAL_ETH_LIQUIDITY", uint256(0));
+        uint256 tokensPerEth = vm.envOr("TOKENS_PER_ETH", uint256(0));
+
+        vm.startBroadcast(deployerKey);
+
+        meowfi = new Meowfi();
+
+        if (tokensPerEth > 0) {
+            meowfi.setTokensPerEth(tokensPerEth);
+        }
+
+        if (initialEthLiquidity > 0) {
+            (bool sent, ) = payable(address(meowfi)).call{value: initialEthLiquidity}("");
+            require(sent, "ETH funding failed");
+        }
+
+        vm.stopBroadcast();
+
+        console.log("Meowfi deployed at:", address(meowfi));
+        console.log("Owner:", meowfi.owner());
+        console.log("Contract MEOW balance:", meowfi.balanceOf(address(meowfi)));
+        console.log("Contract ETH balance:", address(meowfi).balance);
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiAirdrop.sol";
+
+/**
+ * @title DeployAirdrop
+ * @dev Deploys MeowfiAirdrop for a Merkle root built by the backend's `airdrop:build`
+ * command and funds it with the airdrop total from the deployer's MEOW.
+ *
+ *   MEOWFI_ADDRESS=0x... AIRDROP_MERKLE_ROOT=0x... AIRDROP_TOTAL=500000000000000000000000 \
+ *   forge script script/DeployAirdrop.s.sol:DeployAirdrop --rpc-url sepolia --broadcast --verify
+ */
+contract DeployAirdrop is Script {
+    // anvil's well-known account #0, never holds real funds
+    uint256 internal constant ANVIL_DEFAULT_KEY =
+        0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80;
+
+    function run() external returns (MeowfiAirdrop airdrop) {
+        uint256 deployerKey = vm.envOr("PRIVATE_KEY", ANVIL_DEFAULT_KEY);
+        Meowfi meowfi = Meowfi(payable(vm.envAddress("MEOWFI_ADDRESS")));
+        bytes32 merkleRoot = vm.envBytes32("AIRDROP_MERKLE_ROOT");
+        uint256 total = vm.envUint("AIRDROP_TOTAL");
+        uint256 claimPeriod = vm.envOr("AIRDROP_CLAIM_PERIOD", uint256(90 days));
+
+        address deployer = vm.addr(deployerKey);
+
+        vm.startBroadcast(deployerKey);
+
+        airdrop = new MeowfiAirdrop(meowfi, merkleRoot, block.timestamp + claimPeriod, deployer);
+        require(meowfi.transfer(address(airdrop), total), "Funding failed");
+
+        vm.stopBroadcast();
+
+        console.log("MeowfiAirdrop deployed at:", address(airdrop));
+        console.log("Claim deadline:", airdrop.claimDeadline());
+    }
+}
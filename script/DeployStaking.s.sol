@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiStaking.sol";
+
+/**
+ * @title DeployStaking
+ * @dev Deploys MeowfiStaking for an existing Meowfi deployment and funds its reward
+ * pool from the deployer's MEOW.
+ *
+ *   MEOWFI_ADDRESS=0x... STAKING_REWARD_POOL=10000000000000000000000000 \
+ *   forge script script/DeployStaking.s.sol:DeployStaking --rpc-url sepolia --broadcast --verify
+ */
+contract DeployStaking is Script {
+    // anvil's well-known account #0, never holds real funds
+    uint256 internal constant ANVIL_DEFAULT_KEY =
+        0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80;
+
+    function run() external returns (MeowfiStaking staking) {
+        uint256 deployerKey = vm.envOr("PRIVATE_KEY", ANVIL_DEFAULT_KEY);
+        Meowfi meowfi = Meowfi(payable(vm.envAddress("MEOWFI_ADDRESS")));
+        uint256 rewardRate = vm.envOr("STAKING_REWARD_RATE", uint256(0.1 ether)); // MEOW-wei per second
+        uint256 rewardPool = vm.envOr("STAKING_REWARD_POOL", uint256(0));
+
+        address deployer = vm.addr(deployerKey);
+
+        vm.startBroadcast(deployerKey);
+
+        staking = new MeowfiStaking(meowfi, rewardRate, deployer);
+
+        if (rewardPool > 0) {
+            meowfi.approve(address(staking), rewardPool);
+            staking.fundRewards(rewardPool);
+        }
+
+        vm.stopBroadcast();
+
+        console.log("MeowfiStaking deployed at:", address(staking));
+        console.log("Reward rate per second:", staking.rewardRate());
+        console.log("Reward pool:", staking.rewardReserve());
+    }
+}
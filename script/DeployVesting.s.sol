@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Script.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiVesting.sol";
+
+/**
+ * @title DeployVesting
+ * @dev Deploys MeowfiVesting for an existing Meowfi deployment and locks the deployer's
+ * MEOW into the tokenomics allocations: 50% community, 30% liquidity, 20% development.
+ *
+ *   MEOWFI_ADDRESS=0x... COMMUNITY_WALLET=0x... LIQUIDITY_WALLET=0x... DEVELOPMENT_WALLET=0x... \
+ *   forge script script/DeployVesting.s.sol:DeployVesting --rpc-url sepolia --broadcast --verify
+ */
+contract DeployVesting is Script {
+    // anvil's well-known account #0, never holds real funds
+    uint256 internal constant ANVIL_DEFAULT_KEY =
+        0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80;
+
+    function run() external returns (MeowfiVesting vesting) {
+        uint256 deployerKey = vm.envOr("PRIVATE_KEY", ANVIL_DEFAULT_KEY);
+        Meowfi meowfi = Meowfi(payable(vm.envAddress("MEOWFI_ADDRESS")));
+        address communityWallet = vm.envAddress("COMMUNITY_WALLET");
+        address liquidityWallet = vm.envAddress("LIQUIDITY_WALLET");
+        address developmentWallet = vm.envAddress("DEVELOPMENT_WALLET");
+        uint64 start = uint64(vm.envOr("VESTING_START", block.timestamp));
+        uint64 cliff = uint64(vm.envOr("VESTING_CLIFF", uint256(180 days)));
+        uint64 duration = uint64(vm.envOr("VESTING_DURATION", uint256(730 days)));
+
+        address deployer = vm.addr(deployerKey);
+        uint256 balance = meowfi.balanceOf(deployer);
+
+        vm.startBroadcast(deployerKey);
+
+        vesting = new MeowfiVesting(meowfi, deployer);
+        meowfi.approve(address(vesting), balance);
+
+        vesting.createSchedule(
+            communityWallet, MeowfiVesting.Allocation.Community, balance * 50 / 100, start, cliff, duration
+        );
+        vesting.createSchedule(
+            liquidityWallet, MeowfiVesting.Allocation.Liquidity, balance * 30 / 100, start, cliff, duration
+        );
+        vesting.createSchedule(
+            developmentWallet, MeowfiVesting.Allocation.Development, balance * 20 / 100, start, cliff, duration
+        );
+
+        vm.stopBroadcast();
+
+        console.log("MeowfiVesting deployed at:", address(vesting));
+        console.log("Total MEOW locked:", vesting.totalAllocated());
+    }
+}
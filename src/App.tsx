@@ -7,6 +7,9 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
 import SwapPage from "./pages/SwapPage";
+import ClaimPage from "./pages/ClaimPage";
+import StakePage from "./pages/StakePage";
+import AdminPage from "./pages/AdminPage";
 
 const App = () => {
   const [isLoading, setIsLoading] = useState(true);
@@ -38,6 +41,9 @@ const App = () => {
         <Routes>
           <Route path="/" element={<Index />} />
           <Route path="/swap" element={<SwapPage />} />
+          <Route path="/claim" element={<ClaimPage />} />
+          <Route path="/stake" element={<StakePage />} />
+          <Route path="/admin" element={<AdminPage />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
       </BrowserRouter>
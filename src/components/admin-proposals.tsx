@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertTitle, AlertDescription } from "@/components/ui/alert";
+import { ShieldCheck, RefreshCw } from "lucide-react";
+import { useWallet } from "@/hooks/use-wallet";
+import { apiClient, AdminAccount, AdminProposal } from "@/lib/api";
+import { MEMECOIN_TOKEN } from "@/services/wallet";
+
+const formatAddress = (address: string) =>
+  `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+function describeProposal(proposal: AdminProposal) {
+  const { params } = proposal;
+  switch (proposal.action) {
+    case "UPDATE_EXCHANGE_RATE":
+      return `Set the rate to ${params.newRate} ${MEMECOIN_TOKEN.symbol} per ETH`;
+    case "PAUSE_SWAPS":
+      return params.reason ? `Pause swaps: ${params.reason}` : "Pause swaps";
+    case "UNPAUSE_SWAPS":
+      return params.reason ? `Resume swaps: ${params.reason}` : "Resume swaps";
+    case "WITHDRAW_ETH":
+      return `Withdraw ${params.amount} ETH to ${formatAddress(params.to ?? "")}`;
+    case "WITHDRAW_TOKENS":
+      return `Withdraw ${params.amount} ${MEMECOIN_TOKEN.symbol} to ${formatAddress(params.to ?? "")}`;
+    case "SET_ADMIN_ROLE":
+      return `Make ${formatAddress(params.walletAddress ?? "")} ${params.role}`;
+    case "REMOVE_ADMIN":
+      return `Remove admin ${formatAddress(params.walletAddress ?? "")}`;
+  }
+}
+
+export function AdminProposals() {
+  const { address, isConnected } = useWallet();
+
+  const [admin, setAdmin] = useState<AdminAccount | null>(null);
+  const [proposals, setProposals] = useState<AdminProposal[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(false);
+  const [notAdmin, setNotAdmin] = useState<boolean>(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  // The admin endpoints use the backend session opened when the wallet connected
+  const fetchProposals = useCallback(async () => {
+    if (!address) {
+      setAdmin(null);
+      setProposals([]);
+      setNotAdmin(false);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const [account, { proposals }] = await Promise.all([
+        apiClient.getAdminMe(),
+        apiClient.getAdminProposals("PENDING"),
+      ]);
+      setAdmin(account);
+      setProposals(proposals);
+      setNotAdmin(false);
+    } catch (error) {
+      console.warn("Failed to fetch admin proposals:", error);
+      setAdmin(null);
+      setProposals([]);
+      setNotAdmin(true);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    fetchProposals();
+  }, [fetchProposals]);
+
+  const handleDecision = async (proposal: AdminProposal, decision: "approve" | "cancel") => {
+    try {
+      setBusyId(proposal.id);
+      const updated = decision === "approve"
+        ? await apiClient.approveAdminProposal(proposal.id)
+        : await apiClient.cancelAdminProposal(proposal.id);
+
+      if (updated.status === "EXECUTED") {
+        toast.success("Proposal approved and executed");
+      } else if (updated.status === "FAILED") {
+        toast.error(`Proposal failed: ${updated.error}`);
+      } else {
+        toast.success(decision === "approve" ? "Proposal approved" : "Proposal cancelled");
+      }
+      await fetchProposals();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update proposal");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const canApprove = admin?.role === "OPERATOR" || admin?.role === "SUPERADMIN";
+
+  return (
+    <div className="glass-card w-full max-w-2xl p-5 glass-effect glass-shine">
+      <div className="flex items-center justify-between mb-5">
+        <div className="flex items-center gap-2">
+          <ShieldCheck size={20} className="text-primary-500" />
+          <h2 className="text-xl font-semibold">Pending Proposals</h2>
+        </div>
+        {admin && (
+          <Button variant="ghost" size="sm" disabled={isLoading} onClick={fetchProposals}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+
+      {!isConnected && (
+        <p className="text-sm text-muted-foreground">Connect an admin wallet to see pending proposals.</p>
+      )}
+
+      {notAdmin && (
+        <Alert>
+          <AlertTitle>No admin access</AlertTitle>
+          <AlertDescription>
+            This wallet has no admin role, or its sign-in hasn't completed yet.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {admin && !isLoading && proposals.length === 0 && (
+        <p className="text-sm text-muted-foreground">Nothing is waiting for approval.</p>
+      )}
+
+      <div className="flex flex-col gap-3">
+        {proposals.map((proposal) => {
+          const approved = proposal.approvals.some((approval) => approval.adminId === admin?.id);
+          const canCancel = proposal.proposedBy === admin?.id || admin?.role === "SUPERADMIN";
+
+          return (
+            <div key={proposal.id} className="p-4 bg-secondary/30 rounded-xl border border-border/50">
+              <div className="font-medium">{describeProposal(proposal)}</div>
+              <div className="text-xs text-muted-foreground mt-1">
+                {proposal.chainId !== null && <>Chain {proposal.chainId} · </>}
+                {proposal.approvals.length} of {proposal.requiredApprovals} approvals ·
+                expires {new Date(proposal.expiresAt).toLocaleString()}
+              </div>
+              <div className="text-xs text-muted-foreground mt-1">
+                Approved by {proposal.approvals.map((approval) => formatAddress(approval.walletAddress)).join(", ")}
+              </div>
+
+              <div className="flex gap-2 mt-3">
+                {canApprove && (
+                  <Button
+                    size="sm"
+                    className="bg-primary-500 hover:bg-primary-500/90 text-white"
+                    disabled={approved || busyId !== null}
+                    onClick={() => handleDecision(proposal, "approve")}
+                  >
+                    {approved ? "Approved" : busyId === proposal.id ? "Submitting..." : "Approve"}
+                  </Button>
+                )}
+                {canCancel && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={busyId !== null}
+                    onClick={() => handleDecision(proposal, "cancel")}
+                  >
+                    Cancel
+                  </Button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
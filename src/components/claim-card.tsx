@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertTitle, AlertDescription } from "@/components/ui/alert";
+import { Gift, CheckCircle2 } from "lucide-react";
+import { useWallet } from "@/hooks/use-wallet";
+import { apiClient, AirdropProof } from "@/lib/api";
+import { MEMECOIN_TOKEN } from "@/services/wallet";
+
+export function ClaimCard() {
+  const { address, isConnected, connectWallet, claimAirdrop } = useWallet();
+
+  const [airdrop, setAirdrop] = useState<AirdropProof | null>(null);
+  const [isLoading, setIsLoading] = useState<boolean>(false);
+  const [isClaiming, setIsClaiming] = useState<boolean>(false);
+  const [notEligible, setNotEligible] = useState<boolean>(false);
+
+  // Look up the connected wallet's allocation and proof
+  const fetchProof = useCallback(async () => {
+    if (!address) {
+      setAirdrop(null);
+      setNotEligible(false);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setAirdrop(await apiClient.getAirdropProof(address));
+      setNotEligible(false);
+    } catch (error) {
+      console.warn("Failed to fetch airdrop proof:", error);
+      setAirdrop(null);
+      setNotEligible(true);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    fetchProof();
+  }, [fetchProof]);
+
+  const handleClaim = async () => {
+    if (!isConnected) {
+      connectWallet();
+      return;
+    }
+
+    if (!airdrop) return;
+
+    try {
+      setIsClaiming(true);
+      const success = await claimAirdrop(airdrop.amountWei, airdrop.proof);
+      if (success) {
+        await fetchProof();
+      }
+    } finally {
+      setIsClaiming(false);
+    }
+  };
+
+  const deadlinePassed = airdrop?.claimDeadline ? new Date(airdrop.claimDeadline) < new Date() : false;
+
+  return (
+    <div className="glass-card w-full max-w-md p-5 glass-effect glass-shine">
+      <div className="flex items-center gap-2 mb-5">
+        <Gift size={20} className="text-primary-500" />
+        <h2 className="text-xl font-semibold">Claim Airdrop</h2>
+      </div>
+
+      <div className="mb-5 p-4 bg-secondary/30 rounded-xl border border-border/50">
+        <span className="text-sm text-muted-foreground">Your allocation</span>
+        <div className="text-3xl font-semibold mt-1">
+          {airdrop ? parseFloat(airdrop.amount).toLocaleString() : "0"}{" "}
+          <span className="text-primary-500">{MEMECOIN_TOKEN.symbol}</span>
+        </div>
+        {airdrop?.claimDeadline && (
+          <p className="text-xs text-muted-foreground mt-2">
+            Claim before {new Date(airdrop.claimDeadline).toLocaleDateString()}
+          </p>
+        )}
+      </div>
+
+      {notEligible && (
+        <Alert className="mb-5">
+          <AlertTitle>Not eligible</AlertTitle>
+          <AlertDescription>
+            This wallet is not part of the current Community & Rewards airdrop.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {airdrop?.claimed && (
+        <Alert className="mb-5">
+          <CheckCircle2 className="h-4 w-4" />
+          <AlertTitle>Already claimed</AlertTitle>
+          <AlertDescription>
+            The {MEMECOIN_TOKEN.symbol} for this wallet has been sent.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <Button
+        className="w-full h-14 text-base font-semibold rounded-xl transition-all
+                  bg-primary-500 hover:bg-primary-500/90 text-white shadow-lg
+                  hover:shadow-primary-500/20 hover:shadow-lg"
+        disabled={
+          isClaiming ||
+          (isConnected && (isLoading || !airdrop || airdrop.claimed || deadlinePassed)) ||
+          (!isConnected && !window.ethereum)
+        }
+        onClick={handleClaim}
+      >
+        {!window.ethereum
+          ? "MetaMask not installed"
+          : !isConnected
+            ? "Connect Wallet"
+            : isLoading
+              ? "Checking eligibility..."
+              : isClaiming
+                ? "Claiming..."
+                : !airdrop
+                  ? "Not eligible"
+                  : airdrop.claimed
+                    ? "Claimed"
+                    : deadlinePassed
+                      ? "Claim period ended"
+                      : "Claim"}
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Separator } from "@/components/ui/separator";
+import { Coins } from "lucide-react";
+import { useWallet } from "@/hooks/use-wallet";
+import { formatCurrency } from "@/lib/formatters";
+import { apiClient, StakingPool, StakingPosition } from "@/lib/api";
+import { MEMECOIN_TOKEN, StakingBalance } from "@/services/wallet";
+import { toast } from "sonner";
+
+const EVENT_LABELS = {
+  STAKE: "Staked",
+  UNSTAKE: "Unstaked",
+  CLAIM: "Claimed",
+};
+
+export function StakeCard() {
+  const {
+    address,
+    isConnected,
+    connectWallet,
+    getTokenBalance,
+    getStakingBalance,
+    stakeTokens,
+    unstakeTokens,
+    claimStakingRewards,
+  } = useWallet();
+
+  const [amount, setAmount] = useState<string>("");
+  const [isUnstaking, setIsUnstaking] = useState<boolean>(false);
+  const [isSubmitting, setIsSubmitting] = useState<boolean>(false);
+  const [tokenBalance, setTokenBalance] = useState<string>("0");
+  const [balance, setBalance] = useState<StakingBalance>({ staked: "0", earned: "0" });
+  const [pool, setPool] = useState<StakingPool | null>(null);
+  const [position, setPosition] = useState<StakingPosition | null>(null);
+
+  const fetchPool = useCallback(async () => {
+    try {
+      setPool(await apiClient.getStakingPool());
+    } catch (error) {
+      console.warn("Failed to fetch staking pool:", error);
+    }
+  }, []);
+
+  // Live balances come from the contract, history from the indexer
+  const fetchPosition = useCallback(async () => {
+    if (!isConnected || !address) return;
+
+    const [walletBalance, stakingBalance] = await Promise.all([
+      getTokenBalance(MEMECOIN_TOKEN.address),
+      getStakingBalance(),
+    ]);
+    setTokenBalance(walletBalance);
+    setBalance(stakingBalance);
+
+    try {
+      setPosition(await apiClient.getStakingPosition(address));
+    } catch (error) {
+      console.warn("Failed to fetch staking position:", error);
+    }
+  }, [isConnected, address, getTokenBalance, getStakingBalance]);
+
+  useEffect(() => {
+    fetchPool();
+    fetchPosition();
+    const interval = setInterval(() => {
+      fetchPool();
+      fetchPosition();
+    }, 15000);
+    return () => clearInterval(interval);
+  }, [fetchPool, fetchPosition]);
+
+  const availableBalance = isUnstaking ? balance.staked : tokenBalance;
+
+  const handleAmountChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const value = e.target.value;
+    if (value === "" || /^\d*\.?\d*$/.test(value)) {
+      setAmount(value);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!isConnected) {
+      connectWallet();
+      return;
+    }
+
+    if (!amount || parseFloat(amount) <= 0) {
+      toast.error("Please enter a valid amount");
+      return;
+    }
+
+    if (parseFloat(amount) > parseFloat(availableBalance)) {
+      toast.error(isUnstaking ? "Amount exceeds your staked balance" : "Insufficient balance");
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const success = isUnstaking ? await unstakeTokens(amount) : await stakeTokens(amount);
+      if (success) {
+        setAmount("");
+        await Promise.all([fetchPool(), fetchPosition()]);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClaim = async () => {
+    try {
+      setIsSubmitting(true);
+      if (await claimStakingRewards()) {
+        await fetchPosition();
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="glass-card w-full max-w-md p-5 glass-effect glass-shine">
+      <div className="flex items-center gap-2 mb-5">
+        <Coins size={20} className="text-primary-500" />
+        <h2 className="text-xl font-semibold">Stake {MEMECOIN_TOKEN.symbol}</h2>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-5">
+        <div className="p-3 bg-secondary/30 rounded-xl border border-border/50">
+          <span className="text-xs text-muted-foreground">Pool APR</span>
+          <div className="text-lg font-semibold text-primary-500">
+            {pool?.apr ? `${formatCurrency(pool.apr, 2)}%` : "--"}
+          </div>
+        </div>
+        <div className="p-3 bg-secondary/30 rounded-xl border border-border/50">
+          <span className="text-xs text-muted-foreground">Total staked</span>
+          <div className="text-lg font-semibold">
+            {pool ? Math.floor(parseFloat(pool.totalStaked)).toLocaleString() : "--"}
+          </div>
+        </div>
+        <div className="p-3 bg-secondary/30 rounded-xl border border-border/50">
+          <span className="text-xs text-muted-foreground">Your stake</span>
+          <div className="text-lg font-semibold">{formatCurrency(balance.staked, 2)}</div>
+        </div>
+        <div className="p-3 bg-secondary/30 rounded-xl border border-border/50">
+          <span className="text-xs text-muted-foreground">Pending rewards</span>
+          <div className="text-lg font-semibold">{formatCurrency(balance.earned, 4)}</div>
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-3">
+        <Button
+          variant={!isUnstaking ? "default" : "outline"}
+          size="sm"
+          onClick={() => {
+            setIsUnstaking(false);
+            setAmount("");
+          }}
+        >
+          Stake
+        </Button>
+        <Button
+          variant={isUnstaking ? "default" : "outline"}
+          size="sm"
+          onClick={() => {
+            setIsUnstaking(true);
+            setAmount("");
+          }}
+        >
+          Unstake
+        </Button>
+      </div>
+
+      <div className="mb-5 p-4 bg-secondary/30 rounded-xl border border-border/50">
+        <div className="flex justify-between mb-2">
+          <span className="text-sm text-muted-foreground">Amount</span>
+          <button
+            className="text-xs text-primary-500 hover:underline"
+            onClick={() => setAmount(availableBalance)}
+          >
+            Max: {formatCurrency(availableBalance, 2)}
+          </button>
+        </div>
+        <Input
+          type="text"
+          inputMode="decimal"
+          placeholder="0.0"
+          value={amount}
+          onChange={handleAmountChange}
+          className="text-2xl font-medium border-0 bg-transparent p-0 h-auto focus-visible:ring-0"
+        />
+      </div>
+
+      <div className="flex flex-col gap-3">
+        <Button
+          className="w-full h-14 text-base font-semibold rounded-xl transition-all
+                    bg-primary-500 hover:bg-primary-500/90 text-white shadow-lg
+                    hover:shadow-primary-500/20 hover:shadow-lg"
+          disabled={isSubmitting || (!isConnected && !window.ethereum)}
+          onClick={handleSubmit}
+        >
+          {!window.ethereum
+            ? "MetaMask not installed"
+            : !isConnected
+              ? "Connect Wallet"
+              : isSubmitting
+                ? "Confirming..."
+                : isUnstaking
+                  ? "Unstake"
+                  : "Stake"}
+        </Button>
+        <Button
+          variant="outline"
+          className="w-full h-12 rounded-xl"
+          disabled={!isConnected || isSubmitting || !(parseFloat(balance.earned) > 0)}
+          onClick={handleClaim}
+        >
+          Claim rewards
+        </Button>
+      </div>
+
+      {position && position.events.length > 0 && (
+        <>
+          <Separator className="my-5" />
+          <h3 className="text-sm font-medium mb-2">Recent activity</h3>
+          <ul className="flex flex-col gap-1 text-sm">
+            {position.events.map((event, i) => (
+              <li key={`${event.txHash}-${i}`} className="flex justify-between text-muted-foreground">
+                <span>{EVENT_LABELS[event.type]}</span>
+                <span>
+                  {formatCurrency(event.amount, 2)} {MEMECOIN_TOKEN.symbol}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-muted-foreground mt-2">
+            Claimed so far: {formatCurrency(position.rewardsClaimed, 2)} {MEMECOIN_TOKEN.symbol}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
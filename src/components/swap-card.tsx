@@ -3,14 +3,15 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Slider } from "@/components/ui/slider";
 import { Separator } from "@/components/ui/separator";
-import { Settings, ArrowDown, RefreshCw, Info } from "lucide-react";
+import { Alert, AlertTitle, AlertDescription } from "@/components/ui/alert";
+import { Settings, ArrowDown, RefreshCw, Info, PauseCircle } from "lucide-react";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { TokenSelect, Token } from "@/components/token-select";
 import { useWallet } from "@/hooks/use-wallet";
 import { formatCurrency } from "@/lib/formatters";
 import { MEMECOIN_TOKEN } from "@/services/wallet";
 import { toast } from "sonner";
-import { apiClient } from "@/lib/api";
+import { apiClient, PurchaseLimits } from "@/lib/api";
 import { wsClient } from "@/lib/websocket";
 
 const SLIPPAGE_OPTIONS = [0.1, 0.5, 1.0, 5.0];
@@ -21,8 +22,10 @@ export function SwapCard() {
     connectWallet, 
     balance, 
     swapETHForTokens, 
+    swapTokensForETH,
     refreshBalance,
-    getTokenBalance
+    getTokenBalance,
+    getPurchaseHistory
   } = useWallet();
   
   const [fromAmount, setFromAmount] = useState<string>("");
@@ -32,6 +35,9 @@ export function SwapCard() {
   const [showSlippageSettings, setShowSlippageSettings] = useState<boolean>(false);
   const [isSwapping, setIsSwapping] = useState<boolean>(false);
   const [tokenBalance, setTokenBalance] = useState<string>("0");
+  const [isSelling, setIsSelling] = useState<boolean>(false);
+  const [swapsPaused, setSwapsPaused] = useState<boolean>(false);
+  const [purchaseLimits, setPurchaseLimits] = useState<PurchaseLimits | null>(null);
   
   const [fromToken, setFromToken] = useState<Token>({
     symbol: "ETH",
@@ -75,53 +81,108 @@ export function SwapCard() {
   
   useEffect(() => {
     if (isConnected && balance) {
-      setFromToken(prev => ({
-        ...prev,
-        balance: formatCurrency(balance || "0", 6)
-      }));
-      
-      setToToken(prev => ({
-        ...prev,
-        balance: tokenBalance
-      }));
+      const withBalance = (token: Token): Token => ({
+        ...token,
+        balance: token.symbol === "ETH" ? formatCurrency(balance || "0", 6) : tokenBalance
+      });
+
+      setFromToken(withBalance);
+      setToToken(withBalance);
     }
   }, [isConnected, balance, tokenBalance]);
 
-  // Fetch exchange rate from backend
+  // Check whether the owner has paused swaps on the contract
+  const fetchSwapStatus = useCallback(async () => {
+    try {
+      const status = await apiClient.getTokenStatus();
+      setSwapsPaused(status.paused);
+    } catch (error) {
+      console.warn("Failed to fetch swap status:", error);
+    }
+  }, []);
+
   useEffect(() => {
-    const fetchRate = async () => {
+    fetchSwapStatus();
+    const interval = setInterval(fetchSwapStatus, 30000);
+    return () => clearInterval(interval);
+  }, [fetchSwapStatus]);
+
+  useEffect(() => {
+    const fetchPurchaseLimits = async () => {
       try {
-        const rateData = await apiClient.getExchangeRate();
-        if (rateData && rateData.tokensPerEth) {
-          const rate = parseFloat(rateData.tokensPerEth);
-          if (fromAmount) {
-            const calculatedToAmount = parseFloat(fromAmount) * rate;
-            setToAmount(isNaN(calculatedToAmount) ? "" : calculatedToAmount.toString());
-          }
-        }
+        const info = await apiClient.getTokenInfo();
+        setPurchaseLimits(info.purchaseLimits);
       } catch (error) {
-        // Fallback to hardcoded rate if backend fails
-        console.warn("Failed to fetch rate from backend, using default:", error);
-        const rate = 1000;
-        if (fromAmount) {
-          const calculatedToAmount = parseFloat(fromAmount) * rate;
-          setToAmount(isNaN(calculatedToAmount) ? "" : calculatedToAmount.toString());
-        }
+        console.warn("Failed to fetch purchase limits:", error);
       }
     };
-    fetchRate();
-  }, [fromAmount]);
 
-  // Subscribe to real-time rate updates
+    fetchPurchaseLimits();
+  }, []);
+
+  // Check a buy against the contract's per-transaction, per-wallet and cooldown limits.
+  // Returns the reason the contract would reject it, or null if it should go through.
+  const checkPurchaseLimits = async (tokensOut: number): Promise<string | null> => {
+    if (!purchaseLimits) return null;
+
+    const maxPerTx = parseFloat(purchaseLimits.maxTokensPerTx);
+    if (maxPerTx > 0 && tokensOut > maxPerTx) {
+      return `Max ${maxPerTx.toLocaleString()} MEOW per transaction`;
+    }
+
+    const maxPerWallet = parseFloat(purchaseLimits.maxTokensPerWallet);
+    const cooldown = purchaseLimits.buyCooldownSeconds;
+    if (maxPerWallet === 0 && cooldown === 0) return null;
+
+    const history = await getPurchaseHistory();
+
+    if (maxPerWallet > 0 && parseFloat(history.tokensPurchased) + tokensOut > maxPerWallet) {
+      const remaining = Math.max(maxPerWallet - parseFloat(history.tokensPurchased), 0);
+      return `Wallet limit reached: you can buy ${remaining.toLocaleString()} more MEOW`;
+    }
+
+    if (cooldown > 0 && history.lastPurchaseAt > 0) {
+      const waitSeconds = history.lastPurchaseAt + cooldown - Math.floor(Date.now() / 1000);
+      if (waitSeconds > 0) {
+        return `Please wait ${waitSeconds}s before buying again`;
+      }
+    }
+
+    return null;
+  };
+
+  // Balance of whichever token is being sold
+  const fromBalance = isSelling ? tokenBalance : balance || "0";
+
+  // Quote through the backend, which prices bonding-curve swaps of any size
+  const fetchQuote = useCallback(async () => {
+    if (!fromAmount || !(parseFloat(fromAmount) > 0)) {
+      setToAmount("");
+      return;
+    }
+
+    try {
+      const quote = await apiClient.getSwapQuote(isSelling ? "sell" : "buy", fromAmount);
+      setToAmount(quote.amountOut);
+    } catch (error) {
+      // Fallback to hardcoded rate if backend fails
+      console.warn("Failed to fetch quote from backend, using default rate:", error);
+      const rate = 1000;
+      const calculatedToAmount = isSelling ? parseFloat(fromAmount) / rate : parseFloat(fromAmount) * rate;
+      setToAmount(isNaN(calculatedToAmount) ? "" : calculatedToAmount.toString());
+    }
+  }, [fromAmount, isSelling]);
+
+  useEffect(() => {
+    fetchQuote();
+  }, [fetchQuote]);
+
+  // Re-quote on real-time rate updates
   useEffect(() => {
     if (!isConnected) return;
 
-    const handleRateUpdate = (data: any) => {
-      if (data.tokensPerEth && fromAmount) {
-        const rate = parseFloat(data.tokensPerEth);
-        const calculatedToAmount = parseFloat(fromAmount) * rate;
-        setToAmount(isNaN(calculatedToAmount) ? "" : calculatedToAmount.toString());
-      }
+    const handleRateUpdate = () => {
+      fetchQuote();
     };
 
     wsClient.onRateUpdate(handleRateUpdate);
@@ -129,14 +190,16 @@ export function SwapCard() {
     return () => {
       // Cleanup handled by wsClient
     };
-  }, [isConnected, fromAmount]);
+  }, [isConnected, fetchQuote]);
 
   const handleMaxClick = useCallback(() => {
-    if (balance) {
+    if (isSelling) {
+      setFromAmount(tokenBalance);
+    } else if (balance) {
       const maxAmount = Math.max(parseFloat(balance) - 0.01, 0);
       setFromAmount(maxAmount.toString());
     }
-  }, [balance]);
+  }, [balance, tokenBalance, isSelling]);
 
   const handleSwap = async () => {
     if (!isConnected) {
@@ -146,20 +209,35 @@ export function SwapCard() {
 
     console.log("Attempting swap with amount:", fromAmount, "slippage:", slippage);
 
+    if (swapsPaused) {
+      toast.error("Swaps are currently paused");
+      return;
+    }
     
     if (!fromAmount || parseFloat(fromAmount) <= 0) {
       toast.error("Please enter a valid amount");
       return;
     }
     
-    if (parseFloat(fromAmount) > parseFloat(balance || "0")) {
+    if (parseFloat(fromAmount) > parseFloat(fromBalance)) {
       toast.error("Insufficient balance");
       return;
     }
     
     try {
       setIsSwapping(true);
-      const success = await swapETHForTokens(fromAmount, slippage);
+
+      if (!isSelling) {
+        const limitError = await checkPurchaseLimits(parseFloat(toAmount) || 0);
+        if (limitError) {
+          toast.error(limitError);
+          return;
+        }
+      }
+
+      const success = isSelling
+        ? await swapTokensForETH(fromAmount, slippage)
+        : await swapETHForTokens(fromAmount, slippage);
       
       if (success) {
         setFromAmount("");
@@ -168,6 +246,8 @@ export function SwapCard() {
         refreshBalance();
         const newTokenBalance = await getTokenBalance(MEMECOIN_TOKEN.address);
         setTokenBalance(newTokenBalance);
+      } else {
+        fetchSwapStatus();
       }
     } catch (error) {
       console.error("Swap error:", error);
@@ -178,7 +258,11 @@ export function SwapCard() {
   };
 
   const switchTokens = () => {
-    toast.info("Only ETH to MEME swaps are supported in this demo");
+    setIsSelling(prev => !prev);
+    setFromToken(toToken);
+    setToToken(fromToken);
+    setFromAmount("");
+    setToAmount("");
   };
 
   const handleFromAmountChange = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -199,7 +283,7 @@ export function SwapCard() {
     }
   };
 
-  const displayToAmount = toAmount ? formatCurrency(toAmount, 2) : "0.00";
+  const displayToAmount = toAmount ? formatCurrency(toAmount, isSelling ? 6 : 2) : "0.00";
   
   return (
     <div className="glass-card w-full max-w-md p-5 glass-effect glass-shine">
@@ -291,7 +375,7 @@ export function SwapCard() {
                 className="text-primary-500 font-medium hover:underline"
                 onClick={handleMaxClick}
               >
-                {formatCurrency(balance || "0")} {fromToken.symbol}
+                {formatCurrency(fromBalance)} {fromToken.symbol}
               </button>
             </div>
           )}
@@ -332,7 +416,7 @@ export function SwapCard() {
             <div className="flex items-center gap-1 text-sm">
               <span className="text-muted-foreground">Balance: </span>
               <span className="font-medium">
-                {formatCurrency(tokenBalance)} {toToken.symbol}
+                {formatCurrency(isSelling ? balance || "0" : tokenBalance)} {toToken.symbol}
               </span>
             </div>
           )}
@@ -353,23 +437,35 @@ export function SwapCard() {
       </div>
       
       <PriceDisplay />
+
+      {swapsPaused && (
+        <Alert variant="destructive" className="mb-5">
+          <PauseCircle className="h-4 w-4" />
+          <AlertTitle>Swaps paused</AlertTitle>
+          <AlertDescription>
+            Swapping has been temporarily halted by the MeowFi team. Your funds are safe; please check back soon.
+          </AlertDescription>
+        </Alert>
+      )}
       
       <Button
         className="w-full h-14 text-base font-semibold rounded-xl transition-all
                   bg-primary-500 hover:bg-primary-500/90 text-white shadow-lg
                   hover:shadow-primary-500/20 hover:shadow-lg"
-        disabled={isSwapping || (!isConnected && !window.ethereum)}
+        disabled={isSwapping || swapsPaused || (!isConnected && !window.ethereum)}
         onClick={handleSwap}
       >
         {!window.ethereum
           ? "MetaMask not installed"
           : !isConnected
             ? "Connect Wallet"
+            : swapsPaused
+              ? "Swaps paused"
             : isSwapping
               ? "Swapping..."
               : !fromAmount || parseFloat(fromAmount) <= 0
                 ? "Enter amount"
-                : parseFloat(fromAmount) > parseFloat(balance || "0")
+                : parseFloat(fromAmount) > parseFloat(fromBalance)
                   ? "Insufficient balance"
                   : "Swap"}
       </Button>
@@ -5,6 +5,10 @@ interface TokInfoProps {
   title: string;
   options: string[];
   bg: string;
+  vesting?: {
+    locked: string;
+    unlocked: string;
+  };
 }
 
 const TokInfo: React.FC<TokInfoProps> = ({
@@ -12,6 +16,7 @@ const TokInfo: React.FC<TokInfoProps> = ({
   title,
   options,
   bg,
+  vesting,
 }) => {
   return (
     <div
@@ -40,6 +45,15 @@ const TokInfo: React.FC<TokInfoProps> = ({
           </li>
         ))}
       </ul>
+      {vesting && (
+        <p
+          className={`${
+            bg === "brown" ? "text-white/80" : "text-black/80"
+          } md:text-[18px] text-[15px] font-Veritas mt-1`}
+        >
+          🔒 {vesting.locked} MEOW locked · 🔓 {vesting.unlocked} MEOW unlocked
+        </p>
+      )}
       <div className="absolute right-0 top-0 w-[20%] h-full token-options-box" />
     </div>
   );
@@ -2,36 +2,175 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 
 /**
  * @title Meowfi Token
- * @dev Free-trading Meowfi Token with ETH-to-MEOW swap functionality
+ * @dev Free-trading Meowfi Token with ETH-to-MEOW and MEOW-to-ETH swap functionality.
+ * Swaps are priced either at the flat `tokensPerEth` rate or along an optional
+ * linear or exponential bonding curve over the tokens sold out of the contract.
+ * The owner can pause both swap directions as an emergency stop, and can cap how
+ * much MEOW a single transaction or wallet may buy to blunt launch sniping.
+ * Supports EIP-2612 `permit`, so approvals can be signed off-chain instead of sent as a transaction.
  */
-contract Meowfi is ERC20, Ownable {
+contract Meowfi is ERC20, ERC20Permit, Ownable, Pausable {
     uint256 public constant TOTAL_SUPPLY = 1_000_000_000 * 10**18; // 1 billion tokens
     uint256 public constant INITIAL_CONTRACT_BALANCE = 1_000_000 * 10**18; // 1 million tokens for the contract
-    uint256 public tokensPerEth = 1000 * 10**18; // 1 ETH = 1000 MEOW (adjustable)
-    
+    uint256 public constant MAX_CURVE_STEPS = 100; // Upper bound on exponential price steps
+    uint256 public tokensPerEth = 1000 * 10**18; // 1 ETH = 1000 MEOW (adjustable, also the curve's starting price)
+
+    enum PricingMode { Fixed, Linear, Exponential }
+
+    PricingMode public pricingMode = PricingMode.Fixed;
+    uint256 public curveSlope; // Linear: wei added to the price of 1 MEOW for every MEOW sold
+    uint256 public curveGrowthBps; // Exponential: price increase per step, in basis points
+    uint256 public curveStepSize; // Exponential: MEOW sold per price step
+
+    uint256 public maxTokensPerTx; // Max MEOW bought in one swap (0 = no limit)
+    uint256 public maxTokensPerWallet; // Max MEOW one address may buy in total (0 = no limit)
+    uint256 public buyCooldown; // Seconds an address must wait between buys (0 = no cooldown)
+
+    // MEOW bought from the contract minus MEOW sold back to it; the curve's position. Kept apart
+    // from the contract's balance, so withdrawals and direct transfers don't move the price.
+    uint256 public tokensSold;
+
+    mapping(address => uint256) public tokensPurchased; // Cumulative MEOW bought per address
+    mapping(address => uint256) public lastPurchaseAt; // Timestamp of each address's latest buy
+
     event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount);
+    event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount);
     event TokensPerEthUpdated(uint256 newRate);
+    event PricingModeUpdated(PricingMode mode, uint256 slope, uint256 growthBps, uint256 stepSize);
+    event PurchaseLimitsUpdated(uint256 maxTokensPerTx, uint256 maxTokensPerWallet, uint256 buyCooldown);
 
-    constructor() ERC20("Meowfi", "MEOW") Ownable(msg.sender) {
+    constructor() ERC20("Meowfi", "MEOW") ERC20Permit("Meowfi") Ownable(msg.sender) {
         _mint(msg.sender, TOTAL_SUPPLY); // Mint all tokens to the owner
         _transfer(msg.sender, address(this), INITIAL_CONTRACT_BALANCE); // Fund the contract with 1 million MEOW
     }
 
     // Allow users to swap ETH for MEOW tokens
-    function swapETHForTokens() external payable {
+    function swapETHForTokens() external payable whenNotPaused {
+        _swapETHForTokens(0);
+    }
+
+    // Swap ETH for MEOW, reverting if the rate moved below minTokensOut or the deadline has passed
+    function swapETHForTokens(uint256 minTokensOut, uint256 deadline) external payable whenNotPaused {
+        require(block.timestamp <= deadline, "Swap deadline expired");
+        _swapETHForTokens(minTokensOut);
+    }
+
+    function _swapETHForTokens(uint256 minTokensOut) internal {
         require(msg.value > 0, "Send ETH to buy MEOW");
 
-        uint256 tokenAmount = msg.value * tokensPerEth / 1 ether; // Calculate token amount
+        uint256 tokenAmount = quoteETHForTokens(msg.value); // Calculate token amount
+        require(tokenAmount > 0, "Amount too small");
+        require(tokenAmount >= minTokensOut, "Insufficient MEOW output");
         require(balanceOf(address(this)) >= tokenAmount, "Not enough MEOW in contract");
+        _checkPurchaseLimits(msg.sender, tokenAmount);
+
+        tokensSold += tokenAmount;
+        tokensPurchased[msg.sender] += tokenAmount;
+        lastPurchaseAt[msg.sender] = block.timestamp;
 
         _transfer(address(this), msg.sender, tokenAmount); // Transfer MEOW tokens
         emit TokensPurchased(msg.sender, msg.value, tokenAmount);
     }
 
+    function _checkPurchaseLimits(address buyer, uint256 tokenAmount) internal view {
+        require(maxTokensPerTx == 0 || tokenAmount <= maxTokensPerTx, "Exceeds per-transaction limit");
+        require(
+            maxTokensPerWallet == 0 || tokensPurchased[buyer] + tokenAmount <= maxTokensPerWallet,
+            "Exceeds per-wallet limit"
+        );
+        require(
+            buyCooldown == 0 || lastPurchaseAt[buyer] == 0 || block.timestamp >= lastPurchaseAt[buyer] + buyCooldown,
+            "Buy cooldown active"
+        );
+    }
+
+    // Allow users to sell MEOW tokens back to the contract for ETH
+    function swapTokensForETH(uint256 tokenAmount, uint256 minEthOut) external whenNotPaused {
+        require(tokenAmount > 0, "Send MEOW to sell");
+
+        uint256 ethAmount = quoteTokensForETH(tokenAmount); // Calculate ETH amount at the current price
+        require(ethAmount > 0, "Amount too small");
+        require(ethAmount >= minEthOut, "Insufficient ETH output");
+        require(address(this).balance >= ethAmount, "Not enough ETH in contract");
+
+        // MEOW returned beyond what was sold is priced at the start of the curve and leaves it there
+        tokensSold -= Math.min(tokenAmount, tokensSold);
+        _transfer(msg.sender, address(this), tokenAmount); // Take MEOW back into the contract
+        emit TokensSold(msg.sender, tokenAmount, ethAmount);
+
+        (bool sent, ) = payable(msg.sender).call{value: ethAmount}("");
+        require(sent, "ETH transfer failed");
+    }
+
+    // Price of 1 MEOW in wei at the current point on the curve
+    function currentPrice() public view returns (uint256) {
+        return _priceAt(tokensSold);
+    }
+
+    // MEOW per ETH at the current marginal price (equals tokensPerEth in fixed mode)
+    function currentTokensPerEth() public view returns (uint256) {
+        if (pricingMode == PricingMode.Fixed) {
+            return tokensPerEth;
+        }
+        return 1 ether * 1 ether / currentPrice();
+    }
+
+    // MEOW received for ethAmount, walking the curve for buys of any size
+    function quoteETHForTokens(uint256 ethAmount) public view returns (uint256) {
+        if (pricingMode == PricingMode.Fixed) {
+            return ethAmount * tokensPerEth / 1 ether;
+        }
+
+        uint256 sold = tokensSold;
+        uint256 price = _priceAt(sold);
+
+        if (pricingMode == PricingMode.Linear) {
+            // Solve slope/2 * x^2 + price * x = ethAmount for x whole tokens
+            uint256 root = Math.sqrt(price * price + 2 * curveSlope * ethAmount);
+            return (root - price) * 1 ether / curveSlope;
+        }
+
+        // Exponential: the price is constant within a step, so fill step by step
+        uint256 remaining = ethAmount;
+        uint256 tokenAmount = 0;
+        while (sold < INITIAL_CONTRACT_BALANCE) {
+            uint256 stepEnd = (sold / curveStepSize + 1) * curveStepSize;
+            uint256 stepCost = (stepEnd - sold) * price / 1 ether;
+            if (remaining < stepCost) {
+                break;
+            }
+
+            tokenAmount += stepEnd - sold;
+            remaining -= stepCost;
+            sold = stepEnd;
+            if (stepEnd <= INITIAL_CONTRACT_BALANCE) {
+                price = _nextStepPrice(price);
+            }
+        }
+        return tokenAmount + remaining * 1 ether / price;
+    }
+
+    // ETH received for selling tokenAmount MEOW back down the curve
+    function quoteTokensForETH(uint256 tokenAmount) public view returns (uint256) {
+        if (pricingMode == PricingMode.Fixed) {
+            return tokenAmount * 1 ether / tokensPerEth;
+        }
+
+        uint256 sold = tokensSold;
+        if (tokenAmount <= sold) {
+            return _curveCost(sold - tokenAmount, sold);
+        }
+        // Anything returned beyond the initial balance is priced at the starting price
+        return _curveCost(0, sold) + (tokenAmount - sold) * _priceAt(0) / 1 ether;
+    }
+
     // Owner can update the ETH-to-MEOW conversion rate
     function setTokensPerEth(uint256 newRate) external onlyOwner {
         require(newRate > 0, "Rate must be greater than zero");
@@ -39,6 +178,103 @@ contract Meowfi is ERC20, Ownable {
         emit TokensPerEthUpdated(newRate);
     }
 
+    // Owner can cap buys per transaction and per wallet, and space out buys from one address
+    function setPurchaseLimits(
+        uint256 newMaxTokensPerTx,
+        uint256 newMaxTokensPerWallet,
+        uint256 newBuyCooldown
+    ) external onlyOwner {
+        require(
+            newMaxTokensPerWallet == 0 || newMaxTokensPerTx <= newMaxTokensPerWallet,
+            "Per-transaction limit exceeds per-wallet limit"
+        );
+        maxTokensPerTx = newMaxTokensPerTx;
+        maxTokensPerWallet = newMaxTokensPerWallet;
+        buyCooldown = newBuyCooldown;
+        emit PurchaseLimitsUpdated(newMaxTokensPerTx, newMaxTokensPerWallet, newBuyCooldown);
+    }
+
+    // Owner can halt all swaps in an emergency
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    // Owner can resume swaps after a pause
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // Owner can switch between fixed-rate and bonding-curve pricing
+    function setPricingMode(
+        PricingMode mode,
+        uint256 slope,
+        uint256 growthBps,
+        uint256 stepSize
+    ) external onlyOwner {
+        if (mode == PricingMode.Linear) {
+            require(slope > 0, "Slope must be greater than zero");
+        } else if (mode == PricingMode.Exponential) {
+            require(growthBps > 0, "Growth must be greater than zero");
+            require(stepSize >= INITIAL_CONTRACT_BALANCE / MAX_CURVE_STEPS, "Step size too small");
+        }
+
+        pricingMode = mode;
+        curveSlope = slope;
+        curveGrowthBps = growthBps;
+        curveStepSize = stepSize;
+        emit PricingModeUpdated(mode, slope, growthBps, stepSize);
+    }
+
+    // Price of 1 MEOW in wei once `sold` MEOW have left the contract
+    function _priceAt(uint256 sold) internal view returns (uint256) {
+        uint256 basePrice = 1 ether * 1 ether / tokensPerEth;
+
+        if (pricingMode == PricingMode.Linear) {
+            return basePrice + curveSlope * sold / 1 ether;
+        }
+
+        if (pricingMode == PricingMode.Exponential) {
+            uint256 steps = Math.min(sold, INITIAL_CONTRACT_BALANCE) / curveStepSize;
+            uint256 price = basePrice;
+            for (uint256 i = 0; i < steps; i++) {
+                price = _nextStepPrice(price);
+            }
+            return price;
+        }
+
+        return basePrice;
+    }
+
+    function _nextStepPrice(uint256 price) internal view returns (uint256) {
+        return price * (10_000 + curveGrowthBps) / 10_000;
+    }
+
+    // ETH value of the MEOW between two points on the curve
+    function _curveCost(uint256 fromSold, uint256 toSold) internal view returns (uint256) {
+        if (pricingMode == PricingMode.Linear) {
+            uint256 amount = toSold - fromSold;
+            uint256 area = _priceAt(0) * amount + curveSlope * (toSold * toSold - fromSold * fromSold) / 2 / 1 ether;
+            return area / 1 ether;
+        }
+
+        uint256 cost = 0;
+        uint256 sold = fromSold;
+        uint256 price = _priceAt(sold);
+        while (sold < toSold) {
+            uint256 stepEnd = (sold / curveStepSize + 1) * curveStepSize;
+            if (sold >= INITIAL_CONTRACT_BALANCE || stepEnd > toSold) {
+                stepEnd = toSold;
+            }
+
+            cost += (stepEnd - sold) * price / 1 ether;
+            sold = stepEnd;
+            if (sold % curveStepSize == 0 && sold <= INITIAL_CONTRACT_BALANCE) {
+                price = _nextStepPrice(price);
+            }
+        }
+        return cost;
+    }
+
     // Allow the contract to receive ETH
     receive() external payable {}
 
@@ -55,4 +291,4 @@ contract Meowfi is ERC20, Ownable {
         require(balanceOf(address(this)) >= amount, "Insufficient contract balance");
         _transfer(address(this), to, amount);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title Meowfi Airdrop
+ * @dev Merkle distributor for the Community & Rewards allocation. Each leaf is
+ * keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), and each
+ * account can claim its amount once before the claim deadline.
+ */
+contract MeowfiAirdrop is Ownable {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+    bytes32 public immutable merkleRoot;
+    uint256 public immutable claimDeadline;
+
+    mapping(address => bool) public hasClaimed;
+
+    event Claimed(address indexed account, uint256 amount);
+    event Swept(address indexed to, uint256 amount);
+
+    constructor(IERC20 _token, bytes32 _merkleRoot, uint256 _claimDeadline, address initialOwner)
+        Ownable(initialOwner)
+    {
+        require(address(_token) != address(0), "Token is the zero address");
+        require(_claimDeadline > block.timestamp, "Deadline must be in the future");
+        token = _token;
+        merkleRoot = _merkleRoot;
+        claimDeadline = _claimDeadline;
+    }
+
+    // Claim the caller's airdrop with a proof from the published tree
+    function claim(uint256 amount, bytes32[] calldata proof) external {
+        require(block.timestamp <= claimDeadline, "Claim period ended");
+        require(!hasClaimed[msg.sender], "Already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender, amount))));
+        require(MerkleProof.verify(proof, merkleRoot, leaf), "Invalid proof");
+
+        hasClaimed[msg.sender] = true;
+        token.safeTransfer(msg.sender, amount);
+        emit Claimed(msg.sender, amount);
+    }
+
+    // Owner recovers unclaimed MEOW once the claim period is over
+    function sweep(address to) external onlyOwner {
+        require(block.timestamp > claimDeadline, "Claim period not ended");
+        require(to != address(0), "Cannot send to zero address");
+
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(to, amount);
+        emit Swept(to, amount);
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/**
+ * @title Meowfi Signature Validator
+ * @dev Checks a signature for any kind of account without being deployed. The
+ * backend sends this contract's creation code with the constructor arguments
+ * in an `eth_call`, and the constructor returns a single byte: 0x01 when the
+ * signature is valid, 0x00 otherwise.
+ *
+ * Signatures wrapped as described in EIP-6492 belong to smart-contract wallets
+ * that may not be deployed yet. Their factory is called first, inside the same
+ * `eth_call`, so nothing is ever written on chain. After that the signer is
+ * checked with EIP-1271 if it has code, or with ECDSA recovery if it doesn't.
+ */
+contract MeowfiSignatureValidator {
+    bytes32 internal constant ERC6492_DETECTION_SUFFIX =
+        0x6492649264926492649264926492649264926492649264926492649264926492;
+
+    constructor(address signer, bytes32 hash, bytes memory signature) {
+        bool valid = _isValidSignature(signer, hash, signature);
+        assembly {
+            mstore(0, valid)
+            return(31, 1)
+        }
+    }
+
+    function _isValidSignature(address signer, bytes32 hash, bytes memory signature) private returns (bool) {
+        if (_isCounterfactual(signature)) {
+            // Drop the 32-byte suffix, what's left is abi.encode(factory, factoryCalldata, signature)
+            assembly {
+                mstore(signature, sub(mload(signature), 32))
+            }
+            (address factory, bytes memory factoryCalldata, bytes memory innerSignature) =
+                abi.decode(signature, (address, bytes, bytes));
+
+            if (signer.code.length == 0) {
+                (bool deployed, ) = factory.call(factoryCalldata);
+                if (!deployed || signer.code.length == 0) return false;
+            }
+            signature = innerSignature;
+        }
+
+        return SignatureChecker.isValidSignatureNow(signer, hash, signature);
+    }
+
+    function _isCounterfactual(bytes memory signature) private pure returns (bool) {
+        if (signature.length < 32) return false;
+
+        bytes32 suffix;
+        assembly {
+            suffix := mload(add(signature, mload(signature)))
+        }
+        return suffix == ERC6492_DETECTION_SUFFIX;
+    }
+}
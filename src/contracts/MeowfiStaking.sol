@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title Meowfi Staking
+ * @dev Stake MEOW to earn MEOW rewards. Rewards stream at `rewardRate` per second,
+ * shared pro rata between stakers, and are paid only out of the pool the owner has
+ * funded: once `rewardReserve` runs dry, rewards stop accruing until it is topped up.
+ */
+contract MeowfiStaking is Ownable {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+
+    uint256 public rewardRate; // MEOW-wei distributed per second across all stakers
+    uint256 public rewardReserve; // Funded MEOW not yet allocated to stakers
+    uint256 public totalStaked;
+
+    uint256 public rewardPerTokenStored; // Accumulated rewards per staked MEOW, scaled by 1e18
+    uint256 public lastUpdateTime;
+
+    mapping(address => uint256) public stakedBalance;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards; // Accrued but unclaimed rewards
+
+    event Staked(address indexed user, uint256 amount);
+    event Unstaked(address indexed user, uint256 amount);
+    event RewardClaimed(address indexed user, uint256 amount);
+    event RewardsFunded(uint256 amount);
+    event RewardRateUpdated(uint256 newRate);
+
+    constructor(IERC20 _token, uint256 _rewardRate, address initialOwner) Ownable(initialOwner) {
+        require(address(_token) != address(0), "Token is the zero address");
+        token = _token;
+        rewardRate = _rewardRate;
+        lastUpdateTime = block.timestamp;
+    }
+
+    modifier updateReward(address account) {
+        (rewardPerTokenStored, rewardReserve) = _accrue();
+        lastUpdateTime = block.timestamp;
+
+        if (account != address(0)) {
+            rewards[account] = earned(account);
+            userRewardPerTokenPaid[account] = rewardPerTokenStored;
+        }
+        _;
+    }
+
+    function stake(uint256 amount) external updateReward(msg.sender) {
+        require(amount > 0, "Cannot stake zero");
+
+        stakedBalance[msg.sender] += amount;
+        totalStaked += amount;
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        emit Staked(msg.sender, amount);
+    }
+
+    function unstake(uint256 amount) external updateReward(msg.sender) {
+        require(amount > 0, "Cannot unstake zero");
+        require(stakedBalance[msg.sender] >= amount, "Insufficient staked balance");
+
+        stakedBalance[msg.sender] -= amount;
+        totalStaked -= amount;
+
+        token.safeTransfer(msg.sender, amount);
+        emit Unstaked(msg.sender, amount);
+    }
+
+    function claim() external updateReward(msg.sender) {
+        uint256 reward = rewards[msg.sender];
+        require(reward > 0, "No rewards to claim");
+
+        rewards[msg.sender] = 0;
+
+        token.safeTransfer(msg.sender, reward);
+        emit RewardClaimed(msg.sender, reward);
+    }
+
+    // Accumulated rewards per staked MEOW, including what has accrued since the last update
+    function rewardPerToken() public view returns (uint256) {
+        (uint256 perToken, ) = _accrue();
+        return perToken;
+    }
+
+    // Rewards an account could claim right now
+    function earned(address account) public view returns (uint256) {
+        uint256 pending = stakedBalance[account] * (rewardPerToken() - userRewardPerTokenPaid[account]) / 1e18;
+        return rewards[account] + pending;
+    }
+
+    // Owner tops up the reward pool from their own MEOW
+    function fundRewards(uint256 amount) external onlyOwner updateReward(address(0)) {
+        require(amount > 0, "Amount must be greater than zero");
+
+        rewardReserve += amount;
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        emit RewardsFunded(amount);
+    }
+
+    // Owner can change the emission rate; rewards up to now accrue at the old rate
+    function setRewardRate(uint256 newRate) external onlyOwner updateReward(address(0)) {
+        rewardRate = newRate;
+        emit RewardRateUpdated(newRate);
+    }
+
+    // Rewards since the last update, capped by the funded reserve
+    function _accrue() internal view returns (uint256 perToken, uint256 reserve) {
+        perToken = rewardPerTokenStored;
+        reserve = rewardReserve;
+
+        if (totalStaked == 0) {
+            return (perToken, reserve);
+        }
+
+        uint256 reward = (block.timestamp - lastUpdateTime) * rewardRate;
+        if (reward > reserve) {
+            reward = reserve;
+        }
+
+        perToken += reward * 1e18 / totalStaked;
+        reserve -= reward;
+    }
+}
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title Meowfi Vesting
+ * @dev Locks the tokenomics allocations of MEOW and releases them to each beneficiary
+ * linearly after a cliff. Each beneficiary holds one schedule, tagged with the
+ * tokenomics allocation it belongs to.
+ */
+contract MeowfiVesting is Ownable {
+    using SafeERC20 for IERC20;
+
+    enum Allocation { Community, Liquidity, Development }
+
+    struct VestingSchedule {
+        Allocation allocation;
+        uint256 totalAmount;
+        uint256 released;
+        uint64 start; // Vesting starts accruing from here
+        uint64 cliff; // Seconds after start before anything can be claimed
+        uint64 duration; // Seconds after start until everything is vested
+    }
+
+    IERC20 public immutable token;
+
+    mapping(address => VestingSchedule) public schedules;
+    address[] public beneficiaries;
+
+    uint256 public totalAllocated; // MEOW locked into schedules, including what has been claimed
+    uint256 public totalReleased; // MEOW claimed by beneficiaries so far
+
+    event VestingScheduleCreated(
+        address indexed beneficiary,
+        Allocation allocation,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    );
+    event TokensClaimed(address indexed beneficiary, uint256 amount);
+
+    constructor(IERC20 _token, address initialOwner) Ownable(initialOwner) {
+        require(address(_token) != address(0), "Token is the zero address");
+        token = _token;
+    }
+
+    // Owner locks `amount` MEOW for a beneficiary, pulling it from the owner's balance
+    function createSchedule(
+        address beneficiary,
+        Allocation allocation,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    ) external onlyOwner {
+        require(beneficiary != address(0), "Beneficiary is the zero address");
+        require(schedules[beneficiary].totalAmount == 0, "Schedule already exists");
+        require(amount > 0, "Amount must be greater than zero");
+        require(duration > 0, "Duration must be greater than zero");
+        require(cliff <= duration, "Cliff exceeds duration");
+
+        schedules[beneficiary] = VestingSchedule({
+            allocation: allocation,
+            totalAmount: amount,
+            released: 0,
+            start: start,
+            cliff: cliff,
+            duration: duration
+        });
+        beneficiaries.push(beneficiary);
+        totalAllocated += amount;
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        emit VestingScheduleCreated(beneficiary, allocation, amount, start, cliff, duration);
+    }
+
+    // Beneficiary claims everything vested so far
+    function claim() external {
+        uint256 amount = releasableAmount(msg.sender);
+        require(amount > 0, "Nothing to claim");
+
+        schedules[msg.sender].released += amount;
+        totalReleased += amount;
+
+        token.safeTransfer(msg.sender, amount);
+        emit TokensClaimed(msg.sender, amount);
+    }
+
+    // MEOW vested for a beneficiary at the current block, claimed or not
+    function vestedAmount(address beneficiary) public view returns (uint256) {
+        VestingSchedule memory schedule = schedules[beneficiary];
+
+        if (block.timestamp < uint256(schedule.start) + schedule.cliff) {
+            return 0;
+        }
+        if (block.timestamp >= uint256(schedule.start) + schedule.duration) {
+            return schedule.totalAmount;
+        }
+        return schedule.totalAmount * (block.timestamp - schedule.start) / schedule.duration;
+    }
+
+    // MEOW a beneficiary can claim right now
+    function releasableAmount(address beneficiary) public view returns (uint256) {
+        return vestedAmount(beneficiary) - schedules[beneficiary].released;
+    }
+
+    function beneficiaryCount() external view returns (uint256) {
+        return beneficiaries.length;
+    }
+}
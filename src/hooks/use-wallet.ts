@@ -36,14 +36,18 @@ export function useWallet() {
   }, []);
   
   
-  const switchToSepolia = useCallback(() => {
-    return walletService.switchToSepolia();
+  const switchToActiveChain = useCallback(() => {
+    return walletService.switchToActiveChain();
   }, []);
   
   const swapETHForTokens = useCallback((amount: string, slippage?: number) => {
     return walletService.swapETHForTokens(amount, slippage);
   }, []);
   
+  const swapTokensForETH = useCallback((amount: string, slippage?: number) => {
+    return walletService.swapTokensForETH(amount, slippage);
+  }, []);
+  
   const refreshBalance = useCallback(() => {
     return walletService.refreshBalance();
   }, []);
@@ -52,13 +56,49 @@ export function useWallet() {
     return walletService.getTokenBalance(tokenAddress);
   }, []);
   
+  const claimAirdrop = useCallback((amountWei: string, proof: string[]) => {
+    return walletService.claimAirdrop(amountWei, proof);
+  }, []);
+  
+  const signPermit = useCallback((spender: string, amount: string, deadlineSeconds?: number) => {
+    return walletService.signPermit(spender, amount, deadlineSeconds);
+  }, []);
+  
+  const stakeTokens = useCallback((amount: string) => {
+    return walletService.stakeTokens(amount);
+  }, []);
+  
+  const unstakeTokens = useCallback((amount: string) => {
+    return walletService.unstakeTokens(amount);
+  }, []);
+  
+  const claimStakingRewards = useCallback(() => {
+    return walletService.claimStakingRewards();
+  }, []);
+  
+  const getStakingBalance = useCallback(() => {
+    return walletService.getStakingBalance();
+  }, []);
+  
+  const getPurchaseHistory = useCallback(() => {
+    return walletService.getPurchaseHistory();
+  }, []);
+  
   return {
     ...walletState,
     connectWallet,
     disconnectWallet,
-    switchToSepolia,
+    switchToActiveChain,
     swapETHForTokens,
+    swapTokensForETH,
     refreshBalance,
     getTokenBalance,
+    getPurchaseHistory,
+    claimAirdrop,
+    signPermit,
+    stakeTokens,
+    unstakeTokens,
+    claimStakingRewards,
+    getStakingBalance,
   };
 }
@@ -0,0 +1,66 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ApiError, apiClient } from './api';
+import { ACTIVE_CHAIN } from './chains';
+
+describe('apiClient', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  function respond(status: number, body: unknown) {
+    return { ok: status < 400, status, json: async () => body };
+  }
+
+  it('scopes a transaction lookup to the active chain exactly once', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(respond(200, { success: true, data: { txHash: '0xabc' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await apiClient.getTransactionByHash('0xabc');
+
+    const url = new URL(fetchMock.mock.calls[0][0]);
+    expect(url.pathname).toMatch(/\/transactions\/0xabc$/);
+    expect(url.searchParams.getAll('chainId')).toEqual([String(ACTIVE_CHAIN.chainId)]);
+  });
+
+  it('keeps tracking a transaction the backend node has not seen yet', async () => {
+    vi.useFakeTimers();
+    const notFound = respond(404, { success: false, error: { message: 'Transaction not found' } });
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(notFound)
+      .mockResolvedValueOnce(notFound)
+      .mockResolvedValue(respond(200, { success: true, data: { txHash: '0xabc', status: 'PENDING' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const tracked = apiClient.trackTransaction('0xabc');
+    await vi.advanceTimersByTimeAsync(3000);
+
+    await expect(tracked).resolves.toEqual({ txHash: '0xabc', status: 'PENDING' });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up tracking once the retries run out', async () => {
+    vi.useFakeTimers();
+    const fetchMock = vi.fn().mockResolvedValue(
+      respond(404, { success: false, error: { message: 'Transaction not found' } })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+
+    const tracked = apiClient.trackTransaction('0xabc');
+    const outcome = expect(tracked).rejects.toMatchObject({ status: 404 });
+    await vi.advanceTimersByTimeAsync(31000);
+
+    await outcome;
+    expect(fetchMock).toHaveBeenCalledTimes(6);
+  });
+
+  it('does not retry a transaction the backend rejected', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(
+      respond(403, { success: false, error: { message: 'Only the sender can track a transaction' } })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(apiClient.trackTransaction('0xabc')).rejects.toBeInstanceOf(ApiError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
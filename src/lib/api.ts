@@ -3,8 +3,148 @@
  * Provides typed functions for interacting with the backend API
  */
 
+import { ACTIVE_CHAIN } from './chains';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api/v1';
 
+export interface PurchaseLimits {
+  maxTokensPerTx: string;
+  maxTokensPerWallet: string;
+  buyCooldownSeconds: number;
+}
+
+export interface TokenInfo {
+  name: string;
+  symbol: string;
+  decimals: number;
+  totalSupply: string;
+  contractBalance: string;
+  tokensPerEth: string;
+  chainId: number;
+  contractAddress: string;
+  purchaseLimits: PurchaseLimits;
+}
+
+export type VestingAllocation = 'COMMUNITY' | 'LIQUIDITY' | 'DEVELOPMENT';
+
+export interface VestingAllocationSummary {
+  totalAmount: string;
+  unlocked: string;
+  locked: string;
+  released: string;
+}
+
+export interface VestingSchedule extends VestingAllocationSummary {
+  beneficiary: string;
+  allocation: VestingAllocation;
+  claimable: string;
+  start: string;
+  cliffEnd: string;
+  end: string;
+}
+
+export interface VestingOverview {
+  schedules: VestingSchedule[];
+  allocations: Partial<Record<VestingAllocation, VestingAllocationSummary>>;
+}
+
+export interface RateUpdate {
+  // Null when the rate before the first indexed update is unknown
+  oldRate: string | null;
+  newRate: string;
+  updatedBy: string | null;
+  blockNumber: string | null;
+  timestamp: string;
+  txHash: string | null;
+}
+
+export interface RateHistory {
+  currentRate: string;
+  initialRate: string | null;
+  updates: RateUpdate[];
+}
+
+export interface AirdropProof {
+  walletAddress: string;
+  merkleRoot: string;
+  amount: string;
+  amountWei: string;
+  proof: string[];
+  claimed: boolean;
+  claimDeadline: string | null;
+  contractAddress: string | null;
+}
+
+export interface StakingPool {
+  totalStaked: string;
+  rewardRatePerSecond: string;
+  rewardReserve: string;
+  apr: string | null;
+  stakers: number;
+  contractAddress: string;
+}
+
+export interface StakingPosition {
+  walletAddress: string;
+  staked: string;
+  pendingRewards: string;
+  rewardsClaimed: string;
+  events: {
+    type: 'STAKE' | 'UNSTAKE' | 'CLAIM';
+    amount: string;
+    txHash: string;
+    blockNumber: string;
+    createdAt: string;
+  }[];
+}
+
+export type AdminRole = 'VIEWER' | 'OPERATOR' | 'SUPERADMIN';
+
+export interface AdminAccount {
+  id: string;
+  walletAddress: string;
+  role: AdminRole;
+}
+
+export type AdminProposalStatus = 'PENDING' | 'EXECUTING' | 'EXECUTED' | 'FAILED' | 'CANCELLED' | 'EXPIRED';
+
+export interface AdminProposal {
+  id: string;
+  chainId: number | null;
+  action:
+    | 'UPDATE_EXCHANGE_RATE'
+    | 'PAUSE_SWAPS'
+    | 'UNPAUSE_SWAPS'
+    | 'WITHDRAW_ETH'
+    | 'WITHDRAW_TOKENS'
+    | 'SET_ADMIN_ROLE'
+    | 'REMOVE_ADMIN';
+  params: Record<string, string | null>;
+  status: AdminProposalStatus;
+  proposedBy: string;
+  requiredApprovals: number;
+  txHash: string | null;
+  error: string | null;
+  expiresAt: string;
+  executedAt: string | null;
+  createdAt: string;
+  approvals: {
+    adminId: string;
+    walletAddress: string;
+    createdAt: string;
+  }[];
+}
+
+export interface AuthSession {
+  id: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  lastSeenAt: string;
+  createdAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
 interface ApiResponse<T> {
   success: boolean;
   data?: T;
@@ -14,32 +154,84 @@ interface ApiResponse<T> {
   };
 }
 
+// Carries the HTTP status so callers can tell e.g. a 404 from a rejected request
+export class ApiError extends Error {
+  constructor(message: string, public status: number) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+// A just-broadcast transaction may not have reached the backend's RPC node yet,
+// so tracking retries a 404 for about half a minute before giving up
+const TRACK_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000, 16000];
+
 class ApiClient {
   private baseUrl: string;
   private token: string | null = null;
+  private storedRefreshToken: string | null = null;
+  private refreshing: Promise<boolean> | null = null;
 
   constructor(baseUrl: string) {
     this.baseUrl = baseUrl;
-    // Load token from localStorage
+    // Load tokens from localStorage
     if (typeof window !== 'undefined') {
       this.token = localStorage.getItem('auth_token');
+      this.storedRefreshToken = localStorage.getItem('refresh_token');
     }
   }
 
-  setToken(token: string | null) {
+  // Clearing the access token signs out, so the refresh token goes with it
+  setToken(token: string | null, refreshToken?: string | null) {
     this.token = token;
-    if (token && typeof window !== 'undefined') {
+    if (token === null || refreshToken !== undefined) {
+      this.storedRefreshToken = token === null ? null : refreshToken ?? null;
+    }
+
+    if (typeof window === 'undefined') return;
+
+    if (token) {
       localStorage.setItem('auth_token', token);
-    } else if (typeof window !== 'undefined') {
+    } else {
       localStorage.removeItem('auth_token');
     }
+    if (this.storedRefreshToken) {
+      localStorage.setItem('refresh_token', this.storedRefreshToken);
+    } else {
+      localStorage.removeItem('refresh_token');
+    }
+  }
+
+  // Concurrent 401s share one refresh, since each refresh token is only accepted once
+  private refreshSession(): Promise<boolean> {
+    if (!this.refreshing) {
+      this.refreshing = this.refreshToken(this.storedRefreshToken as string)
+        .then(({ token, refreshToken }) => {
+          this.setToken(token, refreshToken);
+          return true;
+        })
+        .catch(() => {
+          this.setToken(null);
+          return false;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
   }
 
   private async request<T>(
     endpoint: string,
-    options: RequestInit = {}
+    options: RequestInit = {},
+    retryOnUnauthorized = true
   ): Promise<T> {
-    const url = `${this.baseUrl}${endpoint}`;
+    // Reads are scoped to the chain this build targets
+    const method = options.method || 'GET';
+    const separator = endpoint.includes('?') ? '&' : '?';
+    const url = method === 'GET'
+      ? `${this.baseUrl}${endpoint}${separator}chainId=${ACTIVE_CHAIN.chainId}`
+      : `${this.baseUrl}${endpoint}`;
     const headers: HeadersInit = {
       'Content-Type': 'application/json',
       ...options.headers,
@@ -54,18 +246,33 @@ class ApiClient {
       headers,
     });
 
+    // An expired access token is renewed once with the refresh token, then the request is retried
+    if (
+      response.status === 401 &&
+      retryOnUnauthorized &&
+      this.storedRefreshToken &&
+      endpoint !== '/auth/refresh' &&
+      (await this.refreshSession())
+    ) {
+      return this.request<T>(endpoint, options, false);
+    }
+
     const data: ApiResponse<T> = await response.json();
 
     if (!response.ok || !data.success) {
-      throw new Error(data.error?.message || 'API request failed');
+      throw new ApiError(data.error?.message || 'API request failed', response.status);
     }
 
     return data.data as T;
   }
 
   // Auth endpoints
+  async getNonce() {
+    return this.request<{ nonce: string; expiresAt: string }>('/auth/nonce');
+  }
+
   async connectWallet(walletAddress: string, signature: string, message: string) {
-    return this.request<{ token: string; user: any }>('/auth/wallet/connect', {
+    return this.request<{ token: string; refreshToken: string; expiresAt: string; user: any }>('/auth/wallet/connect', {
       method: 'POST',
       body: JSON.stringify({ walletAddress, signature, message }),
     });
@@ -78,10 +285,10 @@ class ApiClient {
     });
   }
 
-  async refreshToken(token: string) {
-    return this.request<{ token: string }>('/auth/refresh', {
+  async refreshToken(refreshToken: string) {
+    return this.request<{ token: string; refreshToken: string; expiresAt: string }>('/auth/refresh', {
       method: 'POST',
-      body: JSON.stringify({ token }),
+      body: JSON.stringify({ refreshToken }),
     });
   }
 
@@ -91,6 +298,16 @@ class ApiClient {
     });
   }
 
+  async getSessions() {
+    return this.request<AuthSession[]>('/auth/sessions');
+  }
+
+  async revokeSession(sessionId: string) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // User endpoints
   async getMe() {
     return this.request('/users/me');
@@ -146,10 +363,18 @@ class ApiClient {
   }
 
   async trackTransaction(txHash: string) {
-    return this.request('/transactions/track', {
-      method: 'POST',
-      body: JSON.stringify({ txHash }),
-    });
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request('/transactions/track', {
+          method: 'POST',
+          body: JSON.stringify({ txHash, chainId: ACTIVE_CHAIN.chainId }),
+        });
+      } catch (error) {
+        const notSeenYet = error instanceof ApiError && error.status === 404;
+        if (!notSeenYet || attempt >= TRACK_RETRY_DELAYS_MS.length) throw error;
+        await new Promise((resolve) => setTimeout(resolve, TRACK_RETRY_DELAYS_MS[attempt]));
+      }
+    }
   }
 
   async getTransactionStats() {
@@ -158,7 +383,7 @@ class ApiClient {
 
   // Token endpoints
   async getTokenInfo() {
-    return this.request('/token/info');
+    return this.request<TokenInfo>('/token/info');
   }
 
   async getTokenMetrics(hours?: number) {
@@ -174,10 +399,64 @@ class ApiClient {
     return this.request('/token/rate');
   }
 
+  async getRateHistory() {
+    return this.request<RateHistory>('/token/rate/history');
+  }
+
   async getTokenPrice() {
     return this.request('/token/price');
   }
 
+  async getTokenStatus() {
+    return this.request<{ paused: boolean }>('/token/status');
+  }
+
+  async getSwapQuote(side: 'buy' | 'sell', amount: string) {
+    return this.request<{ side: string; amountIn: string; amountOut: string }>(
+      `/token/quote?side=${side}&amount=${encodeURIComponent(amount)}`
+    );
+  }
+
+  async getVestingSchedules() {
+    return this.request<VestingOverview>('/token/vesting');
+  }
+
+  // Airdrop endpoints
+  async getAirdropProof(walletAddress: string) {
+    return this.request<AirdropProof>(`/airdrop/proof/${walletAddress}`);
+  }
+
+  // Staking endpoints
+  async getStakingPool() {
+    return this.request<StakingPool>('/staking/pool');
+  }
+
+  async getStakingPosition(walletAddress: string) {
+    return this.request<StakingPosition>(`/staking/positions/${walletAddress}`);
+  }
+
+  // Admin endpoints, the signed-in wallet must have an admin role
+  async getAdminMe() {
+    return this.request<AdminAccount>('/admin/me');
+  }
+
+  async getAdminProposals(status?: AdminProposalStatus) {
+    const query = status ? `?status=${status}` : '';
+    return this.request<{ proposals: AdminProposal[] }>(`/admin/proposals${query}`);
+  }
+
+  async approveAdminProposal(proposalId: string) {
+    return this.request<AdminProposal>(`/admin/proposals/${proposalId}/approve`, {
+      method: 'POST',
+    });
+  }
+
+  async cancelAdminProposal(proposalId: string) {
+    return this.request<AdminProposal>(`/admin/proposals/${proposalId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
   // Analytics endpoints
   async getAnalyticsOverview() {
     return this.request('/analytics/overview');
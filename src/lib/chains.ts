@@ -0,0 +1,31 @@
+// Networks the app can be built for; mirrors backend/config/chains*.json
+export interface ChainConfig {
+  chainId: number;
+  name: string;
+  currencyName: string;
+  rpcUrl: string;
+  blockExplorerUrl?: string;
+  tokenAddress: string;
+}
+
+export const CHAINS: Record<number, ChainConfig> = {
+  11155111: {
+    chainId: 11155111,
+    name: "Sepolia",
+    currencyName: "Sepolia ETH",
+    rpcUrl: "https://sepolia.drpc.org",
+    blockExplorerUrl: "https://sepolia.etherscan.io/",
+    tokenAddress: "0xA451b908c7AD183aBD55F8AD48C055Da8cb4264d",
+  },
+  31337: {
+    chainId: 31337,
+    name: "Anvil",
+    currencyName: "Anvil ETH",
+    rpcUrl: "http://127.0.0.1:8545",
+    tokenAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  },
+};
+
+// One chain per build, picked with VITE_CHAIN_ID
+export const ACTIVE_CHAIN: ChainConfig =
+  CHAINS[Number(import.meta.env.VITE_CHAIN_ID || 11155111)] || CHAINS[11155111];
@@ -1,11 +1,13 @@
 
 import { ethers } from "ethers";
+import { ACTIVE_CHAIN } from "@/lib/chains";
 
 // This ABI includes only the functions we need for the swap functionality
 export const MEMECOIN_ABI = [
   // Events
   "event Transfer(address indexed from, address indexed to, uint256 value)",
   "event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount)",
+  "event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount)",
   "event TokensPerEthUpdated(uint256 newRate)",
 
   // Read functions
@@ -13,11 +15,27 @@ export const MEMECOIN_ABI = [
   "function symbol() view returns (string)",
   "function decimals() view returns (uint8)",
   "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
   "function tokensPerEth() view returns (uint256)",
+  "function currentTokensPerEth() view returns (uint256)",
+  "function quoteETHForTokens(uint256 ethAmount) view returns (uint256)",
+  "function quoteTokensForETH(uint256 tokenAmount) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function maxTokensPerTx() view returns (uint256)",
+  "function maxTokensPerWallet() view returns (uint256)",
+  "function buyCooldown() view returns (uint256)",
+  "function tokensPurchased(address account) view returns (uint256)",
+  "function lastPurchaseAt(address account) view returns (uint256)",
 
   // Write functions
   "function transfer(address to, uint256 value) returns (bool)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
   "function swapETHForTokens() payable",
+  "function swapETHForTokens(uint256 minTokensOut, uint256 deadline) payable",
+  "function swapTokensForETH(uint256 tokenAmount, uint256 minEthOut)",
   "function setTokensPerEth(uint256 newRate)",
   "function withdrawETH(address to, uint256 amount)",
   "function withdrawTokens(address to, uint256 amount)",
@@ -27,8 +45,34 @@ export const MEMECOIN_ABI = [
 ];
 
 
-// IMPORTANT: Replace this with your actual deployed contract address on Sepolia
-export const MEMECOIN_CONTRACT_ADDRESS = "0xA451b908c7AD183aBD55F8AD48C055Da8cb4264d"; 
+// Defaults to the deployment listed for the active chain
+export const MEMECOIN_CONTRACT_ADDRESS =
+  import.meta.env.VITE_MEMECOIN_CONTRACT_ADDRESS || ACTIVE_CHAIN.tokenAddress;
+
+// Merkle-proof airdrop for the Community & Rewards allocation
+export const AIRDROP_ABI = [
+  "event Claimed(address indexed account, uint256 amount)",
+  "function merkleRoot() view returns (bytes32)",
+  "function claimDeadline() view returns (uint256)",
+  "function hasClaimed(address account) view returns (bool)",
+  "function claim(uint256 amount, bytes32[] proof)",
+];
+
+export const AIRDROP_CONTRACT_ADDRESS = import.meta.env.VITE_AIRDROP_CONTRACT_ADDRESS || "";
+
+// Stake MEOW to earn MEOW rewards
+export const STAKING_ABI = [
+  "event Staked(address indexed user, uint256 amount)",
+  "event Unstaked(address indexed user, uint256 amount)",
+  "event RewardClaimed(address indexed user, uint256 amount)",
+  "function stakedBalance(address account) view returns (uint256)",
+  "function earned(address account) view returns (uint256)",
+  "function stake(uint256 amount)",
+  "function unstake(uint256 amount)",
+  "function claim()",
+];
+
+export const STAKING_CONTRACT_ADDRESS = import.meta.env.VITE_STAKING_CONTRACT_ADDRESS || "";
 
 export function getMemecoinContract(provider: ethers.Provider, signer?: ethers.Signer) {
   const contract = new ethers.Contract(MEMECOIN_CONTRACT_ADDRESS, MEMECOIN_ABI, provider);
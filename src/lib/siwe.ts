@@ -0,0 +1,41 @@
+// Sign-In with Ethereum (EIP-4361) message formatting
+
+export interface SiweMessageFields {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+}
+
+// `address` must be EIP-55 checksummed, as the spec requires
+export function createSiweMessage(fields: SiweMessageFields): string {
+  const lines = [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    fields.address,
+    "",
+  ];
+
+  // The statement is optional, the blank line after it is not
+  if (fields.statement) {
+    lines.push(fields.statement);
+  }
+  lines.push("");
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    "Version: 1",
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+
+  return lines.join("\n");
+}
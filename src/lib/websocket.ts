@@ -18,8 +18,9 @@ class WebSocketClient {
     this.token = token || localStorage.getItem('auth_token') || undefined;
 
     this.socket = io(WS_URL, {
-      auth: {
-        token: this.token,
+      // Read on every (re)connect, the access token is replaced each time it is refreshed
+      auth: (cb) => {
+        cb({ token: localStorage.getItem('auth_token') || this.token });
       },
       transports: ['websocket', 'polling'],
     });
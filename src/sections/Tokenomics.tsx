@@ -1,8 +1,17 @@
+import { useEffect, useState } from "react";
 import TokInfo from "@/components/tokenomics-info";
+import { apiClient, VestingAllocation, VestingOverview } from "@/lib/api";
 
-const TokenomicsData = [
+const TokenomicsData: {
+  id: number;
+  allocation: VestingAllocation;
+  title: string;
+  options: string[];
+  bg: string;
+}[] = [
   {
     id: 0,
+    allocation: "COMMUNITY",
     title: "🔸 50% - Community & Rewards",
     options: [
       "• Earn $MEOW through meme battles, staking, and viral engagement.",
@@ -12,6 +21,7 @@ const TokenomicsData = [
   },
   {
     id: 1,
+    allocation: "LIQUIDITY",
     title: "🔹 30% - Liquidity & Exchange Listings",
     options: [
       "• Ensuring smooth trading on DEXs and CEXs.",
@@ -21,6 +31,7 @@ const TokenomicsData = [
   },
   {
     id: 2,
+    allocation: "DEVELOPMENT",
     title: "🔹 20% - Development & Ecosystem Growth",
     options: [
       "• Funding new features, platform upgrades, and partnerships.",
@@ -30,7 +41,27 @@ const TokenomicsData = [
   },
 ];
 
+const formatMeow = (amount: string) =>
+  Math.floor(parseFloat(amount)).toLocaleString();
+
 const Tokenomics = () => {
+  const [vesting, setVesting] = useState<VestingOverview | null>(null);
+
+  // Live locked/unlocked amounts from the vesting contract, as indexed by the backend
+  useEffect(() => {
+    const fetchVesting = async () => {
+      try {
+        setVesting(await apiClient.getVestingSchedules());
+      } catch (error) {
+        console.warn("Failed to fetch vesting schedules:", error);
+      }
+    };
+
+    fetchVesting();
+    const interval = setInterval(fetchVesting, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
   return (
     <section className="w-full flex items-center justify-center pt-4 pb-[77px] px-4 bg-[#561e05]">
       <div className="max-w-screen-2xl flex flex-col items-center justify-center">
@@ -43,9 +74,22 @@ const Tokenomics = () => {
             className="xl:w-[532px] md:w-[300px] w-[250px]"
           />
           <div className="flex flex-col items- justify-stretch gap-4 flex-1">
-            {TokenomicsData.map((item) => (
-              <TokInfo title={item.title} options={item.options} bg={item.bg} />
-            ))}
+            {TokenomicsData.map((item) => {
+              const summary = vesting?.allocations[item.allocation];
+              return (
+                <TokInfo
+                  title={item.title}
+                  options={item.options}
+                  bg={item.bg}
+                  vesting={
+                    summary && {
+                      locked: formatMeow(summary.locked),
+                      unlocked: formatMeow(summary.unlocked),
+                    }
+                  }
+                />
+              );
+            })}
           </div>
         </div>
       </div>
@@ -1,10 +1,39 @@
 import { ethers, JsonRpcProvider, BrowserProvider, Eip1193Provider } from "ethers";
 import { toast } from "sonner";
 import { MEMECOIN_CONTRACT_ADDRESS, getMemecoinContract, getTokenBalance } from "@/lib/contractHelper";
-import { MEMECOIN_ABI } from "@/lib/contractHelper";
+import {
+  MEMECOIN_ABI,
+  AIRDROP_ABI,
+  AIRDROP_CONTRACT_ADDRESS,
+  STAKING_ABI,
+  STAKING_CONTRACT_ADDRESS,
+} from "@/lib/contractHelper";
 import { apiClient } from "@/lib/api";
+import { ACTIVE_CHAIN } from "@/lib/chains";
+import { createSiweMessage } from "@/lib/siwe";
 import { wsClient } from "@/lib/websocket";
 
+export type PurchaseHistory = {
+  tokensPurchased: string;
+  lastPurchaseAt: number;
+};
+
+// EIP-2612 permit signed by the connected wallet, ready to pass to `permit` or a *WithPermit call
+export type SignedPermit = {
+  owner: string;
+  spender: string;
+  value: bigint;
+  deadline: number;
+  v: number;
+  r: string;
+  s: string;
+};
+
+export type StakingBalance = {
+  staked: string;
+  earned: string;
+};
+
 export type WalletState = {
   address: string | null;
   balance: string | null;
@@ -14,8 +43,27 @@ export type WalletState = {
   isConnected: boolean;
 };
 
-const SEPOLIA_CHAIN_ID = 11155111;
-const SEPOLIA_RPC_URL = "https://sepolia.drpc.org";
+
+// How long a signed swap stays valid before the contract rejects it
+const SWAP_DEADLINE_SECONDS = 20 * 60;
+
+// How long a signed permit stays valid before the contract rejects it
+const PERMIT_DEADLINE_SECONDS = 20 * 60;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Lower bound for a quoted amount after applying a slippage tolerance given in percent
+function applySlippage(amount: bigint, slippageTolerance: number): bigint {
+  return (amount * BigInt(Math.floor((100 - slippageTolerance) * 100))) / 10000n;
+}
 
 // Memecoin token contract details
 export const MEMECOIN_TOKEN = {
@@ -100,8 +148,8 @@ export class WalletService {
       const chainIdHex = await window.ethereum.request({ method: "eth_chainId" });
       const chainId = parseInt(chainIdHex, 16);
 
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        await this.switchToSepolia();
+      if (chainId !== ACTIVE_CHAIN.chainId) {
+        await this.switchToActiveChain();
       }
 
       // Create provider
@@ -190,8 +238,8 @@ export class WalletService {
     
     this.setState({ chainId });
     
-    if (chainId !== SEPOLIA_CHAIN_ID) {
-      toast.warning("Please switch to Sepolia network");
+    if (chainId !== ACTIVE_CHAIN.chainId) {
+      toast.warning(`Please switch to ${ACTIVE_CHAIN.name} network`);
     } else {
       // Refresh balance on chain change
       this.refreshBalance();
@@ -209,16 +257,16 @@ export class WalletService {
     }
   }
 
-  async switchToSepolia() {
+  async switchToActiveChain() {
     if (!window.ethereum) return;
     
     try {
       await window.ethereum.request({
         method: "wallet_switchEthereumChain",
-        params: [{ chainId: "0x" + SEPOLIA_CHAIN_ID.toString(16) }],
+        params: [{ chainId: "0x" + ACTIVE_CHAIN.chainId.toString(16) }],
       });
       
-      toast.success("Switched to Sepolia network");
+      toast.success(`Switched to ${ACTIVE_CHAIN.name} network`);
     } catch (error: any) {
       // If the chain hasn't been added to MetaMask
       if (error.code === 4902) {
@@ -227,26 +275,26 @@ export class WalletService {
             method: "wallet_addEthereumChain",
             params: [
               {
-                chainId: "0x" + SEPOLIA_CHAIN_ID.toString(16),
-                chainName: "Sepolia Test Network",
+                chainId: "0x" + ACTIVE_CHAIN.chainId.toString(16),
+                chainName: ACTIVE_CHAIN.name,
                 nativeCurrency: {
-                  name: "Sepolia ETH",
+                  name: ACTIVE_CHAIN.currencyName,
                   symbol: "ETH",
                   decimals: 18,
                 },
-                rpcUrls: [SEPOLIA_RPC_URL],
-                blockExplorerUrls: ["https://sepolia.etherscan.io/"],
+                rpcUrls: [ACTIVE_CHAIN.rpcUrl],
+                blockExplorerUrls: ACTIVE_CHAIN.blockExplorerUrl ? [ACTIVE_CHAIN.blockExplorerUrl] : undefined,
               },
             ],
           });
-          toast.success("Sepolia network added");
+          toast.success(`${ACTIVE_CHAIN.name} network added`);
         } catch (addError) {
-          console.error("Failed to add Sepolia network:", addError);
-          toast.error("Failed to add Sepolia network");
+          console.error(`Failed to add ${ACTIVE_CHAIN.name} network:`, addError);
+          toast.error(`Failed to add ${ACTIVE_CHAIN.name} network`);
         }
       } else {
-        console.error("Failed to switch to Sepolia network:", error);
-        toast.error("Failed to switch to Sepolia network");
+        console.error(`Failed to switch to ${ACTIVE_CHAIN.name} network:`, error);
+        toast.error(`Failed to switch to ${ACTIVE_CHAIN.name} network`);
       }
     }
   }
@@ -275,15 +323,26 @@ export class WalletService {
         MEMECOIN_ABI,
         signer
       );
+
+      if (await contract.paused()) {
+        toast.error("Swaps are currently paused", { id: "swap-prep" });
+        return false;
+      }
+  
+      // Quote the MEOW output at the current price and apply the slippage tolerance
+      const expectedTokens: bigint = await contract.quoteETHForTokens(ethInWei);
+      const minTokensOut = applySlippage(expectedTokens, slippageTolerance);
+      const deadline = Math.floor(Date.now() / 1000) + SWAP_DEADLINE_SECONDS;
   
       toast.loading("Sending transaction...", { id: "swap-prep" });
   
-      // Call the swap function on the contract (assuming the contract has swapETHForTokens)
-      const tx = await contract.swapETHForTokens({
+      // Reverts on-chain if the rate changes beyond the tolerance before the transaction is mined
+      const tx = await contract["swapETHForTokens(uint256,uint256)"](minTokensOut, deadline, {
         value: ethInWei, // Sending ETH along with the function call
       });
   
       toast.loading(`Transaction sent! Waiting for confirmation...`, { id: "swap-prep" });
+      this.trackSubmittedTransaction(tx.hash);
   
       // Wait for transaction confirmation
       const receipt = await tx.wait();
@@ -291,14 +350,6 @@ export class WalletService {
       if (receipt && receipt.status === 1) {
         toast.success(`Swap completed! Tokens received`, { id: "swap-prep" });
 
-        // Track transaction in backend
-        try {
-          await apiClient.trackTransaction(receipt.transactionHash);
-        } catch (error) {
-          console.error("Failed to track transaction:", error);
-          // Don't fail the swap if tracking fails
-        }
-
         // Refresh the balance
         await this.refreshBalance();
         return true;
@@ -313,6 +364,247 @@ export class WalletService {
     }
   }
 
+  async swapTokensForETH(
+    tokenAmount: string,
+    slippageTolerance: number = 0.5
+  ): Promise<boolean> {
+    if (!this._state.address || !this._state.provider) {
+      toast.error("Please connect your wallet first");
+      return false;
+    }
+
+    try {
+      toast.loading("Preparing swap...", { id: "swap-prep" });
+
+      const provider = this._state.provider;
+      const signer = await provider.getSigner();
+
+      // Convert MEOW amount to its smallest unit
+      const tokensInWei = ethers.parseUnits(tokenAmount, MEMECOIN_TOKEN.decimals);
+
+      const contract = new ethers.Contract(
+        MEMECOIN_CONTRACT_ADDRESS,
+        MEMECOIN_ABI,
+        signer
+      );
+
+      if (await contract.paused()) {
+        toast.error("Swaps are currently paused", { id: "swap-prep" });
+        return false;
+      }
+
+      // Quote the ETH output at the current price and apply the slippage tolerance
+      const expectedEth: bigint = await contract.quoteTokensForETH(tokensInWei);
+      const minEthOut = applySlippage(expectedEth, slippageTolerance);
+
+      toast.loading("Sending transaction...", { id: "swap-prep" });
+
+      const tx = await contract.swapTokensForETH(tokensInWei, minEthOut);
+
+      toast.loading(`Transaction sent! Waiting for confirmation...`, { id: "swap-prep" });
+      this.trackSubmittedTransaction(tx.hash);
+
+      const receipt = await tx.wait();
+
+      if (receipt && receipt.status === 1) {
+        toast.success(`Swap completed! ETH received`, { id: "swap-prep" });
+
+        await this.refreshBalance();
+        return true;
+      } else {
+        toast.error("Transaction failed", { id: "swap-prep" });
+        return false;
+      }
+    } catch (error) {
+      console.error("Swap failed:", error);
+      toast.error("Swap failed. Please try again.", { id: "swap-prep" });
+      return false;
+    }
+  }
+
+  async claimAirdrop(amountWei: string, proof: string[]): Promise<boolean> {
+    if (!this._state.address || !this._state.provider) {
+      toast.error("Please connect your wallet first");
+      return false;
+    }
+
+    if (!AIRDROP_CONTRACT_ADDRESS) {
+      toast.error("Airdrop is not live yet");
+      return false;
+    }
+
+    try {
+      toast.loading("Preparing claim...", { id: "airdrop-claim" });
+
+      const signer = await this._state.provider.getSigner();
+      const contract = new ethers.Contract(AIRDROP_CONTRACT_ADDRESS, AIRDROP_ABI, signer);
+
+      if (await contract.hasClaimed(this._state.address)) {
+        toast.error("Airdrop already claimed", { id: "airdrop-claim" });
+        return false;
+      }
+
+      toast.loading("Sending transaction...", { id: "airdrop-claim" });
+
+      const tx = await contract.claim(amountWei, proof);
+
+      toast.loading(`Transaction sent! Waiting for confirmation...`, { id: "airdrop-claim" });
+
+      const receipt = await tx.wait();
+
+      if (receipt && receipt.status === 1) {
+        toast.success(`Airdrop claimed! ${ethers.formatUnits(amountWei, MEMECOIN_TOKEN.decimals)} MEOW received`, {
+          id: "airdrop-claim",
+        });
+        await this.refreshBalance();
+        return true;
+      } else {
+        toast.error("Transaction failed", { id: "airdrop-claim" });
+        return false;
+      }
+    } catch (error) {
+      console.error("Airdrop claim failed:", error);
+      toast.error("Claim failed. Please try again.", { id: "airdrop-claim" });
+      return false;
+    }
+  }
+
+  // Signs an EIP-2612 approval for `amount` MEOW off-chain, so no approval transaction is needed
+  async signPermit(
+    spender: string,
+    amount: string,
+    deadlineSeconds: number = PERMIT_DEADLINE_SECONDS
+  ): Promise<SignedPermit | null> {
+    if (!this._state.address || !this._state.provider) {
+      toast.error("Please connect your wallet first");
+      return null;
+    }
+
+    try {
+      const signer = await this._state.provider.getSigner();
+      const token = new ethers.Contract(MEMECOIN_CONTRACT_ADDRESS, MEMECOIN_ABI, this._state.provider);
+      const [nonce, network] = await Promise.all([
+        token.nonces(this._state.address),
+        this._state.provider.getNetwork(),
+      ]);
+
+      const value = ethers.parseUnits(amount, MEMECOIN_TOKEN.decimals);
+      const deadline = Math.floor(Date.now() / 1000) + deadlineSeconds;
+
+      const domain = {
+        name: MEMECOIN_TOKEN.name,
+        version: "1",
+        chainId: network.chainId,
+        verifyingContract: MEMECOIN_CONTRACT_ADDRESS,
+      };
+
+      const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+        owner: this._state.address,
+        spender,
+        value,
+        nonce,
+        deadline,
+      });
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      return { owner: this._state.address, spender, value, deadline, v, r, s };
+    } catch (error) {
+      console.error("Failed to sign permit:", error);
+      toast.error("Permit signature was rejected");
+      return null;
+    }
+  }
+
+  async stakeTokens(amount: string): Promise<boolean> {
+    return this.sendStakingTransaction("Stake", async (staking, signer) => {
+      const amountInWei = ethers.parseUnits(amount, MEMECOIN_TOKEN.decimals);
+      const token = new ethers.Contract(MEMECOIN_CONTRACT_ADDRESS, MEMECOIN_ABI, signer);
+
+      // The staking contract pulls MEOW, so approve it first if needed
+      const allowance: bigint = await token.allowance(this._state.address, STAKING_CONTRACT_ADDRESS);
+      if (allowance < amountInWei) {
+        toast.loading("Approving MEOW...", { id: "staking" });
+        const approveTx = await token.approve(STAKING_CONTRACT_ADDRESS, amountInWei);
+        await approveTx.wait();
+      }
+
+      return staking.stake(amountInWei);
+    });
+  }
+
+  async unstakeTokens(amount: string): Promise<boolean> {
+    return this.sendStakingTransaction("Unstake", (staking) =>
+      staking.unstake(ethers.parseUnits(amount, MEMECOIN_TOKEN.decimals))
+    );
+  }
+
+  async claimStakingRewards(): Promise<boolean> {
+    return this.sendStakingTransaction("Claim", (staking) => staking.claim());
+  }
+
+  async getStakingBalance(): Promise<StakingBalance> {
+    if (!this._state.address || !this._state.provider || !STAKING_CONTRACT_ADDRESS) {
+      return { staked: "0", earned: "0" };
+    }
+
+    try {
+      const staking = new ethers.Contract(STAKING_CONTRACT_ADDRESS, STAKING_ABI, this._state.provider);
+      const [staked, earned] = await Promise.all([
+        staking.stakedBalance(this._state.address),
+        staking.earned(this._state.address),
+      ]);
+
+      return {
+        staked: ethers.formatUnits(staked, MEMECOIN_TOKEN.decimals),
+        earned: ethers.formatUnits(earned, MEMECOIN_TOKEN.decimals),
+      };
+    } catch (error) {
+      console.error("Failed to get staking balance:", error);
+      return { staked: "0", earned: "0" };
+    }
+  }
+
+  private async sendStakingTransaction(
+    action: string,
+    send: (staking: ethers.Contract, signer: ethers.Signer) => Promise<ethers.ContractTransactionResponse>
+  ): Promise<boolean> {
+    if (!this._state.address || !this._state.provider) {
+      toast.error("Please connect your wallet first");
+      return false;
+    }
+
+    if (!STAKING_CONTRACT_ADDRESS) {
+      toast.error("Staking is not live yet");
+      return false;
+    }
+
+    try {
+      toast.loading(`Preparing ${action.toLowerCase()}...`, { id: "staking" });
+
+      const signer = await this._state.provider.getSigner();
+      const staking = new ethers.Contract(STAKING_CONTRACT_ADDRESS, STAKING_ABI, signer);
+
+      const tx = await send(staking, signer);
+
+      toast.loading(`Transaction sent! Waiting for confirmation...`, { id: "staking" });
+
+      const receipt = await tx.wait();
+
+      if (receipt && receipt.status === 1) {
+        toast.success(`${action} completed!`, { id: "staking" });
+        await this.refreshBalance();
+        return true;
+      } else {
+        toast.error("Transaction failed", { id: "staking" });
+        return false;
+      }
+    } catch (error) {
+      console.error(`${action} failed:`, error);
+      toast.error(`${action} failed. Please try again.`, { id: "staking" });
+      return false;
+    }
+  }
+
   async getTokenBalance(tokenAddress: string): Promise<string> {
     if (!this._state.address || !this._state.provider) {
       return "0";
@@ -326,6 +618,41 @@ export class WalletService {
     }
   }
 
+  // MEOW bought so far and the time of the latest buy, as counted by the contract's purchase limits
+  async getPurchaseHistory(): Promise<PurchaseHistory> {
+    if (!this._state.address || !this._state.provider) {
+      return { tokensPurchased: "0", lastPurchaseAt: 0 };
+    }
+
+    try {
+      const contract = new ethers.Contract(
+        MEMECOIN_CONTRACT_ADDRESS,
+        MEMECOIN_ABI,
+        this._state.provider
+      );
+      const [purchased, lastPurchaseAt] = await Promise.all([
+        contract.tokensPurchased(this._state.address),
+        contract.lastPurchaseAt(this._state.address),
+      ]);
+
+      return {
+        tokensPurchased: ethers.formatUnits(purchased, MEMECOIN_TOKEN.decimals),
+        lastPurchaseAt: Number(lastPurchaseAt),
+      };
+    } catch (error) {
+      console.error("Failed to get purchase history:", error);
+      return { tokensPurchased: "0", lastPurchaseAt: 0 };
+    }
+  }
+
+  // Report a submitted transaction so the backend shows it as pending until mined.
+  // Tracking is best effort and never fails the swap; apiClient retries until the backend sees it.
+  private trackSubmittedTransaction(txHash: string) {
+    apiClient.trackTransaction(txHash).catch((error) => {
+      console.error("Failed to track transaction:", error);
+    });
+  }
+
   private async authenticateWithBackend(walletAddress: string) {
     try {
       // Check if already authenticated
@@ -337,23 +664,34 @@ export class WalletService {
           await apiClient.getMe();
           return; // Already authenticated
         } catch {
-          // Token invalid, need to re-authenticate
-          localStorage.removeItem("auth_token");
+          // Token invalid and couldn't be refreshed, need to re-authenticate
+          apiClient.setToken(null);
         }
       }
 
-      // Create message to sign
-      const message = `Sign this message to authenticate with MeowFi\n\nWallet: ${walletAddress}\nTimestamp: ${Date.now()}`;
-      
-      // Sign message
       if (!window.ethereum) return;
+
+      // Sign-In with Ethereum message around a single-use nonce from the backend
+      const { nonce, expiresAt } = await apiClient.getNonce();
+      const message = createSiweMessage({
+        domain: window.location.host,
+        address: ethers.getAddress(walletAddress),
+        statement: "Sign in to MeowFi",
+        uri: window.location.origin,
+        chainId: ACTIVE_CHAIN.chainId,
+        nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: expiresAt,
+      });
+
+      // Sign message
       const provider = new BrowserProvider(window.ethereum as Eip1193Provider);
       const signer = await provider.getSigner();
       const signature = await signer.signMessage(message);
 
       // Authenticate with backend
-      const { token } = await apiClient.connectWallet(walletAddress, signature, message);
-      apiClient.setToken(token);
+      const { token, refreshToken } = await apiClient.connectWallet(walletAddress, signature, message);
+      apiClient.setToken(token, refreshToken);
       wsClient.connect(token);
     } catch (error) {
       // Authentication is optional, don't throw
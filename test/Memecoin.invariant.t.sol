@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../src/contracts/Memecoin.sol";
+
+/**
+ * @dev Drives random buys, sells, rate changes and withdrawals against Meowfi
+ * while tracking the ETH that moved in and out of the contract.
+ */
+contract MeowfiHandler is Test {
+    Meowfi internal meowfi;
+    address internal owner;
+
+    address[] public actors;
+    uint256 public ethIn;
+    uint256 public ethOut;
+
+    constructor(Meowfi _meowfi, address _owner) {
+        meowfi = _meowfi;
+        owner = _owner;
+
+        for (uint256 i = 0; i < 3; i++) {
+            actors.push(makeAddr(string(abi.encodePacked("actor", vm.toString(i)))));
+        }
+    }
+
+    function actorCount() external view returns (uint256) {
+        return actors.length;
+    }
+
+    function buy(uint256 actorSeed, uint256 value) external {
+        address actor = actors[actorSeed % actors.length];
+        uint256 maxValue = meowfi.balanceOf(address(meowfi)) * 1 ether / meowfi.tokensPerEth();
+        if (maxValue == 0) return;
+        value = bound(value, 1, maxValue);
+
+        vm.deal(actor, value);
+        vm.prank(actor);
+        meowfi.swapETHForTokens{value: value}();
+        ethIn += value;
+    }
+
+    function sell(uint256 actorSeed, uint256 amount) external {
+        address actor = actors[actorSeed % actors.length];
+        uint256 balance = meowfi.balanceOf(actor);
+        if (balance == 0) return;
+        amount = bound(amount, 1, balance);
+
+        uint256 ethAmount = meowfi.quoteTokensForETH(amount);
+        if (ethAmount == 0 || ethAmount > address(meowfi).balance) return;
+
+        vm.prank(actor);
+        meowfi.swapTokensForETH(amount, ethAmount);
+        ethOut += ethAmount;
+    }
+
+    function transfer(uint256 fromSeed, uint256 toSeed, uint256 amount) external {
+        address from = actors[fromSeed % actors.length];
+        address to = actors[toSeed % actors.length];
+        amount = bound(amount, 0, meowfi.balanceOf(from));
+
+        vm.prank(from);
+        meowfi.transfer(to, amount);
+    }
+
+    function setRate(uint256 rate) external {
+        rate = bound(rate, 1 ether, 100_000 ether);
+
+        vm.prank(owner);
+        meowfi.setTokensPerEth(rate);
+    }
+
+    function withdrawETH(uint256 amount) external {
+        amount = bound(amount, 0, address(meowfi).balance);
+
+        vm.prank(owner);
+        meowfi.withdrawETH(payable(owner), amount);
+        ethOut += amount;
+    }
+
+    function withdrawTokens(uint256 amount) external {
+        amount = bound(amount, 0, meowfi.balanceOf(address(meowfi)) / 10);
+
+        vm.prank(owner);
+        meowfi.withdrawTokens(owner, amount);
+    }
+}
+
+contract MeowfiInvariantTest is Test {
+    Meowfi internal meowfi;
+    MeowfiHandler internal handler;
+
+    address internal owner = makeAddr("owner");
+
+    function setUp() public {
+        vm.prank(owner);
+        meowfi = new Meowfi();
+
+        handler = new MeowfiHandler(meowfi, owner);
+        targetContract(address(handler));
+    }
+
+    function invariant_TotalSupplyIsConserved() public view {
+        assertEq(meowfi.totalSupply(), meowfi.TOTAL_SUPPLY());
+    }
+
+    function invariant_BalancesSumToTotalSupply() public view {
+        uint256 sum = meowfi.balanceOf(address(meowfi)) + meowfi.balanceOf(owner);
+        for (uint256 i = 0; i < handler.actorCount(); i++) {
+            sum += meowfi.balanceOf(handler.actors(i));
+        }
+        assertEq(sum, meowfi.TOTAL_SUPPLY());
+    }
+
+    function invariant_ContractETHMatchesFlows() public view {
+        assertEq(address(meowfi).balance, handler.ethIn() - handler.ethOut());
+    }
+}
@@ -0,0 +1,663 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "../src/contracts/Memecoin.sol";
+
+contract MeowfiTest is Test {
+    Meowfi internal meowfi;
+
+    address internal owner = makeAddr("owner");
+    address internal alice = makeAddr("alice");
+    address internal bob = makeAddr("bob");
+
+    event TokensPurchased(address indexed buyer, uint256 ethAmount, uint256 tokenAmount);
+    event TokensSold(address indexed seller, uint256 tokenAmount, uint256 ethAmount);
+    event TokensPerEthUpdated(uint256 newRate);
+    event Paused(address account);
+    event Unpaused(address account);
+    event PurchaseLimitsUpdated(uint256 maxTokensPerTx, uint256 maxTokensPerWallet, uint256 buyCooldown);
+
+    function setUp() public {
+        vm.prank(owner);
+        meowfi = new Meowfi();
+
+        vm.deal(alice, 10_000 ether);
+        vm.deal(bob, 10_000 ether);
+    }
+
+    // --- Deployment ---
+
+    function test_InitialDistribution() public view {
+        assertEq(meowfi.totalSupply(), meowfi.TOTAL_SUPPLY());
+        assertEq(meowfi.balanceOf(address(meowfi)), meowfi.INITIAL_CONTRACT_BALANCE());
+        assertEq(meowfi.balanceOf(owner), meowfi.TOTAL_SUPPLY() - meowfi.INITIAL_CONTRACT_BALANCE());
+        assertEq(meowfi.owner(), owner);
+        assertEq(meowfi.tokensPerEth(), 1000 ether);
+    }
+
+    // --- swapETHForTokens ---
+
+    function test_SwapETHForTokens() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        assertEq(meowfi.balanceOf(alice), 1000 ether);
+        assertEq(meowfi.balanceOf(address(meowfi)), meowfi.INITIAL_CONTRACT_BALANCE() - 1000 ether);
+        assertEq(address(meowfi).balance, 1 ether);
+    }
+
+    function test_SwapETHForTokensEmitsEvent() public {
+        vm.expectEmit(true, false, false, true, address(meowfi));
+        emit TokensPurchased(alice, 0.5 ether, 500 ether);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 0.5 ether}();
+    }
+
+    function test_RevertWhen_SwapWithoutETH() public {
+        vm.prank(alice);
+        vm.expectRevert("Send ETH to buy MEOW");
+        meowfi.swapETHForTokens();
+    }
+
+    function test_SwapOneWeiAtDefaultRate() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1}();
+
+        assertEq(meowfi.balanceOf(alice), 1000);
+    }
+
+    function test_SwapRoundsDownAtTinyValue() public {
+        // 1 MEOW-wei per 0.3 ETH-wei: 7 wei buys 2 MEOW-wei, never 3
+        vm.prank(owner);
+        meowfi.setTokensPerEth(0.3 ether);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 7}();
+
+        assertEq(meowfi.balanceOf(alice), 2);
+    }
+
+    function test_RevertWhen_SwapRoundsToZero() public {
+        vm.prank(owner);
+        meowfi.setTokensPerEth(1);
+
+        vm.prank(alice);
+        vm.expectRevert("Amount too small");
+        meowfi.swapETHForTokens{value: 1 ether - 1}();
+    }
+
+    function test_SwapDrainsContractBalance() public {
+        uint256 drainValue = meowfi.INITIAL_CONTRACT_BALANCE() * 1 ether / meowfi.tokensPerEth();
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: drainValue}();
+
+        assertEq(meowfi.balanceOf(address(meowfi)), 0);
+        assertEq(meowfi.balanceOf(alice), meowfi.INITIAL_CONTRACT_BALANCE());
+
+        vm.prank(bob);
+        vm.expectRevert("Not enough MEOW in contract");
+        meowfi.swapETHForTokens{value: 1}();
+    }
+
+    function test_RevertWhen_SwapExceedsContractBalance() public {
+        uint256 drainValue = meowfi.INITIAL_CONTRACT_BALANCE() * 1 ether / meowfi.tokensPerEth();
+
+        vm.prank(alice);
+        vm.expectRevert("Not enough MEOW in contract");
+        meowfi.swapETHForTokens{value: drainValue + 1 ether}();
+    }
+
+    function test_SwapWithSlippageProtection() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}(1000 ether, block.timestamp);
+
+        assertEq(meowfi.balanceOf(alice), 1000 ether);
+    }
+
+    function test_RevertWhen_RateMovesBelowMinTokensOut() public {
+        vm.prank(owner);
+        meowfi.setTokensPerEth(900 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("Insufficient MEOW output");
+        meowfi.swapETHForTokens{value: 1 ether}(995 ether, block.timestamp);
+    }
+
+    function test_RevertWhen_SwapDeadlineExpired() public {
+        uint256 deadline = block.timestamp;
+        vm.warp(deadline + 1);
+
+        vm.prank(alice);
+        vm.expectRevert("Swap deadline expired");
+        meowfi.swapETHForTokens{value: 1 ether}(0, deadline);
+    }
+
+    // --- swapTokensForETH ---
+
+    function test_SwapTokensForETH() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 2 ether}();
+
+        uint256 ethBefore = alice.balance;
+
+        vm.expectEmit(true, false, false, true, address(meowfi));
+        emit TokensSold(alice, 1000 ether, 1 ether);
+
+        vm.prank(alice);
+        meowfi.swapTokensForETH(1000 ether, 1 ether);
+
+        assertEq(meowfi.balanceOf(alice), 1000 ether);
+        assertEq(alice.balance, ethBefore + 1 ether);
+        assertEq(address(meowfi).balance, 1 ether);
+    }
+
+    function test_RevertWhen_SellWithoutETHLiquidity() public {
+        vm.prank(owner);
+        meowfi.transfer(alice, 1000 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("Not enough ETH in contract");
+        meowfi.swapTokensForETH(1000 ether, 0);
+    }
+
+    function test_RevertWhen_SellBelowMinEthOut() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.prank(owner);
+        meowfi.setTokensPerEth(2000 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("Insufficient ETH output");
+        meowfi.swapTokensForETH(1000 ether, 1 ether);
+    }
+
+    // --- setTokensPerEth ---
+
+    function test_SetTokensPerEth() public {
+        vm.expectEmit(false, false, false, true, address(meowfi));
+        emit TokensPerEthUpdated(2000 ether);
+
+        vm.prank(owner);
+        meowfi.setTokensPerEth(2000 ether);
+
+        assertEq(meowfi.tokensPerEth(), 2000 ether);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+        assertEq(meowfi.balanceOf(alice), 2000 ether);
+    }
+
+    function test_RevertWhen_SetTokensPerEthToZero() public {
+        vm.prank(owner);
+        vm.expectRevert("Rate must be greater than zero");
+        meowfi.setTokensPerEth(0);
+    }
+
+    function test_RevertWhen_NonOwnerSetsTokensPerEth() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.setTokensPerEth(1 ether);
+    }
+
+    // --- withdrawETH ---
+
+    function test_WithdrawETH() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 3 ether}();
+
+        vm.prank(owner);
+        meowfi.withdrawETH(payable(bob), 2 ether);
+
+        assertEq(bob.balance, 10_002 ether);
+        assertEq(address(meowfi).balance, 1 ether);
+    }
+
+    function test_WithdrawAllETH() public {
+        vm.deal(address(meowfi), 5 ether);
+
+        vm.prank(owner);
+        meowfi.withdrawETH(payable(owner), 5 ether);
+
+        assertEq(address(meowfi).balance, 0);
+        assertEq(owner.balance, 5 ether);
+    }
+
+    function test_RevertWhen_WithdrawETHToZeroAddress() public {
+        vm.deal(address(meowfi), 1 ether);
+
+        vm.prank(owner);
+        vm.expectRevert("Cannot send to zero address");
+        meowfi.withdrawETH(payable(address(0)), 1 ether);
+    }
+
+    function test_RevertWhen_WithdrawETHExceedsBalance() public {
+        vm.deal(address(meowfi), 1 ether);
+
+        vm.prank(owner);
+        vm.expectRevert("Insufficient contract balance");
+        meowfi.withdrawETH(payable(owner), 1 ether + 1);
+    }
+
+    function test_RevertWhen_NonOwnerWithdrawsETH() public {
+        vm.deal(address(meowfi), 1 ether);
+
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.withdrawETH(payable(alice), 1 ether);
+    }
+
+    // --- withdrawTokens ---
+
+    function test_WithdrawTokens() public {
+        vm.prank(owner);
+        meowfi.withdrawTokens(bob, 250 ether);
+
+        assertEq(meowfi.balanceOf(bob), 250 ether);
+        assertEq(meowfi.balanceOf(address(meowfi)), meowfi.INITIAL_CONTRACT_BALANCE() - 250 ether);
+    }
+
+    function test_WithdrawAllTokens() public {
+        uint256 balance = meowfi.balanceOf(address(meowfi));
+
+        vm.prank(owner);
+        meowfi.withdrawTokens(owner, balance);
+
+        assertEq(meowfi.balanceOf(address(meowfi)), 0);
+        assertEq(meowfi.balanceOf(owner), meowfi.TOTAL_SUPPLY());
+    }
+
+    function test_RevertWhen_WithdrawTokensToZeroAddress() public {
+        vm.prank(owner);
+        vm.expectRevert("Cannot send to zero address");
+        meowfi.withdrawTokens(address(0), 1 ether);
+    }
+
+    function test_RevertWhen_WithdrawTokensExceedsBalance() public {
+        uint256 balance = meowfi.balanceOf(address(meowfi));
+
+        vm.prank(owner);
+        vm.expectRevert("Insufficient contract balance");
+        meowfi.withdrawTokens(owner, balance + 1);
+    }
+
+    function test_RevertWhen_NonOwnerWithdrawsTokens() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.withdrawTokens(alice, 1 ether);
+    }
+
+    // --- Pause ---
+
+    function test_PauseBlocksSwaps() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.expectEmit(false, false, false, true, address(meowfi));
+        emit Paused(owner);
+
+        vm.prank(owner);
+        meowfi.pause();
+        assertTrue(meowfi.paused());
+
+        vm.startPrank(alice);
+        vm.expectRevert(Pausable.EnforcedPause.selector);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.expectRevert(Pausable.EnforcedPause.selector);
+        meowfi.swapETHForTokens{value: 1 ether}(0, block.timestamp);
+
+        vm.expectRevert(Pausable.EnforcedPause.selector);
+        meowfi.swapTokensForETH(1000 ether, 0);
+        vm.stopPrank();
+    }
+
+    function test_UnpauseResumesSwaps() public {
+        vm.prank(owner);
+        meowfi.pause();
+
+        vm.expectEmit(false, false, false, true, address(meowfi));
+        emit Unpaused(owner);
+
+        vm.prank(owner);
+        meowfi.unpause();
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+        assertEq(meowfi.balanceOf(alice), 1000 ether);
+    }
+
+    function test_OwnerCanWithdrawWhilePaused() public {
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.startPrank(owner);
+        meowfi.pause();
+        meowfi.withdrawETH(payable(owner), 1 ether);
+        meowfi.withdrawTokens(owner, 1000 ether);
+        vm.stopPrank();
+
+        assertEq(owner.balance, 1 ether);
+    }
+
+    function test_RevertWhen_NonOwnerPauses() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.pause();
+    }
+
+    function test_RevertWhen_NonOwnerUnpauses() public {
+        vm.prank(owner);
+        meowfi.pause();
+
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.unpause();
+    }
+
+    // --- Permit ---
+
+    bytes32 internal constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    function _signPermit(uint256 key, address holder, address spender, uint256 value, uint256 deadline)
+        internal
+        view
+        returns (uint8 v, bytes32 r, bytes32 s)
+    {
+        bytes32 structHash =
+            keccak256(abi.encode(PERMIT_TYPEHASH, holder, spender, value, meowfi.nonces(holder), deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", meowfi.DOMAIN_SEPARATOR(), structHash));
+        return vm.sign(key, digest);
+    }
+
+    function test_Permit() public {
+        (address holder, uint256 key) = makeAddrAndKey("holder");
+        vm.prank(owner);
+        meowfi.transfer(holder, 1000 ether);
+
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(key, holder, bob, 600 ether, deadline);
+
+        // Anyone can submit the signature; the holder never sends a transaction
+        vm.prank(alice);
+        meowfi.permit(holder, bob, 600 ether, deadline, v, r, s);
+
+        assertEq(meowfi.allowance(holder, bob), 600 ether);
+        assertEq(meowfi.nonces(holder), 1);
+
+        vm.prank(bob);
+        meowfi.transferFrom(holder, bob, 600 ether);
+        assertEq(meowfi.balanceOf(bob), 600 ether);
+    }
+
+    function test_RevertWhen_PermitExpired() public {
+        (address holder, uint256 key) = makeAddrAndKey("holder");
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(key, holder, bob, 1 ether, deadline);
+
+        vm.warp(deadline + 1);
+        vm.expectRevert(abi.encodeWithSelector(ERC20Permit.ERC2612ExpiredSignature.selector, deadline));
+        meowfi.permit(holder, bob, 1 ether, deadline, v, r, s);
+    }
+
+    function test_RevertWhen_PermitReplayed() public {
+        (address holder, uint256 key) = makeAddrAndKey("holder");
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(key, holder, bob, 1 ether, deadline);
+
+        meowfi.permit(holder, bob, 1 ether, deadline, v, r, s);
+
+        // The nonce has moved on, so the same signature recovers to some unrelated address
+        vm.expectRevert();
+        meowfi.permit(holder, bob, 1 ether, deadline, v, r, s);
+    }
+
+    function test_RevertWhen_PermitSignedByAnotherKey() public {
+        (address holder, ) = makeAddrAndKey("holder");
+        (address other, uint256 otherKey) = makeAddrAndKey("other");
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(otherKey, holder, bob, 1 ether, deadline);
+
+        vm.expectRevert(abi.encodeWithSelector(ERC20Permit.ERC2612InvalidSigner.selector, other, holder));
+        meowfi.permit(holder, bob, 1 ether, deadline, v, r, s);
+    }
+
+    // --- Purchase limits ---
+
+    function test_SetPurchaseLimits() public {
+        vm.expectEmit(false, false, false, true, address(meowfi));
+        emit PurchaseLimitsUpdated(5000 ether, 20_000 ether, 60);
+
+        vm.prank(owner);
+        meowfi.setPurchaseLimits(5000 ether, 20_000 ether, 60);
+
+        assertEq(meowfi.maxTokensPerTx(), 5000 ether);
+        assertEq(meowfi.maxTokensPerWallet(), 20_000 ether);
+        assertEq(meowfi.buyCooldown(), 60);
+    }
+
+    function test_PurchaseTracksWalletHistory() public {
+        vm.warp(1000);
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+        meowfi.swapETHForTokens{value: 2 ether}();
+        vm.stopPrank();
+
+        assertEq(meowfi.tokensPurchased(alice), 3000 ether);
+        assertEq(meowfi.lastPurchaseAt(alice), 1000);
+    }
+
+    function test_RevertWhen_SwapExceedsPerTxLimit() public {
+        vm.prank(owner);
+        meowfi.setPurchaseLimits(5000 ether, 0, 0);
+
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 5 ether}();
+
+        vm.expectRevert("Exceeds per-transaction limit");
+        meowfi.swapETHForTokens{value: 5.001 ether}();
+        vm.stopPrank();
+    }
+
+    function test_RevertWhen_SwapExceedsPerWalletLimit() public {
+        vm.prank(owner);
+        meowfi.setPurchaseLimits(0, 3000 ether, 0);
+
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 2 ether}();
+
+        vm.expectRevert("Exceeds per-wallet limit");
+        meowfi.swapETHForTokens{value: 2 ether}();
+
+        meowfi.swapETHForTokens{value: 1 ether}();
+        vm.stopPrank();
+
+        // The cap is per address, so other wallets are unaffected
+        vm.prank(bob);
+        meowfi.swapETHForTokens{value: 3 ether}();
+        assertEq(meowfi.balanceOf(bob), 3000 ether);
+    }
+
+    function test_SellingDoesNotRestorePerWalletAllowance() public {
+        vm.deal(address(meowfi), 10 ether);
+        vm.prank(owner);
+        meowfi.setPurchaseLimits(0, 1000 ether, 0);
+
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+        meowfi.swapTokensForETH(1000 ether, 0);
+
+        vm.expectRevert("Exceeds per-wallet limit");
+        meowfi.swapETHForTokens{value: 1 ether}();
+        vm.stopPrank();
+    }
+
+    function test_RevertWhen_BuyingDuringCooldown() public {
+        vm.prank(owner);
+        meowfi.setPurchaseLimits(0, 0, 60);
+
+        vm.warp(1000);
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.warp(1059);
+        vm.expectRevert("Buy cooldown active");
+        meowfi.swapETHForTokens{value: 1 ether}();
+
+        vm.warp(1060);
+        meowfi.swapETHForTokens{value: 1 ether}();
+        vm.stopPrank();
+
+        assertEq(meowfi.balanceOf(alice), 2000 ether);
+    }
+
+    function test_RevertWhen_PerTxLimitExceedsPerWalletLimit() public {
+        vm.prank(owner);
+        vm.expectRevert("Per-transaction limit exceeds per-wallet limit");
+        meowfi.setPurchaseLimits(2000 ether, 1000 ether, 0);
+    }
+
+    function test_RevertWhen_NonOwnerSetsPurchaseLimits() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.setPurchaseLimits(1000 ether, 1000 ether, 0);
+    }
+
+    // --- Bonding curve ---
+
+    function test_LinearCurvePriceRisesWithSales() public {
+        vm.prank(owner);
+        meowfi.setPricingMode(Meowfi.PricingMode.Linear, 1 gwei, 0, 0);
+
+        uint256 priceBefore = meowfi.currentPrice();
+        uint256 quoted = meowfi.quoteETHForTokens(10 ether);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 10 ether}();
+
+        assertEq(meowfi.balanceOf(alice), quoted);
+        assertLt(quoted, 10_000 ether);
+        assertGt(meowfi.currentPrice(), priceBefore);
+    }
+
+    function test_ExponentialCurvePriceRisesPerStep() public {
+        vm.prank(owner);
+        meowfi.setPricingMode(Meowfi.PricingMode.Exponential, 0, 1000, 10_000 ether);
+
+        uint256 priceBefore = meowfi.currentPrice();
+
+        // 10 ETH buys exactly one 10,000 MEOW step at the starting price
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: 10 ether}();
+
+        assertEq(meowfi.tokensSold(), 10_000 ether);
+        assertEq(meowfi.currentPrice(), priceBefore * 11_000 / 10_000);
+    }
+
+    function test_SellsMoveTheCurveBack() public {
+        vm.prank(owner);
+        meowfi.setPricingMode(Meowfi.PricingMode.Linear, 1 gwei, 0, 0);
+
+        uint256 priceBefore = meowfi.currentPrice();
+
+        vm.startPrank(alice);
+        meowfi.swapETHForTokens{value: 10 ether}();
+        uint256 bought = meowfi.balanceOf(alice);
+        meowfi.swapTokensForETH(bought, 0);
+        vm.stopPrank();
+
+        assertEq(meowfi.tokensSold(), 0);
+        assertEq(meowfi.currentPrice(), priceBefore);
+    }
+
+    function test_WithdrawalsAndDonationsDoNotMoveTheCurve() public {
+        vm.prank(owner);
+        meowfi.setPricingMode(Meowfi.PricingMode.Exponential, 0, 1000, 10_000 ether);
+
+        uint256 priceBefore = meowfi.currentPrice();
+
+        vm.prank(owner);
+        meowfi.withdrawTokens(owner, 10_000 ether);
+        assertEq(meowfi.tokensSold(), 0);
+        assertEq(meowfi.currentPrice(), priceBefore);
+
+        vm.prank(owner);
+        meowfi.transfer(address(meowfi), 50_000 ether);
+        assertEq(meowfi.tokensSold(), 0);
+        assertEq(meowfi.currentPrice(), priceBefore);
+    }
+
+    function test_RevertWhen_ExponentialStepTooSmall() public {
+        uint256 stepSize = meowfi.INITIAL_CONTRACT_BALANCE() / meowfi.MAX_CURVE_STEPS() - 1;
+
+        vm.prank(owner);
+        vm.expectRevert("Step size too small");
+        meowfi.setPricingMode(Meowfi.PricingMode.Exponential, 0, 1000, stepSize);
+    }
+
+    function test_RevertWhen_NonOwnerSetsPricingMode() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        meowfi.setPricingMode(Meowfi.PricingMode.Linear, 1 gwei, 0, 0);
+    }
+
+    // --- Fuzz ---
+
+    function testFuzz_SwapMatchesRate(uint256 value, uint256 rate) public {
+        rate = bound(rate, 1 ether, 1_000_000 ether);
+        value = bound(value, 1, meowfi.INITIAL_CONTRACT_BALANCE() * 1 ether / rate);
+
+        vm.prank(owner);
+        meowfi.setTokensPerEth(rate);
+
+        uint256 expected = value * rate / 1 ether;
+
+        vm.deal(alice, value);
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: value}();
+
+        assertEq(meowfi.balanceOf(alice), expected);
+        assertEq(meowfi.balanceOf(address(meowfi)), meowfi.INITIAL_CONTRACT_BALANCE() - expected);
+        assertEq(address(meowfi).balance, value);
+    }
+
+    function testFuzz_RoundTripNeverProfits(uint256 value) public {
+        value = bound(value, 1, 1000 ether);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: value}();
+
+        uint256 tokens = meowfi.balanceOf(alice);
+        assertLe(meowfi.quoteTokensForETH(tokens), value);
+    }
+
+    function testFuzz_LinearRoundTripNeverProfits(uint256 value, uint256 slope) public {
+        value = bound(value, 0.001 ether, 500 ether);
+        slope = bound(slope, 1, 1e12);
+
+        vm.prank(owner);
+        meowfi.setPricingMode(Meowfi.PricingMode.Linear, slope, 0, 0);
+
+        vm.prank(alice);
+        meowfi.swapETHForTokens{value: value}();
+
+        uint256 tokens = meowfi.balanceOf(alice);
+        assertLe(meowfi.quoteTokensForETH(tokens), value);
+    }
+
+    function testFuzz_WithdrawTokensOnlyOwner(address caller, uint256 amount) public {
+        vm.assume(caller != owner);
+        amount = bound(amount, 0, meowfi.INITIAL_CONTRACT_BALANCE());
+
+        vm.prank(caller);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, caller));
+        meowfi.withdrawTokens(caller, amount);
+    }
+}
@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/Hashes.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiAirdrop.sol";
+
+contract MeowfiAirdropTest is Test {
+    Meowfi internal meowfi;
+    MeowfiAirdrop internal airdrop;
+
+    address internal owner = makeAddr("owner");
+    address internal alice = makeAddr("alice");
+    address internal bob = makeAddr("bob");
+    address internal carol = makeAddr("carol");
+    address internal mallory = makeAddr("mallory");
+
+    uint256 internal constant DEADLINE = 30 days;
+
+    bytes32 internal aliceLeaf;
+    bytes32 internal bobLeaf;
+    bytes32 internal carolLeaf;
+    bytes32 internal root;
+
+    event Claimed(address indexed account, uint256 amount);
+    event Swept(address indexed to, uint256 amount);
+
+    function setUp() public {
+        // Three-leaf tree: root = hash(hash(alice, bob), carol)
+        aliceLeaf = _leaf(alice, 100 ether);
+        bobLeaf = _leaf(bob, 200 ether);
+        carolLeaf = _leaf(carol, 300 ether);
+        root = Hashes.commutativeKeccak256(Hashes.commutativeKeccak256(aliceLeaf, bobLeaf), carolLeaf);
+
+        vm.startPrank(owner);
+        meowfi = new Meowfi();
+        airdrop = new MeowfiAirdrop(meowfi, root, DEADLINE, owner);
+        meowfi.transfer(address(airdrop), 600 ether);
+        vm.stopPrank();
+    }
+
+    function _leaf(address account, uint256 amount) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+    }
+
+    function _proof(bytes32 first, bytes32 second) internal pure returns (bytes32[] memory proof) {
+        proof = new bytes32[](2);
+        proof[0] = first;
+        proof[1] = second;
+    }
+
+    // --- claim ---
+
+    function test_Claim() public {
+        vm.expectEmit(true, false, false, true, address(airdrop));
+        emit Claimed(alice, 100 ether);
+
+        vm.prank(alice);
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+
+        assertEq(meowfi.balanceOf(alice), 100 ether);
+        assertTrue(airdrop.hasClaimed(alice));
+        assertEq(meowfi.balanceOf(address(airdrop)), 500 ether);
+    }
+
+    function test_ClaimWithShortProof() public {
+        bytes32[] memory proof = new bytes32[](1);
+        proof[0] = Hashes.commutativeKeccak256(aliceLeaf, bobLeaf);
+
+        vm.prank(carol);
+        airdrop.claim(300 ether, proof);
+
+        assertEq(meowfi.balanceOf(carol), 300 ether);
+    }
+
+    function test_AllRecipientsCanClaim() public {
+        vm.prank(alice);
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+        vm.prank(bob);
+        airdrop.claim(200 ether, _proof(aliceLeaf, carolLeaf));
+
+        bytes32[] memory carolProof = new bytes32[](1);
+        carolProof[0] = Hashes.commutativeKeccak256(aliceLeaf, bobLeaf);
+        vm.prank(carol);
+        airdrop.claim(300 ether, carolProof);
+
+        assertEq(meowfi.balanceOf(address(airdrop)), 0);
+    }
+
+    function test_RevertWhen_ClaimingTwice() public {
+        vm.startPrank(alice);
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+
+        vm.expectRevert("Already claimed");
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+        vm.stopPrank();
+    }
+
+    function test_RevertWhen_ClaimingWrongAmount() public {
+        vm.prank(alice);
+        vm.expectRevert("Invalid proof");
+        airdrop.claim(101 ether, _proof(bobLeaf, carolLeaf));
+    }
+
+    function test_RevertWhen_ClaimingAnotherAccountsLeaf() public {
+        vm.prank(mallory);
+        vm.expectRevert("Invalid proof");
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+    }
+
+    function test_RevertWhen_ClaimAfterDeadline() public {
+        vm.warp(DEADLINE + 1);
+
+        vm.prank(alice);
+        vm.expectRevert("Claim period ended");
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+    }
+
+    function test_RevertWhen_DeadlineInThePast() public {
+        vm.warp(DEADLINE);
+
+        vm.expectRevert("Deadline must be in the future");
+        new MeowfiAirdrop(meowfi, root, DEADLINE, owner);
+    }
+
+    // --- sweep ---
+
+    function test_SweepAfterDeadline() public {
+        vm.prank(alice);
+        airdrop.claim(100 ether, _proof(bobLeaf, carolLeaf));
+
+        vm.warp(DEADLINE + 1);
+
+        vm.expectEmit(true, false, false, true, address(airdrop));
+        emit Swept(owner, 500 ether);
+
+        uint256 ownerBalance = meowfi.balanceOf(owner);
+        vm.prank(owner);
+        airdrop.sweep(owner);
+
+        assertEq(meowfi.balanceOf(owner), ownerBalance + 500 ether);
+        assertEq(meowfi.balanceOf(address(airdrop)), 0);
+    }
+
+    function test_RevertWhen_SweepBeforeDeadline() public {
+        vm.prank(owner);
+        vm.expectRevert("Claim period not ended");
+        airdrop.sweep(owner);
+    }
+
+    function test_RevertWhen_NonOwnerSweeps() public {
+        vm.warp(DEADLINE + 1);
+
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        airdrop.sweep(alice);
+    }
+}
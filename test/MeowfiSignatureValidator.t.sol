@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../src/contracts/MeowfiSignatureValidator.sol";
+
+// Single-owner smart-contract wallet, accepts signatures made by its owner key
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(hash, signature);
+        if (err == ECDSA.RecoverError.NoError && recovered == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
+
+// CREATE2 factory, so a wallet's address is known before it is deployed
+contract MockWalletFactory {
+    function deploy(address owner, bytes32 salt) external returns (address) {
+        return address(new MockERC1271Wallet{salt: salt}(owner));
+    }
+
+    function walletAddress(address owner, bytes32 salt) external view returns (address) {
+        bytes32 initCodeHash = keccak256(abi.encodePacked(type(MockERC1271Wallet).creationCode, abi.encode(owner)));
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, initCodeHash)))));
+    }
+}
+
+contract MeowfiSignatureValidatorTest is Test {
+    bytes32 internal constant ERC6492_DETECTION_SUFFIX =
+        0x6492649264926492649264926492649264926492649264926492649264926492;
+    bytes32 internal constant SALT = keccak256("meowfi");
+
+    MockWalletFactory internal factory;
+
+    address internal alice;
+    uint256 internal aliceKey;
+    address internal mallory;
+    uint256 internal malloryKey;
+
+    bytes32 internal digest = MessageHashUtils.toEthSignedMessageHash(bytes("Sign in to MeowFi"));
+
+    function setUp() public {
+        factory = new MockWalletFactory();
+        (alice, aliceKey) = makeAddrAndKey("alice");
+        (mallory, malloryKey) = makeAddrAndKey("mallory");
+    }
+
+    // --- EOAs ---
+
+    function test_ValidEOASignature() public {
+        assertTrue(_validate(alice, digest, _sign(aliceKey, digest)));
+    }
+
+    function test_RejectsEOASignatureFromAnotherKey() public {
+        assertFalse(_validate(alice, digest, _sign(malloryKey, digest)));
+    }
+
+    function test_RejectsEOASignatureForAnotherMessage() public {
+        bytes32 other = MessageHashUtils.toEthSignedMessageHash(bytes("Something else"));
+        assertFalse(_validate(alice, digest, _sign(aliceKey, other)));
+    }
+
+    function test_RejectsMalformedSignature() public {
+        assertFalse(_validate(alice, digest, hex"1234"));
+    }
+
+    // --- EIP-1271 ---
+
+    function test_ValidContractWalletSignature() public {
+        MockERC1271Wallet wallet = new MockERC1271Wallet(alice);
+        assertTrue(_validate(address(wallet), digest, _sign(aliceKey, digest)));
+    }
+
+    function test_RejectsContractWalletSignatureFromNonOwner() public {
+        MockERC1271Wallet wallet = new MockERC1271Wallet(alice);
+        assertFalse(_validate(address(wallet), digest, _sign(malloryKey, digest)));
+    }
+
+    function test_ContractWalletIsNotCheckedWithECDSA() public {
+        // The wallet's own address can never sign, only its owner can
+        MockERC1271Wallet wallet = new MockERC1271Wallet(mallory);
+        assertFalse(_validate(address(wallet), digest, _sign(aliceKey, digest)));
+    }
+
+    // --- EIP-6492 ---
+
+    function test_ValidCounterfactualWalletSignature() public {
+        address wallet = factory.walletAddress(alice, SALT);
+        assertEq(wallet.code.length, 0);
+
+        assertTrue(_validate(wallet, digest, _wrap(alice, _sign(aliceKey, digest))));
+    }
+
+    function test_RejectsCounterfactualWalletSignatureFromNonOwner() public {
+        address wallet = factory.walletAddress(alice, SALT);
+        assertFalse(_validate(wallet, digest, _wrap(alice, _sign(malloryKey, digest))));
+    }
+
+    function test_RejectsCounterfactualSignatureWhenFactoryDeploysAnotherWallet() public {
+        // Mallory's factory calldata deploys her own wallet, not the one being signed in
+        address wallet = factory.walletAddress(alice, SALT);
+        assertFalse(_validate(wallet, digest, _wrap(mallory, _sign(malloryKey, digest))));
+    }
+
+    function test_RejectsCounterfactualSignatureWhenFactoryReverts() public {
+        address wallet = factory.walletAddress(alice, SALT);
+        bytes memory signature = abi.encodePacked(
+            abi.encode(address(factory), hex"deadbeef", _sign(aliceKey, digest)),
+            ERC6492_DETECTION_SUFFIX
+        );
+        assertFalse(_validate(wallet, digest, signature));
+    }
+
+    function test_WrappedSignatureForDeployedWalletSkipsFactory() public {
+        address wallet = factory.deploy(alice, SALT);
+        // Deploying again would revert, so a valid result means the factory wasn't called
+        assertTrue(_validate(wallet, digest, _wrap(alice, _sign(aliceKey, digest))));
+    }
+
+    // --- Helpers ---
+
+    function _sign(uint256 key, bytes32 hash) internal pure returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(key, hash);
+        return abi.encodePacked(r, s, v);
+    }
+
+    function _wrap(address owner, bytes memory signature) internal view returns (bytes memory) {
+        bytes memory factoryCalldata = abi.encodeCall(MockWalletFactory.deploy, (owner, SALT));
+        return abi.encodePacked(abi.encode(address(factory), factoryCalldata, signature), ERC6492_DETECTION_SUFFIX);
+    }
+
+    // Runs the validator the way the backend does: its constructor's return data is the result
+    function _validate(address signer, bytes32 hash, bytes memory signature) internal returns (bool) {
+        bytes memory initCode = abi.encodePacked(
+            type(MeowfiSignatureValidator).creationCode,
+            abi.encode(signer, hash, signature)
+        );
+
+        address result;
+        assembly {
+            result := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        require(result != address(0), "Validator reverted");
+
+        bytes memory output = result.code;
+        assertEq(output.length, 1);
+        return output[0] == 0x01;
+    }
+}
@@ -0,0 +1,242 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiStaking.sol";
+
+contract MeowfiStakingTest is Test {
+    Meowfi internal meowfi;
+    MeowfiStaking internal staking;
+
+    address internal owner = makeAddr("owner");
+    address internal alice = makeAddr("alice");
+    address internal bob = makeAddr("bob");
+
+    uint256 internal constant RATE = 1 ether; // 1 MEOW per second
+
+    event Staked(address indexed user, uint256 amount);
+    event Unstaked(address indexed user, uint256 amount);
+    event RewardClaimed(address indexed user, uint256 amount);
+    event RewardsFunded(uint256 amount);
+    event RewardRateUpdated(uint256 newRate);
+
+    function setUp() public {
+        vm.startPrank(owner);
+        meowfi = new Meowfi();
+        staking = new MeowfiStaking(meowfi, RATE, owner);
+
+        meowfi.approve(address(staking), type(uint256).max);
+        staking.fundRewards(1_000_000 ether);
+
+        meowfi.transfer(alice, 10_000 ether);
+        meowfi.transfer(bob, 10_000 ether);
+        vm.stopPrank();
+
+        vm.prank(alice);
+        meowfi.approve(address(staking), type(uint256).max);
+        vm.prank(bob);
+        meowfi.approve(address(staking), type(uint256).max);
+    }
+
+    // --- stake ---
+
+    function test_Stake() public {
+        vm.expectEmit(true, false, false, true, address(staking));
+        emit Staked(alice, 1000 ether);
+
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        assertEq(staking.stakedBalance(alice), 1000 ether);
+        assertEq(staking.totalStaked(), 1000 ether);
+        assertEq(meowfi.balanceOf(alice), 9000 ether);
+    }
+
+    function test_RevertWhen_StakingZero() public {
+        vm.prank(alice);
+        vm.expectRevert("Cannot stake zero");
+        staking.stake(0);
+    }
+
+    // --- Rewards ---
+
+    function test_SingleStakerEarnsFullRate() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 100 ether);
+    }
+
+    function test_RewardsSplitProRata() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+        vm.prank(bob);
+        staking.stake(3000 ether);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 25 ether);
+        assertEq(staking.earned(bob), 75 ether);
+    }
+
+    function test_LateStakerOnlyEarnsFromEntry() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        vm.warp(block.timestamp + 100);
+        vm.prank(bob);
+        staking.stake(1000 ether);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 150 ether);
+        assertEq(staking.earned(bob), 50 ether);
+    }
+
+    function test_NoRewardsAccrueWithoutStakers() public {
+        vm.warp(block.timestamp + 1000);
+
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        assertEq(staking.earned(alice), 0);
+        assertEq(staking.rewardReserve(), 1_000_000 ether);
+    }
+
+    function test_RewardsCappedByReserve() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        vm.warp(block.timestamp + 2_000_000);
+        assertEq(staking.earned(alice), 1_000_000 ether);
+
+        vm.prank(alice);
+        staking.claim();
+        assertEq(staking.rewardReserve(), 0);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 0);
+    }
+
+    function test_SetRewardRate() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+        vm.warp(block.timestamp + 100);
+
+        vm.expectEmit(false, false, false, true, address(staking));
+        emit RewardRateUpdated(2 ether);
+
+        vm.prank(owner);
+        staking.setRewardRate(2 ether);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 300 ether);
+    }
+
+    function test_FundRewardsEmitsEvent() public {
+        vm.expectEmit(false, false, false, true, address(staking));
+        emit RewardsFunded(500 ether);
+
+        vm.prank(owner);
+        staking.fundRewards(500 ether);
+
+        assertEq(staking.rewardReserve(), 1_000_500 ether);
+    }
+
+    function test_RevertWhen_NonOwnerSetsRewardRate() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        staking.setRewardRate(2 ether);
+    }
+
+    function test_RevertWhen_NonOwnerFundsRewards() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        staking.fundRewards(1 ether);
+    }
+
+    // --- claim ---
+
+    function test_Claim() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+        vm.warp(block.timestamp + 100);
+
+        vm.expectEmit(true, false, false, true, address(staking));
+        emit RewardClaimed(alice, 100 ether);
+
+        vm.prank(alice);
+        staking.claim();
+
+        assertEq(meowfi.balanceOf(alice), 9100 ether);
+        assertEq(staking.earned(alice), 0);
+        assertEq(staking.stakedBalance(alice), 1000 ether);
+    }
+
+    function test_RevertWhen_NothingToClaim() public {
+        vm.prank(alice);
+        vm.expectRevert("No rewards to claim");
+        staking.claim();
+    }
+
+    // --- unstake ---
+
+    function test_UnstakeKeepsAccruedRewards() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+        vm.warp(block.timestamp + 100);
+
+        vm.expectEmit(true, false, false, true, address(staking));
+        emit Unstaked(alice, 1000 ether);
+
+        vm.prank(alice);
+        staking.unstake(1000 ether);
+
+        assertEq(meowfi.balanceOf(alice), 10_000 ether);
+        assertEq(staking.totalStaked(), 0);
+
+        vm.warp(block.timestamp + 100);
+        assertEq(staking.earned(alice), 100 ether);
+    }
+
+    function test_RevertWhen_UnstakingMoreThanStaked() public {
+        vm.prank(alice);
+        staking.stake(1000 ether);
+
+        vm.prank(alice);
+        vm.expectRevert("Insufficient staked balance");
+        staking.unstake(1000 ether + 1);
+    }
+
+    // --- Fuzz ---
+
+    function testFuzz_PaidRewardsNeverExceedFunding(uint256 aliceStake, uint256 bobStake, uint256 elapsed) public {
+        aliceStake = bound(aliceStake, 1, 10_000 ether);
+        bobStake = bound(bobStake, 1, 10_000 ether);
+        elapsed = bound(elapsed, 1, 5_000_000);
+
+        vm.prank(alice);
+        staking.stake(aliceStake);
+        vm.prank(bob);
+        staking.stake(bobStake);
+
+        vm.warp(block.timestamp + elapsed);
+
+        uint256 claimed;
+        if (staking.earned(alice) > 0) {
+            vm.prank(alice);
+            staking.claim();
+            claimed += meowfi.balanceOf(alice) - (10_000 ether - aliceStake);
+        }
+        if (staking.earned(bob) > 0) {
+            vm.prank(bob);
+            staking.claim();
+            claimed += meowfi.balanceOf(bob) - (10_000 ether - bobStake);
+        }
+
+        assertLe(claimed, 1_000_000 ether);
+        assertLe(claimed, elapsed * RATE);
+        assertGe(meowfi.balanceOf(address(staking)), staking.totalStaked() + staking.rewardReserve());
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../src/contracts/Memecoin.sol";
+import "../src/contracts/MeowfiVesting.sol";
+
+contract MeowfiVestingTest is Test {
+    Meowfi internal meowfi;
+    MeowfiVesting internal vesting;
+
+    address internal owner = makeAddr("owner");
+    address internal alice = makeAddr("alice");
+    address internal bob = makeAddr("bob");
+
+    uint64 internal constant START = 1_000_000;
+    uint64 internal constant CLIFF = 90 days;
+    uint64 internal constant DURATION = 360 days;
+
+    event VestingScheduleCreated(
+        address indexed beneficiary,
+        MeowfiVesting.Allocation allocation,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration
+    );
+    event TokensClaimed(address indexed beneficiary, uint256 amount);
+
+    function setUp() public {
+        vm.warp(START);
+
+        vm.startPrank(owner);
+        meowfi = new Meowfi();
+        vesting = new MeowfiVesting(meowfi, owner);
+        meowfi.approve(address(vesting), type(uint256).max);
+        vm.stopPrank();
+    }
+
+    function _createAliceSchedule(uint256 amount) internal {
+        vm.prank(owner);
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Development, amount, START, CLIFF, DURATION);
+    }
+
+    // --- createSchedule ---
+
+    function test_CreateSchedule() public {
+        vm.expectEmit(true, false, false, true, address(vesting));
+        emit VestingScheduleCreated(alice, MeowfiVesting.Allocation.Development, 360 ether, START, CLIFF, DURATION);
+
+        _createAliceSchedule(360 ether);
+
+        (
+            MeowfiVesting.Allocation allocation,
+            uint256 totalAmount,
+            uint256 released,
+            uint64 start,
+            uint64 cliff,
+            uint64 duration
+        ) = vesting.schedules(alice);
+
+        assertEq(uint256(allocation), uint256(MeowfiVesting.Allocation.Development));
+        assertEq(totalAmount, 360 ether);
+        assertEq(released, 0);
+        assertEq(start, START);
+        assertEq(cliff, CLIFF);
+        assertEq(duration, DURATION);
+
+        assertEq(meowfi.balanceOf(address(vesting)), 360 ether);
+        assertEq(vesting.totalAllocated(), 360 ether);
+        assertEq(vesting.beneficiaryCount(), 1);
+        assertEq(vesting.beneficiaries(0), alice);
+    }
+
+    function test_RevertWhen_ScheduleAlreadyExists() public {
+        _createAliceSchedule(360 ether);
+
+        vm.prank(owner);
+        vm.expectRevert("Schedule already exists");
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Community, 1 ether, START, 0, DURATION);
+    }
+
+    function test_RevertWhen_CliffExceedsDuration() public {
+        vm.prank(owner);
+        vm.expectRevert("Cliff exceeds duration");
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Community, 1 ether, START, DURATION + 1, DURATION);
+    }
+
+    function test_RevertWhen_ZeroDuration() public {
+        vm.prank(owner);
+        vm.expectRevert("Duration must be greater than zero");
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Community, 1 ether, START, 0, 0);
+    }
+
+    function test_RevertWhen_NonOwnerCreatesSchedule() public {
+        vm.prank(alice);
+        vm.expectRevert(abi.encodeWithSelector(Ownable.OwnableUnauthorizedAccount.selector, alice));
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Community, 1 ether, START, 0, DURATION);
+    }
+
+    // --- Vesting ---
+
+    function test_NothingVestsBeforeCliff() public {
+        _createAliceSchedule(360 ether);
+
+        vm.warp(START + CLIFF - 1);
+        assertEq(vesting.vestedAmount(alice), 0);
+
+        vm.prank(alice);
+        vm.expectRevert("Nothing to claim");
+        vesting.claim();
+    }
+
+    function test_VestsLinearlyAfterCliff() public {
+        _createAliceSchedule(360 ether);
+
+        vm.warp(START + CLIFF);
+        assertEq(vesting.vestedAmount(alice), 90 ether);
+
+        vm.warp(START + 180 days);
+        assertEq(vesting.vestedAmount(alice), 180 ether);
+
+        vm.warp(START + DURATION + 1);
+        assertEq(vesting.vestedAmount(alice), 360 ether);
+    }
+
+    function test_NothingVestsBeforeFutureStart() public {
+        vm.prank(owner);
+        vesting.createSchedule(alice, MeowfiVesting.Allocation.Liquidity, 360 ether, START + 10 days, 0, DURATION);
+
+        vm.warp(START + 10 days - 1);
+        assertEq(vesting.vestedAmount(alice), 0);
+    }
+
+    // --- claim ---
+
+    function test_Claim() public {
+        _createAliceSchedule(360 ether);
+        vm.warp(START + 180 days);
+
+        vm.expectEmit(true, false, false, true, address(vesting));
+        emit TokensClaimed(alice, 180 ether);
+
+        vm.prank(alice);
+        vesting.claim();
+
+        assertEq(meowfi.balanceOf(alice), 180 ether);
+        assertEq(vesting.releasableAmount(alice), 0);
+        assertEq(vesting.totalReleased(), 180 ether);
+    }
+
+    function test_ClaimOnlyReleasesNewlyVested() public {
+        _createAliceSchedule(360 ether);
+
+        vm.warp(START + 180 days);
+        vm.prank(alice);
+        vesting.claim();
+
+        vm.warp(START + 270 days);
+        assertEq(vesting.releasableAmount(alice), 90 ether);
+
+        vm.warp(START + DURATION);
+        vm.prank(alice);
+        vesting.claim();
+
+        assertEq(meowfi.balanceOf(alice), 360 ether);
+        assertEq(meowfi.balanceOf(address(vesting)), 0);
+    }
+
+    function test_RevertWhen_ClaimWithoutSchedule() public {
+        vm.warp(START + DURATION);
+
+        vm.prank(bob);
+        vm.expectRevert("Nothing to claim");
+        vesting.claim();
+    }
+
+    // --- Fuzz ---
+
+    function testFuzz_VestedNeverExceedsTotal(uint256 amount, uint256 elapsed) public {
+        amount = bound(amount, 1, meowfi.balanceOf(owner));
+        elapsed = bound(elapsed, 0, 10 * uint256(DURATION));
+
+        _createAliceSchedule(amount);
+        vm.warp(START + elapsed);
+
+        uint256 vested = vesting.vestedAmount(alice);
+        assertLe(vested, amount);
+        if (elapsed < CLIFF) {
+            assertEq(vested, 0);
+        }
+        if (elapsed >= DURATION) {
+            assertEq(vested, amount);
+        }
+    }
+}